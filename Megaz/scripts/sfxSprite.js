@@ -0,0 +1,167 @@
+import { spawnSync } from 'node:child_process';
+import { existsSync, readFileSync, writeFileSync, rmSync } from 'node:fs';
+import { join, resolve } from 'node:path';
+
+// PCM format every sound is decoded to before packing
+export const SPRITE_SAMPLE_RATE = 44100;
+export const SPRITE_CHANNELS = 2;
+const BYTES_PER_FRAME = SPRITE_CHANNELS * 2; // s16le
+
+/**
+ * Place sounds one after another in a sprite, with silence between them
+ * so a region never picks up the start of the next one
+ * @param {Array<number>} frames - Length of each sound in sample frames
+ * @param {number} sampleRate - Sample rate
+ * @param {number} gap - Seconds of silence after each sound
+ * @returns {Object} {regions: [{start, offset, duration}], totalFrames} - start in frames, offset/duration in seconds
+ */
+export function layoutSprite(frames, sampleRate = SPRITE_SAMPLE_RATE, gap = 0.1) {
+  const gapFrames = Math.round(gap * sampleRate);
+  let start = 0;
+  const regions = frames.map(length => {
+    const region = { start, offset: start / sampleRate, duration: length / sampleRate };
+    start += length + gapFrames;
+    return region;
+  });
+  return { regions, totalFrames: start };
+}
+
+/**
+ * Get the sounds of a manifest that go into the sprite
+ * @param {Object} manifest - Parsed manifest.json
+ * @param {string} type - Sound type to pack
+ * @returns {Array<Array>} [key, entry] pairs
+ */
+export function findSpriteSounds(manifest, type = 'sfx') {
+  return Object.entries(manifest.sounds ?? {}).filter(([, sound]) => sound.type === type);
+}
+
+/**
+ * Move packed sounds out of "sounds" and into one "audioSprites" entry
+ * Sound options (loop, maxVoices, cooldown, priority) go with each region; bundles keep listing the same keys
+ * @param {Object} manifest - Parsed manifest.json
+ * @param {Object} regions - Sound key -> {offset, duration}
+ * @param {string} name - Sprite name
+ * @param {string} path - Sprite file path as the game fetches it
+ * @param {string} type - Sound type of the sprite
+ * @returns {Object} New manifest
+ */
+export function packManifest(manifest, regions, name, path, type = 'sfx') {
+  const sounds = { ...manifest.sounds };
+  const sprites = {};
+  for (const [key, region] of Object.entries(regions)) {
+    const { path: soundPath, type: soundType, ...options } = sounds[key];
+    sprites[key] = { offset: round(region.offset), duration: round(region.duration), ...options };
+    delete sounds[key];
+  }
+
+  return {
+    ...manifest,
+    sounds,
+    audioSprites: { ...manifest.audioSprites, [name]: { path, type, sprites } }
+  };
+}
+
+/**
+ * Round seconds to the microsecond, enough for sample positions at 44.1 kHz
+ * @param {number} seconds - Time in seconds
+ * @returns {number} Rounded time
+ */
+function round(seconds) {
+  return Math.round(seconds * 1e6) / 1e6;
+}
+
+/**
+ * Run ffmpeg
+ * @param {Array<string>} args - Arguments
+ * @param {Buffer} input - Data for stdin
+ * @returns {Buffer} stdout
+ */
+function ffmpeg(args, input = undefined) {
+  const result = spawnSync('ffmpeg', ['-hide_banner', '-loglevel', 'error', ...args], {
+    input,
+    maxBuffer: 512 * 1024 * 1024
+  });
+  if (result.error) throw result.error;
+  if (result.status !== 0) throw new Error(result.stderr.toString().trim());
+  return result.stdout;
+}
+
+/**
+ * Decode a sound file to raw PCM in the sprite format
+ * @param {string} file - Sound file
+ * @returns {Buffer} s16le frames
+ */
+function decodeSound(file) {
+  return ffmpeg(['-i', file, '-f', 's16le', '-ac', `${SPRITE_CHANNELS}`, '-ar', `${SPRITE_SAMPLE_RATE}`, '-']);
+}
+
+/**
+ * Encode raw PCM to an Ogg Vorbis file
+ * @param {Buffer} pcm - s16le frames
+ * @param {string} file - Output file
+ */
+function encodeSprite(pcm, file) {
+  ffmpeg(['-y', '-f', 's16le', '-ac', `${SPRITE_CHANNELS}`, '-ar', `${SPRITE_SAMPLE_RATE}`, '-i', '-',
+    '-c:a', 'libvorbis', '-q:a', '5', file], pcm);
+}
+
+/**
+ * Vite plugin - after a build, packs every SFX of the copied manifest into one audio sprite
+ * The build gets sfx_sprite.ogg and a manifest whose SFX live in "audioSprites", so a stage
+ * fetches one file instead of one per sound. The dev server keeps serving the separate files.
+ * Needs ffmpeg on the PATH; without it, or with sound files missing, the build keeps the separate files
+ * @param {Object} options - {name, path (as fetched), type, gap (seconds)}
+ * @returns {Object} Vite plugin
+ */
+export default function sfxSprite(options = {}) {
+  const name = options.name ?? 'sfx';
+  const spritePath = options.path ?? '/assets/sounds/sfx_sprite.ogg';
+  const type = options.type ?? 'sfx';
+  const gap = options.gap ?? 0.1;
+  let outDir = 'dist';
+
+  return {
+    name: 'megaz-sfx-sprite',
+    apply: 'build',
+
+    configResolved(config) {
+      outDir = resolve(config.root, config.build.outDir);
+    },
+
+    closeBundle() {
+      const manifestFile = join(outDir, 'assets', 'manifest.json');
+      if (!existsSync(manifestFile)) return;
+
+      const manifest = JSON.parse(readFileSync(manifestFile, 'utf8'));
+      if (manifest.audioSprites?.[name]) return; // Already packed by hand
+
+      const sounds = findSpriteSounds(manifest, type);
+      const missing = sounds.filter(([, sound]) => !existsSync(join(outDir, sound.path)));
+      if (sounds.length === 0 || missing.length > 0) {
+        if (missing.length > 0) {
+          console.warn(`SFX sprite skipped, missing sounds: ${missing.map(([key]) => key).join(', ')}`);
+        }
+        return;
+      }
+
+      try {
+        const pcm = sounds.map(([, sound]) => decodeSound(join(outDir, sound.path)));
+        const { regions, totalFrames } = layoutSprite(pcm.map(data => data.length / BYTES_PER_FRAME), SPRITE_SAMPLE_RATE, gap);
+
+        const sprite = Buffer.alloc(totalFrames * BYTES_PER_FRAME);
+        pcm.forEach((data, i) => data.copy(sprite, regions[i].start * BYTES_PER_FRAME));
+        encodeSprite(sprite, join(outDir, spritePath));
+
+        const packed = packManifest(manifest, Object.fromEntries(sounds.map(([key], i) => [key, regions[i]])), name, spritePath, type);
+        writeFileSync(manifestFile, JSON.stringify(packed, null, 2));
+        for (const [, sound] of sounds) {
+          rmSync(join(outDir, sound.path));
+        }
+        console.log(`SFX sprite packed: ${sounds.length} sounds -> ${spritePath}`);
+      } catch (error) {
+        console.warn('SFX sprite skipped, the build keeps the separate files:', error.message);
+      }
+    }
+  };
+}
@@ -0,0 +1,286 @@
+import { GAME_CONFIG } from '../utils/constants.js';
+import { lerp, clamp } from '../utils/helpers.js';
+import { getRandom } from '../utils/Random.js';
+import { getRenderManager } from '../managers/RenderManager.js';
+
+/**
+ * Camera class - equivalent to the scroll handling in CObjSortMgr in C++
+ * Follows a target through a dead-zone with look-ahead, stays inside the level bounds,
+ * honours vertical lock zones and applies screen shake to the world container
+ */
+export class Camera {
+  constructor() {
+    this.viewWidth = GAME_CONFIG.WINDOW_WIDTH;
+    this.viewHeight = GAME_CONFIG.WINDOW_HEIGHT;
+
+    // Top-left of the view in world space
+    this.position = { x: 0, y: 0 };
+    this.previousPosition = { x: 0, y: 0 };
+
+    this.target = null;
+    this.bounds = null; // {x, y, width, height}
+
+    // Target can move this far from the view center before the camera follows
+    this.deadZone = { width: 64, height: 96 };
+    // Where the dead-zone sits, as a fraction of the view (slightly low so more sky shows)
+    this.focus = { x: 0.5, y: 0.6 };
+
+    // Look-ahead in the facing direction
+    this.lookAheadDistance = 60;
+    this.lookAheadSpeed = 3; // Blend rate per second when turning around
+    this.lookAhead = 0;
+
+    // Vertical lock zones: {left, right, y} - view top is pinned to y while the target is inside
+    this.lockZones = [];
+    this.lockBlendSpeed = 6; // Blend rate per second into and out of a lock
+
+    // Screen shake
+    this.shakeIntensity = 0;
+    this.shakeDuration = 0;
+    this.shakeTimer = 0;
+    this.shakeOffset = { x: 0, y: 0 };
+
+    this.renderManager = getRenderManager();
+  }
+
+  /**
+   * Set the object to follow
+   * @param {GameObject} target - Object with transform.position (and getFacing)
+   */
+  follow(target) {
+    this.target = target;
+  }
+
+  /**
+   * Limit the view to the level area
+   * @param {number} x - Level left
+   * @param {number} y - Level top
+   * @param {number} width - Level width
+   * @param {number} height - Level height
+   */
+  setBounds(x, y, width, height) {
+    this.bounds = { x, y, width, height };
+  }
+
+  /**
+   * Add a vertical lock zone
+   * @param {number} left - Zone left (world x)
+   * @param {number} right - Zone right (world x)
+   * @param {number} y - View top to lock to while the target is in the zone
+   */
+  addLockZone(left, right, y) {
+    this.lockZones.push({ left, right, y });
+  }
+
+  /**
+   * Remove all vertical lock zones
+   */
+  clearLockZones() {
+    this.lockZones = [];
+  }
+
+  /**
+   * Shake the screen
+   * @param {number} intensity - Max offset in pixels
+   * @param {number} duration - Seconds, intensity fades out over this time
+   */
+  shake(intensity, duration) {
+    // A weaker shake never cuts a stronger one short
+    if (this.shakeTimer > 0 && intensity < this.shakeIntensity * (this.shakeTimer / this.shakeDuration)) return;
+
+    this.shakeIntensity = intensity;
+    this.shakeDuration = duration;
+    this.shakeTimer = duration;
+  }
+
+  /**
+   * Remember the position before a logic tick for render interpolation
+   */
+  savePreviousState() {
+    this.previousPosition.x = this.position.x;
+    this.previousPosition.y = this.position.y;
+  }
+
+  /**
+   * Jump straight to the target (scene start, respawn)
+   */
+  snapToTarget() {
+    if (this.target) {
+      const facing = this.target.getFacing?.() ?? 1;
+      this.lookAhead = facing * this.lookAheadDistance;
+
+      const targetPosition = this.target.transform.position;
+      const focusX = targetPosition.x + this.lookAhead;
+      this.position.x = focusX - this.viewWidth * this.focus.x;
+      this.position.y = this.getLockedY(targetPosition.x) ?? targetPosition.y - this.viewHeight * this.focus.y;
+    }
+
+    this.clampToBounds();
+    this.savePreviousState();
+  }
+
+  /**
+   * Follow the target for one logic tick
+   * @param {number} deltaTime - Fixed tick length in seconds
+   */
+  update(deltaTime) {
+    this.updateShake(deltaTime);
+
+    if (!this.target || this.target.isDestroyed?.()) return;
+
+    const targetPosition = this.target.transform.position;
+
+    // Ease the look-ahead toward the facing side
+    const facing = this.target.getFacing?.() ?? 1;
+    const lookAheadGoal = facing * this.lookAheadDistance;
+    this.lookAhead = lerp(this.lookAhead, lookAheadGoal, Math.min(this.lookAheadSpeed * deltaTime, 1));
+
+    // Horizontal: keep the look-ahead point inside the dead-zone
+    const focusX = targetPosition.x + this.lookAhead;
+    const centerX = this.position.x + this.viewWidth * this.focus.x;
+    const halfZoneWidth = this.deadZone.width / 2;
+    if (focusX > centerX + halfZoneWidth) {
+      this.position.x += focusX - (centerX + halfZoneWidth);
+    } else if (focusX < centerX - halfZoneWidth) {
+      this.position.x += focusX - (centerX - halfZoneWidth);
+    }
+
+    // Vertical: lock zones win over the dead-zone
+    const lockedY = this.getLockedY(targetPosition.x);
+    if (lockedY !== null) {
+      this.position.y = lerp(this.position.y, lockedY, Math.min(this.lockBlendSpeed * deltaTime, 1));
+    } else {
+      const centerY = this.position.y + this.viewHeight * this.focus.y;
+      const halfZoneHeight = this.deadZone.height / 2;
+      if (targetPosition.y > centerY + halfZoneHeight) {
+        this.position.y += targetPosition.y - (centerY + halfZoneHeight);
+      } else if (targetPosition.y < centerY - halfZoneHeight) {
+        this.position.y += targetPosition.y - (centerY - halfZoneHeight);
+      }
+    }
+
+    this.clampToBounds();
+  }
+
+  /**
+   * Get the locked view top for a target x
+   * @param {number} x - Target world x
+   * @returns {number|null} Locked y or null outside every zone
+   */
+  getLockedY(x) {
+    const zone = this.lockZones.find(lock => x >= lock.left && x <= lock.right);
+    return zone ? zone.y : null;
+  }
+
+  /**
+   * Keep the view inside the level bounds (centered if the level is smaller)
+   */
+  clampToBounds() {
+    if (!this.bounds) return;
+
+    const { x, y, width, height } = this.bounds;
+    this.position.x = width <= this.viewWidth
+      ? x + (width - this.viewWidth) / 2
+      : clamp(this.position.x, x, x + width - this.viewWidth);
+    this.position.y = height <= this.viewHeight
+      ? y + (height - this.viewHeight) / 2
+      : clamp(this.position.y, y, y + height - this.viewHeight);
+  }
+
+  /**
+   * Advance the screen shake
+   * @param {number} deltaTime - Fixed tick length in seconds
+   */
+  updateShake(deltaTime) {
+    if (this.shakeTimer <= 0) {
+      this.shakeOffset.x = 0;
+      this.shakeOffset.y = 0;
+      return;
+    }
+
+    this.shakeTimer = Math.max(this.shakeTimer - deltaTime, 0);
+    const strength = this.shakeIntensity * (this.shakeTimer / this.shakeDuration);
+    const random = getRandom();
+    this.shakeOffset.x = random.range(-1, 1) * strength;
+    this.shakeOffset.y = random.range(-1, 1) * strength;
+  }
+
+  /**
+   * Move the world container for this frame
+   * @param {number} alpha - Interpolation factor between logic ticks (0-1)
+   */
+  apply(alpha = 1) {
+    const view = this.getViewPosition(alpha);
+    // Whole pixels keep pixel art crisp while scrolling
+    this.renderManager.setWorldTransform(
+      Math.round(view.x + this.shakeOffset.x),
+      Math.round(view.y + this.shakeOffset.y)
+    );
+  }
+
+  /**
+   * Get the interpolated view top-left (without shake)
+   * @param {number} alpha - Interpolation factor between logic ticks (0-1)
+   * @returns {Object} Position {x, y}
+   */
+  getViewPosition(alpha = 1) {
+    return {
+      x: lerp(this.previousPosition.x, this.position.x, alpha),
+      y: lerp(this.previousPosition.y, this.position.y, alpha)
+    };
+  }
+
+  /**
+   * Get the view rectangle in world space
+   * @returns {Object} Rect {x, y, width, height}
+   */
+  getViewRect() {
+    return { x: this.position.x, y: this.position.y, width: this.viewWidth, height: this.viewHeight };
+  }
+
+  /**
+   * Convert a world point to screen space
+   * @param {number} x - World x
+   * @param {number} y - World y
+   * @returns {Object} Screen point {x, y}
+   */
+  worldToScreen(x, y) {
+    return { x: x - this.position.x, y: y - this.position.y };
+  }
+
+  /**
+   * Convert a screen point to world space
+   * @param {number} x - Screen x
+   * @param {number} y - Screen y
+   * @returns {Object} World point {x, y}
+   */
+  screenToWorld(x, y) {
+    return { x: x + this.position.x, y: y + this.position.y };
+  }
+
+  /**
+   * Reset for a new scene
+   */
+  reset() {
+    this.target = null;
+    this.bounds = null;
+    this.lockZones = [];
+    this.lookAhead = 0;
+    this.shakeTimer = 0;
+    this.shakeOffset.x = 0;
+    this.shakeOffset.y = 0;
+    this.position.x = 0;
+    this.position.y = 0;
+    this.savePreviousState();
+  }
+}
+
+// Singleton instance
+let cameraInstance = null;
+
+export const getCamera = () => {
+  if (!cameraInstance) {
+    cameraInstance = new Camera();
+  }
+  return cameraInstance;
+};
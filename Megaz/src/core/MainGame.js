@@ -6,6 +6,10 @@ import { getObjectSortManager } from '../managers/ObjectSortManager.js';
 import { getKeyManager } from '../managers/KeyManager.js';
 import { getRenderManager } from '../managers/RenderManager.js';
 import { getTextureManager } from '../managers/TextureManager.js';
+import { getCombatManager } from '../managers/CombatManager.js';
+import { getTouchControls } from '../managers/TouchControls.js';
+import { getReplayManager } from '../managers/ReplayManager.js';
+import { getCamera } from './Camera.js';
 import { FIELD } from '../utils/constants.js';
 import * as PIXI from 'pixi.js';
 
@@ -28,10 +32,9 @@ export class MainGame {
     this.keyManager = getKeyManager();
     this.renderManager = getRenderManager();
     this.textureManager = getTextureManager();
-    
-    // Game loop
-    this.lastFrameTime = 0;
-    this.targetFrameTime = 16; // 60 FPS
+    this.combatManager = getCombatManager();
+    this.camera = getCamera();
+    this.replayManager = getReplayManager();
   }
 
   /**
@@ -68,18 +71,22 @@ export class MainGame {
         throw new Error('Failed to initialize KeyManager');
       }
 
+      // On-screen controls, fed into KeyManager as another input source
+      getTouchControls().init(canvas);
+
       // Initialize Time Manager
       this.timeManager.initTimeMgr();
 
-      // Register scenes
-      await this.registerScenes();
-
-      // Initialize first scene (Logo or Stage One)
-      const sceneSuccess = await this.sceneManager.initScene('STAGE_ONE');
+      // Initialize first scene (scenes are declared in scenes/sceneRegistry.js)
+      const sceneSuccess = await this.sceneManager.initScene('STAGE_LOGO');
       if (!sceneSuccess) {
         throw new Error('Failed to initialize initial scene');
       }
 
+      // Fade in from black once the loop starts
+      this.renderManager.setFadeAlpha(0);
+      this.renderManager.startFadeIn();
+
       this.initialized = true;
       console.log('Game initialized successfully');
       return true;
@@ -91,179 +98,66 @@ export class MainGame {
   }
 
   /**
-   * Register all game scenes
+   * Advance the simulation by one fixed tick - equivalent to Update() in C++
+   * @param {number} deltaTime - Fixed tick length in seconds
    */
-  async registerScenes() {
-    // Import Scene class
-    const { Scene } = await import('../managers/SceneManager.js');
-    
-    // Register Logo scene
-    this.sceneManager.registerScene('STAGE_LOGO', () => {
-      return new (class LogoScene extends Scene {
-        async initialize() {
-          console.log('Logo scene initialized');
-          return true;
-        }
-        update(deltaTime) {
-          return true;
-        }
-        render() {
-          return true;
-        }
-      })();
-    });
-
-    // Register Stage One scene  
-    this.sceneManager.registerScene('STAGE_ONE', () => {
-      const device = this.device; // Capture device reference
-      const textureManager = this.textureManager;
-      const objectSortManager = this.objectSortManager;
-      
-      return new (class StageOneScene extends Scene {
-        constructor() {
-          super();
-          this.device = device;
-          this.textureManager = textureManager;
-          this.objectSortManager = objectSortManager;
-          this.player = null;
-          this.testSprite = null;
-          this.testText = null;
-        }
-
-        async initialize() {
-          console.log('Stage One scene initialized');
-          
-          // Get PIXI app
-          const app = this.device.getApp();
-          
-          // CLEAR STAGE FIRST to avoid duplicates
-          app.stage.removeChildren();
-          console.log('Stage cleared to prevent duplicates');
-          
-          // Create simple player for testing (without assets)
-          const { Player } = await import('../objects/Player.js');
-          this.player = new Player();
-          
-          // Pass device reference to player
-          this.player.device = this.device;
-          
-          await this.player.initialize();
-          
-          // Add player to object manager
-          this.objectSortManager.insertObject(this.player);
-          
-          // Expose player for debugging
-          window.debugPlayer = this.player;
-          console.log('Player exposed as window.debugPlayer for testing');
-          
-          // Create test background
-          this.testSprite = new PIXI.Graphics();
-          this.testSprite.beginFill(0x001122); // Dark blue background
-          this.testSprite.drawRect(0, 0, 800, 600);
-          this.testSprite.endFill();
-          app.stage.addChild(this.testSprite);
-          
-          // Create ground
-          const ground = new PIXI.Graphics();
-          ground.beginFill(0x444444); // Gray ground
-          ground.drawRect(0, 480, 800, 120);
-          ground.endFill();
-          app.stage.addChild(ground);
-          
-          // Create test text
-          this.testText = new PIXI.Text('MegaMan X4 - Player Test\nUse Arrow Keys, X (Jump), Z (Dash), C (Attack)', {
-            fontFamily: 'Arial',
-            fontSize: 16,
-            fill: 0xFFFFFF,
-            align: 'center'
-          });
-          this.testText.x = 400;
-          this.testText.y = 30;
-          this.testText.anchor.set(0.5, 0);
-          app.stage.addChild(this.testText);
-          
-          console.log('Player scene initialized (test mode)');
-          return true;
-        }
-        
-        async loadPlayerAssets() {
-          // Load basic player textures for testing
-          try {
-            const { AssetLoader } = await import('../utils/AssetLoader.js');
-            const assetLoader = new AssetLoader();
-            
-            await assetLoader.loadManifest();
-            await assetLoader.loadAllAssets((progress) => {
-              console.log(`Loading assets: ${Math.round(progress * 100)}%`);
-            });
-            
-            console.log('Player assets loaded');
-          } catch (error) {
-            console.error('Failed to load player assets:', error);
-          }
-        }
-        
-        update(deltaTime) {
-          // Update player
-          if (this.player) {
-            this.player.update(deltaTime);
-          }
-          return true;
-        }
-        
-        render() {
-          // Render player
-          if (this.player) {
-            this.player.render();
-          }
-          return true;
-        }
-        
-        destroy() {
-          if (this.player) {
-            this.player.destroy();
-          }
-          super.destroy();
-        }
-      })();
-    });
-  }
-
-  /**
-   * Update game state - equivalent to Update() in C++
-   * @param {number} currentTime - Current timestamp
-   */
-  update(currentTime) {
+  update(deltaTime) {
     if (!this.initialized || !this.running) return;
 
-    // Calculate delta time
-    this.timeManager.setTime();
-    const deltaTime = this.timeManager.getTime();
+    // Snapshot positions for render interpolation
+    this.objectSortManager.savePreviousStates();
+    this.camera.savePreviousState();
+
+    // Screen fades run even while the world is frozen
+    this.renderManager.updateFade(deltaTime);
+
+    // Scene transitions and pause overlays freeze the world
+    if (this.sceneManager.isWorldFrozen()) {
+      this.updateInput(deltaTime);
+      // Menu presses mustn't come out of the pause as buffered jumps
+      this.keyManager.clearActionBuffer();
+      this.sceneManager.update(deltaTime);
+      return;
+    }
+
+    // Freeze the world for a few ticks after heavy hits
+    // (input isn't polled so presses during the freeze aren't lost)
+    if (this.combatManager.consumeHitStop()) return;
 
     // Update input
-    this.keyManager.update();
+    this.updateInput(deltaTime);
 
     // Update scene
     this.sceneManager.update(deltaTime);
 
     // Update all objects
     this.objectSortManager.updateObjects(deltaTime);
+
+    // Resolve hitboxes against hurtboxes
+    this.combatManager.update(this.objectSortManager.getAllObjects(), deltaTime);
+
+    // Follow the player after everything has moved
+    this.camera.update(deltaTime);
   }
 
   /**
    * Render game - equivalent to Render() in C++
+   * @param {number} alpha - Interpolation factor between previous and current tick (0-1)
    */
-  render() {
+  render(alpha = 1) {
     if (!this.initialized || !this.running) return;
 
     // Begin rendering
     this.device.renderBegin();
 
+    // Position the world for this frame
+    this.camera.apply(alpha);
+
     // Render scene
-    this.sceneManager.render();
+    this.sceneManager.render(alpha);
 
     // Render all objects
-    this.objectSortManager.renderObjects();
+    this.objectSortManager.renderObjects(alpha);
 
     // End rendering
     this.device.renderEnd();
@@ -279,7 +173,9 @@ export class MainGame {
     }
 
     this.running = true;
-    this.lastFrameTime = performance.now();
+    
+    // Reset timing so loading time isn't simulated as catch-up ticks
+    this.timeManager.initTimeMgr();
     
     // Start the game loop
     this.gameLoop();
@@ -297,24 +193,36 @@ export class MainGame {
 
   /**
    * Main game loop
+   * Runs logic at a fixed rate and renders once per animation frame,
+   * interpolating between the last two logic ticks
    */
   gameLoop() {
     if (!this.running) return;
 
-    const currentTime = performance.now();
-    const deltaTime = currentTime - this.lastFrameTime;
+    // Accumulate real frame time
+    this.timeManager.setTime();
 
-    // Maintain target frame rate
-    if (deltaTime >= this.targetFrameTime) {
-      this.update(currentTime);
-      this.render();
-      this.lastFrameTime = currentTime;
+    // Run as many fixed ticks as the accumulator allows
+    while (this.timeManager.consumeFixedStep()) {
+      this.update(this.timeManager.getFixedTime());
     }
 
+    this.render(this.timeManager.getAlpha());
+
     // Continue the loop
     requestAnimationFrame(() => this.gameLoop());
   }
 
+  /**
+   * Read this tick's input, recorded or replaced by a replay
+   * @param {number} deltaTime - Fixed tick length in seconds
+   */
+  updateInput(deltaTime) {
+    this.replayManager.beginTick();
+    this.keyManager.update(deltaTime);
+    this.replayManager.endTick();
+  }
+
   /**
    * Handle window resize
    * @param {number} width - New width
@@ -346,8 +254,10 @@ export class MainGame {
     this.stop();
 
     // Cleanup managers
+    this.replayManager.destroy();
     this.sceneManager.destroy();
     this.objectSortManager.destroy();
+    this.combatManager.destroy();
     this.textureManager.destroy();
     this.soundManager.destroy();
     this.renderManager.destroy();
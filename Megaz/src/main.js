@@ -154,6 +154,26 @@ class GameLauncher {
       }
     });
 
+    // F8 starts/stops an input recording (saved as a JSON file), F9 plays one back or stops playback
+    window.addEventListener('keydown', (e) => {
+      if (!this.game || e.repeat) return;
+      const replayManager = this.game.replayManager;
+      if (e.key === 'F8' && !replayManager.isPlaying()) {
+        if (replayManager.isRecording()) {
+          replayManager.stopRecording();
+          replayManager.downloadRecording();
+        } else {
+          replayManager.startRecording();
+        }
+      } else if (e.key === 'F9' && !replayManager.isRecording()) {
+        if (replayManager.isPlaying()) {
+          replayManager.stopPlayback();
+        } else {
+          replayManager.openReplayFile();
+        }
+      }
+    });
+
     // Debug: Show game stats
     if (process.env.NODE_ENV === 'development') {
       window.addEventListener('keydown', (e) => {
@@ -0,0 +1,484 @@
+import { GAME_CONFIG, TILE_TYPE, DIRECTION } from '../utils/constants.js';
+
+// Distance below the feet that still counts as standing on something
+const GROUND_PROBE = 1;
+
+// ASCII legend used by CollisionMap.fromRows
+const DEFAULT_LEGEND = {
+  '.': TILE_TYPE.EMPTY,
+  '#': TILE_TYPE.SOLID,
+  '=': TILE_TYPE.PLATFORM,
+  '/': TILE_TYPE.SLOPE_UP,
+  '\\': TILE_TYPE.SLOPE_DOWN,
+  '^': TILE_TYPE.SPIKE,
+};
+
+/**
+ * CollisionMap class - tile grid describing solid stage geometry
+ * Columns outside the map are solid (level edges), rows outside are empty (pits)
+ */
+export class CollisionMap {
+  constructor(columns, rows, tileSize = GAME_CONFIG.TILE_SIZE) {
+    this.columns = columns;
+    this.rows = rows;
+    this.tileSize = tileSize;
+    this.tiles = new Uint8Array(columns * rows);
+  }
+
+  /**
+   * Build a map from ASCII rows
+   * @param {Array<string>} rows - One string per tile row
+   * @param {Object} legend - Character to TILE_TYPE mapping
+   * @param {number} tileSize - Tile size in pixels
+   * @returns {CollisionMap} New collision map
+   */
+  static fromRows(rows, legend = DEFAULT_LEGEND, tileSize = GAME_CONFIG.TILE_SIZE) {
+    const columns = Math.max(...rows.map(row => row.length));
+    const map = new CollisionMap(columns, rows.length, tileSize);
+
+    rows.forEach((row, rowIndex) => {
+      for (let col = 0; col < row.length; col++) {
+        map.setTile(col, rowIndex, legend[row[col]] ?? TILE_TYPE.EMPTY);
+      }
+    });
+
+    return map;
+  }
+
+  /**
+   * Get tile type at a tile coordinate
+   * @param {number} col - Tile column
+   * @param {number} row - Tile row
+   * @returns {number} TILE_TYPE value
+   */
+  getTile(col, row) {
+    if (col < 0 || col >= this.columns) return TILE_TYPE.SOLID;
+    if (row < 0 || row >= this.rows) return TILE_TYPE.EMPTY;
+    return this.tiles[row * this.columns + col];
+  }
+
+  /**
+   * Set tile type at a tile coordinate
+   * @param {number} col - Tile column
+   * @param {number} row - Tile row
+   * @param {number} type - TILE_TYPE value
+   */
+  setTile(col, row, type) {
+    if (col < 0 || col >= this.columns || row < 0 || row >= this.rows) return;
+    this.tiles[row * this.columns + col] = type;
+  }
+
+  /**
+   * Get map width in pixels
+   * @returns {number} Width
+   */
+  getPixelWidth() {
+    return this.columns * this.tileSize;
+  }
+
+  /**
+   * Get map height in pixels
+   * @returns {number} Height
+   */
+  getPixelHeight() {
+    return this.rows * this.tileSize;
+  }
+
+  /**
+   * Get the surface height of a slope tile at a world x position
+   * @param {number} type - SLOPE_UP or SLOPE_DOWN
+   * @param {number} col - Tile column
+   * @param {number} row - Tile row
+   * @param {number} x - World x position
+   * @returns {number} World y of the slope surface
+   */
+  getSlopeSurface(type, col, row, x) {
+    const localX = Math.min(Math.max(x - col * this.tileSize, 0), this.tileSize);
+    const top = row * this.tileSize;
+
+    if (type === TILE_TYPE.SLOPE_UP) {
+      return top + this.tileSize - localX;
+    }
+    return top + localX;
+  }
+}
+
+/**
+ * Create an empty contact set
+ * @returns {Object} Contact flags
+ */
+const createContacts = () => ({
+  ground: false,
+  ceiling: false,
+  wallLeft: false,
+  wallRight: false,
+  platform: false,
+  slope: false,
+  hazard: false,
+  outOfBounds: false,
+});
+
+/**
+ * Check whether a tile stops horizontal movement
+ * @param {number} type - TILE_TYPE value
+ * @returns {boolean} True if blocking
+ */
+const blocksSides = (type) => type === TILE_TYPE.SOLID || type === TILE_TYPE.SPIKE;
+
+/**
+ * CollisionManager class - resolves movement against the active stage map
+ * Bodies are described by their bottom-center point like Player sprites
+ */
+export class CollisionManager {
+  constructor() {
+    this.map = null;
+  }
+
+  /**
+   * Set the active collision map
+   * @param {CollisionMap} map - Map for the current stage
+   */
+  setMap(map) {
+    this.map = map;
+  }
+
+  /**
+   * Get the active collision map
+   * @returns {CollisionMap|null} Current map
+   */
+  getMap() {
+    return this.map;
+  }
+
+  /**
+   * Move a body through the map with swept AABB resolution
+   * Horizontal and vertical movement are swept separately, then slopes snap the feet
+   * @param {Object} body - Body {x, y, width, height} where x is center and y is feet
+   * @param {number} dx - Horizontal movement
+   * @param {number} dy - Vertical movement
+   * @param {Object} options - {grounded} whether the body started on the ground
+   * @returns {Object} Result {x, y, contacts}
+   */
+  moveBody(body, dx, dy, options = {}) {
+    const contacts = createContacts();
+    const result = { x: body.x + dx, y: body.y + dy, contacts };
+
+    if (!this.map) return result;
+
+    const grounded = options.grounded === true;
+    const ts = this.map.tileSize;
+    const stepHeight = grounded ? ts / 2 : 0;
+
+    result.x = this.sweepHorizontal(body, dx, stepHeight, contacts);
+
+    if (grounded) {
+      result.y = this.stepUp(result.x, body.y, body.width, stepHeight);
+    } else {
+      result.y = body.y;
+    }
+
+    result.y = this.sweepVertical(result.x, result.y, body.width, body.height, dy, contacts);
+
+    if (dy >= 0) {
+      this.snapToSlope(result, grounded, contacts);
+    }
+
+    // Stay glued to the floor when walking off a slope or probe for support while standing
+    if (!contacts.ground && dy >= 0) {
+      this.snapToFloor(result, body.width, grounded ? stepHeight : GROUND_PROBE, contacts);
+    }
+
+    if (this.touchesType(result.x, result.y, body.width, body.height, TILE_TYPE.SPIKE)) {
+      contacts.hazard = true;
+    }
+
+    if (result.y - body.height > this.map.getPixelHeight()) {
+      contacts.outOfBounds = true;
+    }
+
+    return result;
+  }
+
+  /**
+   * Sweep a body horizontally and stop at the first blocking column
+   * @param {Object} body - Body {x, y, width, height}
+   * @param {number} dx - Horizontal movement
+   * @param {number} stepHeight - Height at the feet ignored for blocking
+   * @param {Object} contacts - Contact flags to fill
+   * @returns {number} Resolved center x
+   */
+  sweepHorizontal(body, dx, stepHeight, contacts) {
+    if (dx === 0) return body.x;
+
+    const ts = this.map.tileSize;
+    const halfWidth = body.width / 2;
+    const rowStart = Math.floor((body.y - body.height) / ts);
+    const rowEnd = Math.ceil((body.y - stepHeight) / ts) - 1;
+
+    if (dx > 0) {
+      const leading = body.x + halfWidth;
+      const target = leading + dx;
+      const colEnd = Math.ceil(target / ts) - 1;
+
+      for (let col = Math.ceil(leading / ts); col <= colEnd; col++) {
+        for (let row = rowStart; row <= rowEnd; row++) {
+          if (blocksSides(this.map.getTile(col, row))) {
+            contacts.wallRight = true;
+            return col * ts - halfWidth;
+          }
+        }
+      }
+    } else {
+      const leading = body.x - halfWidth;
+      const target = leading + dx;
+      const colEnd = Math.floor(target / ts);
+
+      for (let col = Math.floor(leading / ts) - 1; col >= colEnd; col--) {
+        for (let row = rowStart; row <= rowEnd; row++) {
+          if (blocksSides(this.map.getTile(col, row))) {
+            contacts.wallLeft = true;
+            return (col + 1) * ts + halfWidth;
+          }
+        }
+      }
+    }
+
+    return body.x + dx;
+  }
+
+  /**
+   * Lift grounded feet out of a solid tile they walked into (top of a slope)
+   * @param {number} x - Center x
+   * @param {number} y - Feet y
+   * @param {number} width - Body width
+   * @param {number} stepHeight - Maximum lift
+   * @returns {number} Resolved feet y
+   */
+  stepUp(x, y, width, stepHeight) {
+    const ts = this.map.tileSize;
+    const row = Math.floor((y - 0.001) / ts);
+    const top = row * ts;
+
+    if (y - top > stepHeight) return y;
+
+    const colStart = Math.floor((x - width / 2) / ts);
+    const colEnd = Math.ceil((x + width / 2) / ts) - 1;
+    for (let col = colStart; col <= colEnd; col++) {
+      if (blocksSides(this.map.getTile(col, row))) {
+        return top;
+      }
+    }
+    return y;
+  }
+
+  /**
+   * Sweep a body vertically and stop at the first blocking row
+   * One-way platforms only block when falling onto them from above
+   * @param {number} x - Center x
+   * @param {number} y - Feet y
+   * @param {number} width - Body width
+   * @param {number} height - Body height
+   * @param {number} dy - Vertical movement
+   * @param {Object} contacts - Contact flags to fill
+   * @returns {number} Resolved feet y
+   */
+  sweepVertical(x, y, width, height, dy, contacts) {
+    if (dy === 0) return y;
+
+    const ts = this.map.tileSize;
+    const colStart = Math.floor((x - width / 2) / ts);
+    const colEnd = Math.ceil((x + width / 2) / ts) - 1;
+
+    if (dy > 0) {
+      const rowEnd = Math.ceil((y + dy) / ts) - 1;
+
+      for (let row = Math.ceil(y / ts); row <= rowEnd; row++) {
+        for (let col = colStart; col <= colEnd; col++) {
+          const tile = this.map.getTile(col, row);
+          if (blocksSides(tile) || tile === TILE_TYPE.PLATFORM) {
+            contacts.ground = true;
+            contacts.platform = tile === TILE_TYPE.PLATFORM;
+            contacts.hazard = tile === TILE_TYPE.SPIKE;
+            return row * ts;
+          }
+        }
+      }
+    } else {
+      const head = y - height;
+      const rowEnd = Math.floor((head + dy) / ts);
+
+      for (let row = Math.floor(head / ts) - 1; row >= rowEnd; row--) {
+        for (let col = colStart; col <= colEnd; col++) {
+          if (blocksSides(this.map.getTile(col, row))) {
+            contacts.ceiling = true;
+            return (row + 1) * ts + height;
+          }
+        }
+      }
+    }
+
+    return y + dy;
+  }
+
+  /**
+   * Snap feet onto a slope under the body's center
+   * @param {Object} result - Movement result {x, y} to adjust
+   * @param {boolean} grounded - Whether the body was on the ground (allows snapping down)
+   * @param {Object} contacts - Contact flags to fill
+   */
+  snapToSlope(result, grounded, contacts) {
+    const ts = this.map.tileSize;
+    const col = Math.floor(result.x / ts);
+    const feetRow = Math.floor((result.y - 0.001) / ts);
+
+    for (let row = feetRow; row <= feetRow + 1; row++) {
+      const tile = this.map.getTile(col, row);
+      if (tile !== TILE_TYPE.SLOPE_UP && tile !== TILE_TYPE.SLOPE_DOWN) continue;
+
+      const surface = this.map.getSlopeSurface(tile, col, row, result.x);
+      const below = result.y > surface && result.y - surface <= ts;
+      const snapDown = grounded && result.y <= surface && surface - result.y <= ts / 2;
+
+      if (below || snapDown) {
+        result.y = surface;
+        contacts.ground = true;
+        contacts.slope = true;
+        contacts.platform = false;
+        return;
+      }
+    }
+  }
+
+  /**
+   * Snap feet down onto a floor tile within a short distance
+   * @param {Object} result - Movement result {x, y} to adjust
+   * @param {number} width - Body width
+   * @param {number} maxDrop - Largest gap that still counts as standing
+   * @param {Object} contacts - Contact flags to fill
+   */
+  snapToFloor(result, width, maxDrop, contacts) {
+    const ts = this.map.tileSize;
+    const row = Math.ceil(result.y / ts);
+    const top = row * ts;
+    if (top - result.y > maxDrop) return;
+
+    const colStart = Math.floor((result.x - width / 2) / ts);
+    const colEnd = Math.ceil((result.x + width / 2) / ts) - 1;
+    for (let col = colStart; col <= colEnd; col++) {
+      const tile = this.map.getTile(col, row);
+      if (blocksSides(tile) || tile === TILE_TYPE.PLATFORM) {
+        result.y = top;
+        contacts.ground = true;
+        contacts.platform = tile === TILE_TYPE.PLATFORM;
+        return;
+      }
+    }
+  }
+
+  /**
+   * Check whether a body touches (overlaps or borders) a tile type
+   * @param {number} x - Center x
+   * @param {number} y - Feet y
+   * @param {number} width - Body width
+   * @param {number} height - Body height
+   * @param {number} type - TILE_TYPE to look for
+   * @returns {boolean} True if touching
+   */
+  touchesType(x, y, width, height, type) {
+    const ts = this.map.tileSize;
+    const colStart = Math.floor((x - width / 2 - GROUND_PROBE) / ts);
+    const colEnd = Math.floor((x + width / 2 + GROUND_PROBE) / ts);
+    const rowStart = Math.floor((y - height) / ts);
+    const rowEnd = Math.floor((y + GROUND_PROBE) / ts);
+
+    for (let row = rowStart; row <= rowEnd; row++) {
+      for (let col = colStart; col <= colEnd; col++) {
+        if (this.map.getTile(col, row) === type) {
+          return true;
+        }
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Check whether a body is flush against a wall beside its torso
+   * @param {Object} body - Body {x, y, width, height}
+   * @param {number} direction - DIRECTION.LEFT or DIRECTION.RIGHT
+   * @returns {boolean} True if a solid tile is right next to the body
+   */
+  isTouchingWall(body, direction) {
+    if (!this.map) return false;
+
+    const ts = this.map.tileSize;
+    const halfWidth = body.width / 2;
+    const probeX = direction === DIRECTION.RIGHT
+      ? body.x + halfWidth + GROUND_PROBE
+      : body.x - halfWidth - GROUND_PROBE;
+    const col = Math.floor(probeX / ts);
+    const row = Math.floor((body.y - body.height / 2) / ts);
+
+    return blocksSides(this.map.getTile(col, row));
+  }
+
+  /**
+   * Check whether a point is inside solid stage geometry (shots hitting walls)
+   * Platforms never count - they only block from above
+   * @param {number} x - World x
+   * @param {number} y - World y
+   * @returns {boolean} True if the point is inside a solid tile or below a slope surface
+   */
+  isSolidAt(x, y) {
+    if (!this.map) return false;
+
+    const ts = this.map.tileSize;
+    const col = Math.floor(x / ts);
+    const row = Math.floor(y / ts);
+    const tile = this.map.getTile(col, row);
+
+    if (tile === TILE_TYPE.SLOPE_UP || tile === TILE_TYPE.SLOPE_DOWN) {
+      return y >= this.map.getSlopeSurface(tile, col, row, x);
+    }
+    return blocksSides(tile);
+  }
+
+  /**
+   * Find the first ground surface below a point
+   * @param {number} x - World x
+   * @param {number} y - World y to search down from
+   * @returns {number|null} Ground y or null over a pit
+   */
+  findGroundBelow(x, y) {
+    if (!this.map) return null;
+
+    const ts = this.map.tileSize;
+    const col = Math.floor(x / ts);
+    for (let row = Math.max(Math.floor(y / ts), 0); row < this.map.rows; row++) {
+      const tile = this.map.getTile(col, row);
+      if (tile === TILE_TYPE.SLOPE_UP || tile === TILE_TYPE.SLOPE_DOWN) {
+        return this.map.getSlopeSurface(tile, col, row, x);
+      }
+      if (tile !== TILE_TYPE.EMPTY) {
+        return row * ts;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Remove the active map
+   */
+  clear() {
+    this.map = null;
+  }
+}
+
+// Singleton instance
+let collisionManagerInstance = null;
+
+export const getCollisionManager = () => {
+  if (!collisionManagerInstance) {
+    collisionManagerInstance = new CollisionManager();
+  }
+  return collisionManagerInstance;
+};
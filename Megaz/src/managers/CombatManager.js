@@ -0,0 +1,161 @@
+import { TEAM } from '../utils/constants.js';
+
+// Payload fields a hitbox may leave out
+const DEFAULT_HIT = {
+  damage: 1,
+  knockback: { x: 0, y: 0 },
+  hitStop: 0,        // Ticks the whole world freezes
+  invincibility: 0,  // Seconds of i-frames given to the victim
+};
+
+/**
+ * CombatManager class - resolves hitbox/hurtbox overlaps between game objects
+ * Objects opt in with combatEnabled and describe boxes per animation frame
+ */
+export class CombatManager {
+  constructor() {
+    this.listeners = new Map();
+    this.hitStopTicks = 0;
+  }
+
+  /**
+   * Subscribe to a combat event ('hit')
+   * @param {string} eventName - Event name
+   * @param {Function} callback - Called with the hit event
+   */
+  on(eventName, callback) {
+    if (!this.listeners.has(eventName)) {
+      this.listeners.set(eventName, new Set());
+    }
+    this.listeners.get(eventName).add(callback);
+  }
+
+  /**
+   * Unsubscribe from a combat event
+   * @param {string} eventName - Event name
+   * @param {Function} callback - Callback passed to on()
+   */
+  off(eventName, callback) {
+    const callbacks = this.listeners.get(eventName);
+    if (callbacks) {
+      callbacks.delete(callback);
+    }
+  }
+
+  /**
+   * Notify listeners of an event
+   * @param {string} eventName - Event name
+   * @param {Object} payload - Event data
+   */
+  emit(eventName, payload) {
+    const callbacks = this.listeners.get(eventName);
+    if (!callbacks) return;
+
+    for (const callback of callbacks) {
+      callback(payload);
+    }
+  }
+
+  /**
+   * Resolve combat for one logic tick
+   * @param {Array<GameObject>} objects - All live objects
+   * @param {number} deltaTime - Fixed tick length in seconds
+   */
+  update(objects, deltaTime) {
+    const combatants = objects.filter(obj => obj.combatEnabled && obj.active && !obj.isDestroyed());
+
+    // Count down i-frames once per tick
+    for (const obj of combatants) {
+      if (obj.invincibleTimer > 0) {
+        obj.invincibleTimer = Math.max(obj.invincibleTimer - deltaTime, 0);
+      }
+    }
+
+    for (const attacker of combatants) {
+      const hitboxes = attacker.getActiveHitboxes();
+
+      // Attack window closed - the next window may hit the same targets again
+      if (hitboxes.length === 0) {
+        attacker.hitTargets.clear();
+        continue;
+      }
+
+      for (const victim of combatants) {
+        if (!this.canHit(attacker, victim)) continue;
+
+        const hitbox = hitboxes.find(box => victim.hurtboxesOverlap(box));
+        if (hitbox) {
+          this.dispatchHit(attacker, victim, hitbox);
+        }
+      }
+    }
+  }
+
+  /**
+   * Check team filtering, i-frames and repeat hits
+   * @param {GameObject} attacker - Attacking object
+   * @param {GameObject} victim - Potential victim
+   * @returns {boolean} True if the attacker may hit the victim
+   */
+  canHit(attacker, victim) {
+    if (attacker === victim || victim.isDestroyed() || !attacker.active) return false;
+    if (attacker.team === TEAM.NEUTRAL || attacker.team === victim.team) return false;
+    if (victim.isInvincible()) return false;
+    return !attacker.hitTargets.has(victim);
+  }
+
+  /**
+   * Deliver a hit to the victim and notify the attacker and listeners
+   * @param {GameObject} attacker - Attacking object
+   * @param {GameObject} victim - Object being hit
+   * @param {Object} hitbox - World hitbox that connected
+   */
+  dispatchHit(attacker, victim, hitbox) {
+    const knockback = hitbox.knockback || DEFAULT_HIT.knockback;
+    const hitEvent = {
+      attacker,
+      victim,
+      damage: hitbox.damage ?? DEFAULT_HIT.damage,
+      knockback: { x: knockback.x * attacker.getFacing(), y: knockback.y },
+      hitStop: hitbox.hitStop ?? DEFAULT_HIT.hitStop,
+      invincibility: hitbox.invincibility ?? DEFAULT_HIT.invincibility,
+      hitbox
+    };
+
+    attacker.hitTargets.add(victim);
+
+    if (!victim.takeHit(hitEvent)) return;
+
+    attacker.onHit(hitEvent);
+    this.hitStopTicks = Math.max(this.hitStopTicks, hitEvent.hitStop);
+    this.emit('hit', hitEvent);
+  }
+
+  /**
+   * Consume one tick of hit-stop
+   * @returns {boolean} True if the world should stay frozen this tick
+   */
+  consumeHitStop() {
+    if (this.hitStopTicks <= 0) return false;
+    this.hitStopTicks--;
+    return true;
+  }
+
+  /**
+   * Cleanup listeners and pending hit-stop
+   */
+  destroy() {
+    this.listeners.clear();
+    this.hitStopTicks = 0;
+  }
+}
+
+// Singleton instance
+let combatManagerInstance = null;
+
+export const getCombatManager = () => {
+  if (!combatManagerInstance) {
+    combatManagerInstance = new CombatManager();
+  }
+  return combatManagerInstance;
+};
@@ -0,0 +1,141 @@
+/**
+ * InputSource class - one device feeding key names into KeyManager
+ * KeyManager merges every source assigned to a player, so a name is held
+ * while any of that player's devices holds it
+ */
+export class InputSource {
+  /**
+   * @param {string} id - Unique source id ('keyboard', 'gamepad:0', 'touch', ...)
+   * @param {string} type - 'keyboard', 'gamepad' or 'virtual'
+   */
+  constructor(id, type) {
+    this.id = id;
+    this.type = type;
+    this.keys = new Map(); // Key name -> held
+  }
+
+  /**
+   * Poll the device - called once per tick before the keys are merged
+   */
+  update() {}
+
+  /**
+   * Check if a key name is held
+   * @param {string} name - Key name
+   * @returns {boolean} True if held
+   */
+  isKeyDown(name) {
+    return this.keys.get(name) === true;
+  }
+
+  /**
+   * Get every held key name
+   * @returns {Array<string>} Held key names
+   */
+  getHeldKeys() {
+    const held = [];
+    for (const [name, down] of this.keys) {
+      if (down) held.push(name);
+    }
+    return held;
+  }
+
+  /**
+   * Let go of everything (focus loss, device removal)
+   */
+  releaseAll() {
+    this.keys.clear();
+  }
+
+  /**
+   * Cleanup resources
+   */
+  destroy() {
+    this.releaseAll();
+  }
+}
+
+/**
+ * VirtualSource class - held state set from code (keyboard listeners, touch controls, replays)
+ */
+export class VirtualSource extends InputSource {
+  /**
+   * @param {string} id - Unique source id
+   * @param {string} type - Source type, 'virtual' unless it stands in for a real device
+   */
+  constructor(id, type = 'virtual') {
+    super(id, type);
+  }
+
+  /**
+   * Hold or release a key name
+   * @param {string} name - Key name
+   * @param {boolean} held - True to hold
+   */
+  setKey(name, held) {
+    this.keys.set(name, held);
+  }
+
+  /**
+   * Hold a key name
+   * @param {string} name - Key name
+   */
+  press(name) {
+    this.setKey(name, true);
+  }
+
+  /**
+   * Release a key name
+   * @param {string} name - Key name
+   */
+  release(name) {
+    this.setKey(name, false);
+  }
+}
+
+/**
+ * GamepadSource class - one connected gamepad, read through the gamepad bindings
+ */
+export class GamepadSource extends InputSource {
+  /**
+   * @param {number} index - Gamepad index from the Gamepad API
+   * @param {KeyManager} keyManager - Owner, supplies the player's bindings and deadzone
+   */
+  constructor(index, keyManager) {
+    super(`gamepad:${index}`, 'gamepad');
+
+    this.index = index;
+    this.keyManager = keyManager;
+    this.name = '';
+    this.connected = true;
+  }
+
+  /**
+   * Get the live gamepad state
+   * @returns {Gamepad|null} Gamepad or null when unplugged
+   */
+  getGamepad() {
+    return navigator.getGamepads?.()[this.index] ?? null;
+  }
+
+  /**
+   * Read the pad through the bindings of the player it belongs to
+   */
+  update() {
+    const gamepad = this.getGamepad();
+    if (!gamepad || !gamepad.connected) {
+      this.releaseAll();
+      return;
+    }
+    this.name = gamepad.id;
+
+    const keyManager = this.keyManager;
+    const suppressed = keyManager.suppressedBinding;
+    const player = Math.max(keyManager.getSourcePlayer(this.id), 0);
+    for (const [name, inputs] of Object.entries(keyManager.getPlayerBindings(player).gamepad)) {
+      const held = inputs.some(input => !keyManager.isSameBinding(input, suppressed) &&
+        keyManager.isGamepadBindingHeld(gamepad, input, player));
+      this.keys.set(name, held);
+    }
+  }
+}
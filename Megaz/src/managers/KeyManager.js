@@ -1,41 +1,289 @@
+import { ACTION, GAME_CONFIG } from '../utils/constants.js';
+import { VirtualSource, GamepadSource } from './InputSource.js';
+
+/**
+ * Key names behind each semantic action
+ */
+export const ACTION_KEYS = {
+  [ACTION.JUMP]: ['X'],
+  [ACTION.DASH]: ['Z'],
+  [ACTION.ATTACK]: ['C'],
+  [ACTION.SPECIAL]: ['V'],
+  [ACTION.MENU]: ['ENTER', 'ESCAPE'],
+  [ACTION.CONFIRM]: ['X', 'ENTER'],
+  [ACTION.BACK]: ['Z', 'ESCAPE'],
+  [ACTION.UP]: ['UP'],
+  [ACTION.DOWN]: ['DOWN'],
+  [ACTION.LEFT]: ['LEFT'],
+  [ACTION.RIGHT]: ['RIGHT'],
+};
+
+/**
+ * Default control scheme - key name to the inputs bound to it
+ *   keyboard  KeyboardEvent.code values
+ *   gamepad   {button} indices or {axis, direction} stick halves (standard mapping)
+ */
+export const DEFAULT_BINDINGS = {
+  keyboard: {
+    // Arrow keys
+    LEFT: ['ArrowLeft'],
+    RIGHT: ['ArrowRight'],
+    UP: ['ArrowUp'],
+    DOWN: ['ArrowDown'],
+
+    // Action keys
+    Z: ['KeyZ'],        // Dash
+    X: ['KeyX'],        // Jump
+    C: ['KeyC'],        // Attack 1
+    V: ['KeyV'],        // Fire attack
+    O: ['KeyO'],        // Spawn (debug)
+    P: ['KeyP'],        // Monster spawn (debug)
+
+    // Alternative keys
+    SPACE: ['Space'],
+    ENTER: ['Enter'],
+    ESCAPE: ['Escape'],
+  },
+  gamepad: {
+    // D-pad or left stick for movement
+    LEFT: [{ button: 14 }, { axis: 0, direction: -1 }],
+    RIGHT: [{ button: 15 }, { axis: 0, direction: 1 }],
+    UP: [{ button: 12 }, { axis: 1, direction: -1 }],
+    DOWN: [{ button: 13 }, { axis: 1, direction: 1 }],
+
+    // Action buttons
+    X: [{ button: 0 }],      // A button -> Jump
+    Z: [{ button: 1 }],      // B button -> Dash
+    C: [{ button: 2 }],      // X button -> Attack
+    V: [{ button: 3 }],      // Y button -> Fire
+
+    // Menu buttons
+    ENTER: [{ button: 9 }],  // Start -> Confirm/Pause
+    ESCAPE: [{ button: 8 }], // Back/Select -> Cancel
+  },
+  deadzone: 0.3 // Stick travel (0-1) before an axis binding counts as held
+};
+
+// Most local players KeyManager reads input for
+const MAX_PLAYERS = 4;
+
 /**
  * KeyManager class - equivalent to CKeyMgr in C++
  * Handles keyboard input using modern web APIs
+ * Input comes from sources (keyboard, each gamepad, virtual ones like touch controls),
+ * each assigned to a player; queries read the merged state of one player (player 1 by default)
+ * Every player has their own control profile, which the devices they own are read through
  */
 export class KeyManager {
   constructor() {
-    this.keys = new Map();
-    this.prevKeys = new Map();
     this.initialized = false;
-    this.gamepadIndex = -1;
+    this.inputBlocked = false; // Set during scene transitions - queries report nothing held
     
-    // Key mappings for the game
-    this.keyMappings = {
-      // Arrow keys
-      'ArrowLeft': 'LEFT',
-      'ArrowRight': 'RIGHT',
-      'ArrowUp': 'UP',
-      'ArrowDown': 'DOWN',
-      
-      // Action keys
-      'KeyZ': 'Z',      // Dash
-      'KeyX': 'X',      // Jump
-      'KeyC': 'C',      // Attack 1
-      'KeyV': 'V',      // Fire attack
-      'KeyO': 'O',      // Spawn (debug)
-      'KeyP': 'P',      // Monster spawn (debug)
-      
-      // Alternative keys
-      'Space': 'SPACE',
-      'Enter': 'ENTER',
-      'Escape': 'ESCAPE',
-    };
+    // Input sources and the player each one controls
+    this.sources = new Map(); // id -> InputSource
+    this.sourceOwners = new Map(); // id -> player index
+    this.keyboard = new VirtualSource('keyboard', 'keyboard'); // Written by the keyboard listeners
+    
+    // Per-player state, snapshotted from the player's sources once per tick
+    this.playerCount = 1;
+    this.players = [];
+    this.inputOverride = null; // (player) -> held key names, replaces the sources while a replay plays
+    
+    // Editable bindings per player, saved to localStorage per profile
+    this.storagePrefix = 'megaz.controls';
+    this.profiles = []; // Player index -> active profile name
+    this.bindings = []; // Player index -> {keyboard, gamepad, deadzone}
+    this.keyMappings = {}; // KeyboardEvent.code -> key names, rebuilt from the keyboard owner's bindings
+    this.heldCodes = new Set(); // Physical keys down, so a name stays held while any of its keys is
+    
+    // Rebinding: the next input is captured instead of reaching the game
+    this.capture = null; // {device, resolve, heldInputs: gamepad index -> inputs down at the start}
+    this.suppressedCodes = new Set(); // Captured keys, ignored until released
+    this.suppressedBinding = null; // Captured gamepad input, ignored until released
+    
+    // Semantic actions - edges, hold time and buffered presses, advanced once per tick
+    this.bufferWindow = 0.1; // Seconds a press stays buffered for consumeAction
+    this.bufferWindows = { [ACTION.ATTACK]: 0.15 }; // Per-action overrides
+    
+    this.setPlayerCount(1);
+    for (let player = 0; player < MAX_PLAYERS; player++) {
+      this.profiles[player] = `Player ${player + 1}`;
+      this.setBindings(DEFAULT_BINDINGS, player);
+    }
+    this.addSource(this.keyboard, 0);
+  }
+
+  /**
+   * Create the query state of one player
+   * @returns {Object} {keys, prevKeys, actions}
+   */
+  createPlayerState() {
+    const actions = new Map(); // action -> {down, prevDown, heldTime, bufferTimer}
+    for (const action of Object.keys(ACTION_KEYS)) {
+      actions.set(action, { down: false, prevDown: false, heldTime: 0, bufferTimer: 0 });
+    }
+    return { keys: new Map(), prevKeys: new Map(), actions };
+  }
+
+  /**
+   * Set how many local players read input
+   * Devices of players that no longer exist fall back to player 1
+   * @param {number} count - Player count (1-4)
+   */
+  setPlayerCount(count) {
+    this.playerCount = Math.min(Math.max(count, 1), MAX_PLAYERS);
+    while (this.players.length < this.playerCount) {
+      this.players.push(this.createPlayerState());
+    }
+    this.players.length = this.playerCount;
+
+    for (const [id, player] of this.sourceOwners) {
+      if (player >= this.playerCount) {
+        this.setSourceOwner(id, 0);
+      }
+    }
+  }
+
+  /**
+   * Get the number of local players
+   * @returns {number} Player count
+   */
+  getPlayerCount() {
+    return this.playerCount;
+  }
+
+  /**
+   * Add an input source
+   * @param {InputSource} source - Source to add
+   * @param {number|null} player - Player it controls, or null to pick one
+   *   (a gamepad goes to the first player without one, everything else to player 1)
+   */
+  addSource(source, player = null) {
+    this.removeSource(source.id);
+    this.sources.set(source.id, source);
+    this.setSourceOwner(source.id, player ?? this.findPlayerForSource(source));
+    console.log(`Input source added: ${source.id} -> player ${this.sourceOwners.get(source.id) + 1}`);
+  }
+
+  /**
+   * Remove an input source (keys it held are released on the next tick)
+   * If player 1 loses their last device the keyboard goes back to them
+   * @param {string} id - Source id
+   */
+  removeSource(id) {
+    const source = this.sources.get(id);
+    if (!source) return;
+
+    source.destroy();
+    this.sources.delete(id);
+    this.sourceOwners.delete(id);
+    console.log(`Input source removed: ${id}`);
+
+    if (!this.hasPlayerDevice(0) && this.sources.has(this.keyboard.id)) {
+      this.setSourceOwner(this.keyboard.id, 0);
+      console.log('Keyboard returned to player 1');
+    }
+  }
+
+  /**
+   * Get an input source
+   * @param {string} id - Source id
+   * @returns {InputSource|null} Source or null
+   */
+  getSource(id) {
+    return this.sources.get(id) ?? null;
+  }
+
+  /**
+   * Get the sources a player reads
+   * @param {number} player - Player index
+   * @returns {Array<InputSource>} Sources
+   */
+  getPlayerSources(player = 0) {
+    return [...this.sources.values()].filter(source => this.sourceOwners.get(source.id) === player);
+  }
+
+  /**
+   * Get every input source
+   * @returns {Array<InputSource>} Sources, in the order they were added
+   */
+  getSources() {
+    return [...this.sources.values()];
+  }
+
+  /**
+   * Get the player a source controls
+   * @param {string} id - Source id
+   * @returns {number} Player index, -1 if the source doesn't exist
+   */
+  getSourcePlayer(id) {
+    return this.sourceOwners.get(id) ?? -1;
+  }
+
+  /**
+   * Check if a player has a keyboard or gamepad (touch and other virtual sources don't count)
+   * @param {number} player - Player index
+   * @param {string} exceptId - Source to leave out
+   * @returns {boolean} True if a device is left
+   */
+  hasPlayerDevice(player, exceptId = null) {
+    return this.getPlayerSources(player).some(source => source.id !== exceptId && source.type !== 'virtual');
+  }
+
+  /**
+   * Hand a device to a player (local co-op device assignment)
+   * Player 1 always keeps a keyboard or gamepad, since the menus read their input
+   * @param {string} id - Source id
+   * @param {number} player - Player index
+   * @returns {boolean} True if the source was assigned
+   */
+  assignSource(id, player) {
+    if (!this.sources.has(id) || player < 0 || player >= this.playerCount) return false;
+    if (player !== 0 && this.getSourcePlayer(id) === 0 && !this.hasPlayerDevice(0, id)) {
+      console.log(`Input source ${id} is player 1's last device, not reassigned`);
+      return false;
+    }
+    this.setSourceOwner(id, player);
+    console.log(`Input source ${id} assigned to player ${player + 1}`);
+    return true;
+  }
+
+  /**
+   * Record the player a source belongs to
+   * The keyboard listeners switch to the new owner's key bindings
+   * @param {string} id - Source id
+   * @param {number} player - Player index
+   */
+  setSourceOwner(id, player) {
+    const previous = this.sourceOwners.get(id);
+    this.sourceOwners.set(id, player);
+    if (id === this.keyboard.id && previous !== player) {
+      this.rebuildKeyMappings();
+    }
+  }
+
+  /**
+   * Pick the player a new source controls
+   * @param {InputSource} source - New source
+   * @returns {number} Player index
+   */
+  findPlayerForSource(source) {
+    if (source.type !== 'gamepad') return 0;
+
+    for (let player = 0; player < this.playerCount; player++) {
+      const hasGamepad = this.getPlayerSources(player).some(owned => owned.type === 'gamepad');
+      if (!hasGamepad) return player;
+    }
+    return 0;
   }
 
   /**
    * Initialize keyboard input handling
    */
   init() {
+    for (let player = 0; player < MAX_PLAYERS; player++) {
+      this.loadProfile(this.loadStoredValue(`player${player + 1}.profile`) ?? this.profiles[player], player);
+    }
     this.setupEventListeners();
     this.setupGamepadSupport();
     this.initialized = true;
@@ -49,135 +297,731 @@ export class KeyManager {
   setupEventListeners() {
     // Keyboard events
     window.addEventListener('keydown', (event) => {
-      const key = this.keyMappings[event.code];
-      if (key) {
-        this.keys.set(key, true);
+      if (this.capture) {
+        event.preventDefault();
+        if (!event.repeat) this.captureKeyboard(event.code);
+        return;
+      }
+      if (this.suppressedCodes.has(event.code)) {
+        event.preventDefault();
+        return;
+      }
+
+      const names = this.keyMappings[event.code];
+      if (names) {
+        this.heldCodes.add(event.code);
+        this.refreshKeys(names);
         event.preventDefault();
       }
     });
 
     window.addEventListener('keyup', (event) => {
-      const key = this.keyMappings[event.code];
-      if (key) {
-        this.keys.set(key, false);
+      if (this.suppressedCodes.delete(event.code)) {
+        event.preventDefault();
+        return;
+      }
+
+      const names = this.keyMappings[event.code];
+      if (names) {
+        this.heldCodes.delete(event.code);
+        this.refreshKeys(names);
         event.preventDefault();
       }
     });
 
     // Handle focus events to reset keys
     window.addEventListener('blur', () => {
-      this.keys.clear();
+      this.keyboard.releaseAll();
+      this.heldCodes.clear();
+      this.suppressedCodes.clear();
     });
 
     window.addEventListener('focus', () => {
-      this.keys.clear();
+      this.keyboard.releaseAll();
+      this.heldCodes.clear();
     });
   }
 
   /**
-   * Set up gamepad support
+   * Recompute held state for key names from the physical keys down
+   * @param {Array<string>} names - Key names to refresh
+   */
+  refreshKeys(names) {
+    const bindings = this.getPlayerBindings(this.getKeyboardPlayer());
+    for (const name of names) {
+      const codes = bindings.keyboard[name] ?? [];
+      this.keyboard.setKey(name, codes.some(code => this.heldCodes.has(code)));
+    }
+  }
+
+  /**
+   * Set up gamepad support - each pad becomes its own input source
    */
   setupGamepadSupport() {
     window.addEventListener('gamepadconnected', (event) => {
       console.log('Gamepad connected:', event.gamepad.id);
-      this.gamepadIndex = event.gamepad.index;
+      this.addGamepad(event.gamepad.index);
     });
 
     window.addEventListener('gamepaddisconnected', (event) => {
-      console.log('Gamepad disconnected');
-      this.gamepadIndex = -1;
+      console.log('Gamepad disconnected:', event.gamepad.id);
+      this.removeSource(`gamepad:${event.gamepad.index}`);
     });
   }
 
   /**
-   * Update input state - call this every frame
+   * Add a source for a gamepad index (no-op if it already has one)
+   * @param {number} index - Gamepad index
    */
-  update() {
+  addGamepad(index) {
+    if (this.sources.has(`gamepad:${index}`)) return;
+    this.addSource(new GamepadSource(index, this));
+  }
+
+  /**
+   * Pick up pads the browser exposes without a connect event (already plugged in at load)
+   * and drop ones that went away
+   */
+  scanGamepads() {
+    const gamepads = globalThis.navigator?.getGamepads?.() ?? [];
+    for (const gamepad of gamepads) {
+      if (gamepad?.connected) {
+        this.addGamepad(gamepad.index);
+      }
+    }
+
+    for (const source of this.getGamepadSources()) {
+      if (!gamepads[source.index]?.connected) {
+        this.removeSource(source.id);
+      }
+    }
+  }
+
+  /**
+   * Get the source of every connected gamepad
+   * @returns {Array<GamepadSource>} Gamepad sources
+   */
+  getGamepadSources() {
+    return [...this.sources.values()].filter(source => source.type === 'gamepad');
+  }
+
+  /**
+   * Update input state - call this once per logic tick, before anything reads input
+   * @param {number} deltaTime - Tick length, advances hold times and input buffers
+   */
+  update(deltaTime = GAME_CONFIG.FIXED_TIMESTEP) {
     if (!this.initialized) return;
 
-    // Store previous frame's key states
-    this.prevKeys.clear();
-    for (const [key, pressed] of this.keys) {
-      this.prevKeys.set(key, pressed);
+    this.scanGamepads();
+    this.updateGamepads();
+    for (const source of this.sources.values()) {
+      if (source.type !== 'gamepad') {
+        source.update();
+      }
     }
 
-    // Update gamepad state
-    this.updateGamepad();
+    // Merge each player's sources into this tick's snapshot, so presses between
+    // ticks show up as edges and one device never overwrites another
+    this.players.forEach((state, player) => {
+      state.prevKeys = state.keys;
+      state.keys = new Map();
+      if (this.inputOverride) {
+        for (const name of this.inputOverride(player)) {
+          state.keys.set(name, true);
+        }
+      } else {
+        for (const source of this.getPlayerSources(player)) {
+          for (const [name, held] of source.keys) {
+            if (held) state.keys.set(name, true);
+          }
+        }
+      }
+      this.updateActions(state, deltaTime);
+    });
   }
 
   /**
-   * Update gamepad input
+   * Replace every source with a function supplying the held key names (replays)
+   * @param {Function|null} override - (player) => Array<string>, or null to read the sources again
    */
-  updateGamepad() {
-    if (this.gamepadIndex === -1) return;
+  setInputOverride(override) {
+    this.inputOverride = override;
+  }
 
-    const gamepad = navigator.getGamepads()[this.gamepadIndex];
-    if (!gamepad) return;
+  /**
+   * Copy the per-player key and action state, for a replay to resume from
+   * @returns {Array<Object>} Per player {keys, actions}
+   */
+  getInputSnapshot() {
+    return this.players.map(state => ({
+      keys: [...state.keys.keys()],
+      actions: Object.fromEntries([...state.actions].map(([action, actionState]) => [action, { ...actionState }]))
+    }));
+  }
 
-    // D-pad and analog stick
-    const threshold = 0.3;
-    
-    // D-pad or left stick for movement
-    const leftPressed = gamepad.buttons[14]?.pressed || gamepad.axes[0] < -threshold;
-    const rightPressed = gamepad.buttons[15]?.pressed || gamepad.axes[0] > threshold;
-    const upPressed = gamepad.buttons[12]?.pressed || gamepad.axes[1] < -threshold;
-    const downPressed = gamepad.buttons[13]?.pressed || gamepad.axes[1] > threshold;
+  /**
+   * Restore state taken by getInputSnapshot
+   * @param {Array<Object>} snapshot - Per player {keys, actions}
+   */
+  restoreInputSnapshot(snapshot) {
+    this.setPlayerCount(snapshot.length);
+    snapshot.forEach((saved, player) => {
+      const state = this.players[player];
+      state.keys = new Map(saved.keys.map(name => [name, true]));
+      for (const [action, actionState] of Object.entries(saved.actions)) {
+        if (state.actions.has(action)) {
+          state.actions.set(action, { ...actionState });
+        }
+      }
+    });
+  }
 
-    this.keys.set('LEFT', leftPressed);
-    this.keys.set('RIGHT', rightPressed);
-    this.keys.set('UP', upPressed);
-    this.keys.set('DOWN', downPressed);
+  /**
+   * Poll the gamepads, or watch them for a rebinding capture
+   */
+  updateGamepads() {
+    const gamepadSources = this.getGamepadSources();
 
-    // Action buttons
-    this.keys.set('X', gamepad.buttons[0]?.pressed || false); // A button -> Jump
-    this.keys.set('Z', gamepad.buttons[1]?.pressed || false); // B button -> Dash
-    this.keys.set('C', gamepad.buttons[2]?.pressed || false); // X button -> Attack
-    this.keys.set('V', gamepad.buttons[3]?.pressed || false); // Y button -> Fire
+    // A captured input stays dead until it's let go on every pad
+    if (this.suppressedBinding && !gamepadSources.some(source => {
+      const gamepad = source.getGamepad();
+      return gamepad && this.isGamepadBindingHeld(gamepad, this.suppressedBinding, this.getSourcePlayer(source.id));
+    })) {
+      this.suppressedBinding = null;
+    }
+
+    for (const source of gamepadSources) {
+      if (this.capture) {
+        source.releaseAll();
+        const gamepad = source.getGamepad();
+        if (gamepad) this.captureGamepad(gamepad);
+      } else {
+        source.update();
+      }
+    }
+  }
+
+  /**
+   * Advance action edges, hold times and buffers from a player's key snapshot
+   * @param {Object} playerState - Entry of this.players
+   * @param {number} deltaTime - Tick length
+   */
+  updateActions(playerState, deltaTime) {
+    for (const [action, state] of playerState.actions) {
+      state.prevDown = state.down;
+      state.down = ACTION_KEYS[action].some(key => playerState.keys.get(key) === true);
+
+      if (state.down && !state.prevDown) {
+        state.heldTime = 0;
+        state.bufferTimer = this.getBufferWindow(action);
+      } else {
+        if (state.down) {
+          state.heldTime += deltaTime;
+        }
+        state.bufferTimer = Math.max(state.bufferTimer - deltaTime, 0);
+      }
+    }
+  }
+
+  /**
+   * Get the state of an action for a player
+   * @param {string} action - ACTION value
+   * @param {number} player - Player index
+   * @returns {Object|undefined} {down, prevDown, heldTime, bufferTimer}
+   */
+  getActionState(action, player = 0) {
+    return this.players[player]?.actions.get(action);
+  }
+
+  /**
+   * Check if an action is held
+   * @param {string} action - ACTION value
+   * @param {number} player - Player index
+   * @returns {boolean} True while any of its keys is down
+   */
+  isActionDown(action, player = 0) {
+    if (this.inputBlocked) return false;
+    return this.getActionState(action, player)?.down === true;
+  }
+
+  /**
+   * Check if an action was pressed this tick
+   * @param {string} action - ACTION value
+   * @param {number} player - Player index
+   * @returns {boolean} True on the tick it went down
+   */
+  isActionPressed(action, player = 0) {
+    if (this.inputBlocked) return false;
+    const state = this.getActionState(action, player);
+    return !!state && state.down && !state.prevDown;
+  }
+
+  /**
+   * Check if an action was released this tick
+   * @param {string} action - ACTION value
+   * @param {number} player - Player index
+   * @returns {boolean} True on the tick it went up
+   */
+  isActionReleased(action, player = 0) {
+    if (this.inputBlocked) return false;
+    const state = this.getActionState(action, player);
+    return !!state && !state.down && state.prevDown;
+  }
+
+  /**
+   * Get how long an action has been held
+   * @param {string} action - ACTION value
+   * @param {number} player - Player index
+   * @returns {number} Seconds since it was pressed (0 when up)
+   */
+  getActionHeldTime(action, player = 0) {
+    if (this.inputBlocked) return 0;
+    const state = this.getActionState(action, player);
+    return state?.down ? state.heldTime : 0;
+  }
+
+  /**
+   * Check for a press still inside the buffer window that nothing has used yet
+   * @param {string} action - ACTION value
+   * @param {number} player - Player index
+   * @returns {boolean} True if a buffered press is waiting
+   */
+  isActionBuffered(action, player = 0) {
+    if (this.inputBlocked) return false;
+    return (this.getActionState(action, player)?.bufferTimer ?? 0) > 0;
+  }
+
+  /**
+   * Use up a buffered press, so one press triggers one move
+   * @param {string} action - ACTION value
+   * @param {number} player - Player index
+   * @returns {boolean} True if a buffered press was consumed
+   */
+  consumeAction(action, player = 0) {
+    if (!this.isActionBuffered(action, player)) return false;
+    this.getActionState(action, player).bufferTimer = 0;
+    return true;
+  }
+
+  /**
+   * Drop buffered presses of every player (all actions when none is given)
+   * @param {string} action - ACTION value or null
+   */
+  clearActionBuffer(action = null) {
+    for (const { actions } of this.players) {
+      for (const [name, state] of actions) {
+        if (action === null || name === action) {
+          state.bufferTimer = 0;
+        }
+      }
+    }
+  }
+
+  /**
+   * Get the buffer window of an action
+   * @param {string} action - ACTION value
+   * @returns {number} Seconds
+   */
+  getBufferWindow(action) {
+    return this.bufferWindows[action] ?? this.bufferWindow;
+  }
+
+  /**
+   * Set how long presses stay buffered
+   * @param {number} seconds - Window length (0 disables buffering)
+   * @param {string} action - ACTION to override, or null for the default window
+   */
+  setBufferWindow(seconds, action = null) {
+    if (action === null) {
+      this.bufferWindow = Math.max(seconds, 0);
+    } else {
+      this.bufferWindows[action] = Math.max(seconds, 0);
+    }
+  }
+
+  /**
+   * Check if a gamepad binding is held
+   * @param {Gamepad} gamepad - Gamepad state
+   * @param {Object} input - {button} or {axis, direction}
+   * @param {number} player - Player whose stick deadzone applies
+   * @returns {boolean} True if held
+   */
+  isGamepadBindingHeld(gamepad, input, player = 0) {
+    if (input.button !== undefined) {
+      return gamepad.buttons[input.button]?.pressed || false;
+    }
+    return (gamepad.axes[input.axis] ?? 0) * input.direction > this.getDeadzone(player);
+  }
+
+  /**
+   * Compare two bindings of the same device
+   * @param {string|Object} a - Key code or gamepad input
+   * @param {string|Object} b - Key code or gamepad input
+   * @returns {boolean} True if they're the same input
+   */
+  isSameBinding(a, b) {
+    if (!a || !b) return false;
+    if (typeof a === 'string' || typeof b === 'string') return a === b;
+    return a.button === b.button && a.axis === b.axis && a.direction === b.direction;
+  }
+
+  /**
+   * Get a player's control scheme
+   * @param {number} player - Player index
+   * @returns {Object} {keyboard, gamepad, deadzone}
+   */
+  getPlayerBindings(player = 0) {
+    return this.bindings[player] ?? this.bindings[0];
+  }
+
+  /**
+   * Get the player the keyboard belongs to
+   * @returns {number} Player index
+   */
+  getKeyboardPlayer() {
+    return Math.max(this.getSourcePlayer(this.keyboard.id), 0);
+  }
+
+  /**
+   * Replace a player's whole control scheme
+   * @param {Object} bindings - {keyboard, gamepad, deadzone} like DEFAULT_BINDINGS
+   * @param {number} player - Player index
+   */
+  setBindings(bindings, player = 0) {
+    // Deep copy so editing never touches the defaults
+    const copy = JSON.parse(JSON.stringify(bindings));
+    this.bindings[player] = {
+      keyboard: { ...JSON.parse(JSON.stringify(DEFAULT_BINDINGS.keyboard)), ...copy.keyboard },
+      gamepad: { ...JSON.parse(JSON.stringify(DEFAULT_BINDINGS.gamepad)), ...copy.gamepad },
+      deadzone: copy.deadzone ?? DEFAULT_BINDINGS.deadzone
+    };
+    if (player === this.getKeyboardPlayer()) {
+      this.rebuildKeyMappings();
+    }
+  }
+
+  /**
+   * Rebuild the key code lookup used by the keyboard listeners
+   */
+  rebuildKeyMappings() {
+    this.keyMappings = {};
+    for (const [name, codes] of Object.entries(this.getPlayerBindings(this.getKeyboardPlayer()).keyboard)) {
+      for (const code of codes) {
+        (this.keyMappings[code] ??= []).push(name);
+      }
+    }
+    this.keyboard.releaseAll();
+    this.heldCodes.clear();
+  }
+
+  /**
+   * Get the inputs bound to a key name
+   * @param {string} name - Key name
+   * @param {string} device - 'keyboard' or 'gamepad'
+   * @param {number} player - Player index
+   * @returns {Array} Key codes or gamepad inputs
+   */
+  getBindings(name, device = 'keyboard', player = 0) {
+    return [...(this.getPlayerBindings(player)[device][name] ?? [])];
+  }
+
+  /**
+   * Bind an input to a key name
+   * The input is taken off any other name first, so one key never does two things
+   * @param {string} name - Key name
+   * @param {string|Object} input - Key code, or gamepad {button} / {axis, direction}
+   * @param {string} device - 'keyboard' or 'gamepad'
+   * @param {number} player - Player index
+   * @param {number} maxBindings - Inputs kept per name; the oldest is dropped past this
+   */
+  bind(name, input, device = 'keyboard', player = 0, maxBindings = 2) {
+    const table = this.getPlayerBindings(player)[device];
+    for (const inputs of Object.values(table)) {
+      const index = inputs.findIndex(existing => this.isSameBinding(existing, input));
+      if (index !== -1) inputs.splice(index, 1);
+    }
+
+    table[name] = [input, ...(table[name] ?? [])].slice(0, maxBindings);
+    if (device === 'keyboard' && player === this.getKeyboardPlayer()) {
+      this.rebuildKeyMappings();
+    }
+    this.saveProfile(player);
+  }
+
+  /**
+   * Remove every input of a device from a key name
+   * @param {string} name - Key name
+   * @param {string} device - 'keyboard' or 'gamepad'
+   * @param {number} player - Player index
+   */
+  clearBindings(name, device = 'keyboard', player = 0) {
+    this.getPlayerBindings(player)[device][name] = [];
+    if (device === 'keyboard' && player === this.getKeyboardPlayer()) {
+      this.rebuildKeyMappings();
+    }
+    this.saveProfile(player);
+  }
+
+  /**
+   * Get a player's stick deadzone
+   * @param {number} player - Player index
+   * @returns {number} Deadzone (0-1)
+   */
+  getDeadzone(player = 0) {
+    return this.getPlayerBindings(player).deadzone;
+  }
+
+  /**
+   * Set a player's stick deadzone
+   * @param {number} deadzone - Deadzone (0.05-0.9)
+   * @param {number} player - Player index
+   */
+  setDeadzone(deadzone, player = 0) {
+    this.getPlayerBindings(player).deadzone = Math.min(Math.max(deadzone, 0.05), 0.9);
+    this.saveProfile(player);
+  }
+
+  /**
+   * Put a player's current profile back on the default scheme
+   * @param {number} player - Player index
+   */
+  resetBindings(player = 0) {
+    this.setBindings(DEFAULT_BINDINGS, player);
+    this.saveProfile(player);
+  }
+
+  /**
+   * Capture the next key or gamepad input for rebinding
+   * Escape cancels a keyboard capture
+   * @param {string} device - 'keyboard', 'gamepad' or null for either
+   * @returns {Promise<Object|null>} {device, input}, or null if cancelled
+   */
+  captureNextInput(device = null) {
+    this.cancelCapture();
+    return new Promise(resolve => {
+      this.capture = { device, resolve, heldInputs: new Map() };
+    });
+  }
+
+  /**
+   * Stop a running capture
+   */
+  cancelCapture() {
+    this.finishCapture(null);
+  }
+
+  /**
+   * Check if a rebinding capture is running
+   * @returns {boolean} True while waiting for an input
+   */
+  isCapturing() {
+    return this.capture !== null;
+  }
+
+  /**
+   * End the capture and hand the result over
+   * @param {Object|null} result - {device, input} or null
+   */
+  finishCapture(result) {
+    const capture = this.capture;
+    this.capture = null;
+    capture?.resolve(result);
+  }
+
+  /**
+   * Keyboard side of captureNextInput
+   * @param {string} code - KeyboardEvent.code
+   */
+  captureKeyboard(code) {
+    this.suppressedCodes.add(code);
+    if (code === 'Escape') {
+      this.finishCapture(null);
+      return;
+    }
+    if (this.capture.device && this.capture.device !== 'keyboard') return;
+
+    this.finishCapture({ device: 'keyboard', input: code });
+  }
+
+  /**
+   * Gamepad side of captureNextInput - takes the first button or stick push
+   * that wasn't already held when the capture started
+   * @param {Gamepad} gamepad - Gamepad state
+   */
+  captureGamepad(gamepad) {
+    if (this.capture.device && this.capture.device !== 'gamepad') return;
+
+    const active = [];
+    gamepad.buttons.forEach((button, index) => {
+      if (button.pressed) active.push({ button: index });
+    });
+    gamepad.axes.forEach((value, index) => {
+      // Needs a firm push so a drifting stick doesn't bind itself
+      if (Math.abs(value) > 0.6) active.push({ axis: index, direction: Math.sign(value) });
+    });
+
+    // The button that opened the capture is still down on the first frame
+    const heldInputs = this.capture.heldInputs;
+    if (!heldInputs.has(gamepad.index)) {
+      heldInputs.set(gamepad.index, active);
+      return;
+    }
+    const stillHeld = heldInputs.get(gamepad.index).filter(held =>
+      active.some(input => this.isSameBinding(input, held)));
+    heldInputs.set(gamepad.index, stillHeld);
+
+    const input = active.find(candidate =>
+      !stillHeld.some(held => this.isSameBinding(candidate, held)));
+    if (input) {
+      this.suppressedBinding = input;
+      this.finishCapture({ device: 'gamepad', input });
+    }
+  }
+
+  /**
+   * Describe an input for menus
+   * @param {string|Object} input - Key code or gamepad input
+   * @returns {string} Readable name
+   */
+  describeBinding(input) {
+    if (typeof input === 'string') {
+      return input.replace(/^Key|^Digit/, '').replace(/^Arrow/, '');
+    }
+    if (input.button !== undefined) {
+      return `Button ${input.button}`;
+    }
+    return `Axis ${input.axis}${input.direction < 0 ? '-' : '+'}`;
+  }
+
+  /**
+   * Switch a player to a profile's saved scheme (defaults if it has none yet)
+   * @param {string} profile - Profile name
+   * @param {number} player - Player index
+   */
+  loadProfile(profile, player = 0) {
+    this.profiles[player] = profile;
+    const saved = this.loadStoredValue(`profile.${profile}`);
+    this.setBindings(saved ?? DEFAULT_BINDINGS, player);
+    this.storeValue(`player${player + 1}.profile`, profile);
+  }
+
+  /**
+   * Save a player's scheme under their active profile
+   * @param {number} player - Player index
+   */
+  saveProfile(player = 0) {
+    this.storeValue(`profile.${this.profiles[player]}`, this.getPlayerBindings(player));
+  }
+
+  /**
+   * Get a player's active profile
+   * @param {number} player - Player index
+   * @returns {string} Profile name
+   */
+  getProfile(player = 0) {
+    return this.profiles[player];
+  }
+
+  /**
+   * Read a JSON value from localStorage
+   * @param {string} key - Key under the storage prefix
+   * @returns {*} Parsed value or null
+   */
+  loadStoredValue(key) {
+    try {
+      const value = globalThis.localStorage?.getItem(`${this.storagePrefix}.${key}`);
+      return value ? JSON.parse(value) : null;
+    } catch (error) {
+      console.warn(`Failed to read saved controls (${key}):`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Write a JSON value to localStorage (silently skipped where storage is unavailable)
+   * @param {string} key - Key under the storage prefix
+   * @param {*} value - Value to store
+   */
+  storeValue(key, value) {
+    try {
+      globalThis.localStorage?.setItem(`${this.storagePrefix}.${key}`, JSON.stringify(value));
+    } catch (error) {
+      console.warn(`Failed to save controls (${key}):`, error);
+    }
+  }
+
+  /**
+   * Block or unblock all input queries
+   * Key state keeps tracking underneath, so keys held through a block don't
+   * register as fresh presses once it ends
+   * @param {boolean} blocked - True to block
+   */
+  setInputBlocked(blocked) {
+    this.inputBlocked = blocked;
+  }
+
+  /**
+   * Check if input is blocked
+   * @returns {boolean} True if blocked
+   */
+  isInputBlocked() {
+    return this.inputBlocked;
   }
 
   /**
    * Check if a key is currently pressed
    * @param {string} key - Key name
+   * @param {number} player - Player index
    * @returns {boolean} True if key is pressed
    */
-  isKeyDown(key) {
-    return this.keys.get(key) === true;
+  isKeyDown(key, player = 0) {
+    if (this.inputBlocked) return false;
+    return this.players[player]?.keys.get(key) === true;
   }
 
   /**
    * Check if a key was just pressed this frame
    * @param {string} key - Key name
+   * @param {number} player - Player index
    * @returns {boolean} True if key was just pressed
    */
-  isKeyPressed(key) {
-    return this.keys.get(key) === true && this.prevKeys.get(key) !== true;
+  isKeyPressed(key, player = 0) {
+    if (this.inputBlocked) return false;
+    const state = this.players[player];
+    return !!state && state.keys.get(key) === true && state.prevKeys.get(key) !== true;
   }
 
   /**
    * Check if a key was just released this frame
    * @param {string} key - Key name
+   * @param {number} player - Player index
    * @returns {boolean} True if key was just released
    */
-  isKeyReleased(key) {
-    return this.keys.get(key) !== true && this.prevKeys.get(key) === true;
+  isKeyReleased(key, player = 0) {
+    if (this.inputBlocked) return false;
+    const state = this.players[player];
+    return !!state && state.keys.get(key) !== true && state.prevKeys.get(key) === true;
   }
 
   /**
    * Check if key is up (not pressed)
    * @param {string} key - Key name
+   * @param {number} player - Player index
    * @returns {boolean} True if key is not pressed
    */
-  isKeyUp(key) {
-    return !this.isKeyDown(key);
+  isKeyUp(key, player = 0) {
+    return !this.isKeyDown(key, player);
   }
 
   /**
    * Get all currently pressed keys
+   * @param {number} player - Player index
    * @returns {Array<string>} Array of pressed key names
    */
-  getPressedKeys() {
+  getPressedKeys(player = 0) {
     const pressed = [];
-    for (const [key, isPressed] of this.keys) {
+    if (this.inputBlocked || !this.players[player]) return pressed;
+    for (const [key, isPressed] of this.players[player].keys) {
       if (isPressed) {
         pressed.push(key);
       }
@@ -189,8 +1033,15 @@ export class KeyManager {
    * Cleanup resources
    */
   destroy() {
-    this.keys.clear();
-    this.prevKeys.clear();
+    this.cancelCapture();
+    for (const id of [...this.sources.keys()]) {
+      if (id !== this.keyboard.id) this.removeSource(id);
+    }
+    this.keyboard.releaseAll();
+    this.inputOverride = null;
+    this.players = [];
+    this.setPlayerCount(1);
+    this.heldCodes.clear();
     this.initialized = false;
   }
 }
@@ -7,7 +7,6 @@ import { OBJ_NUM } from '../utils/constants.js';
 export class ObjectSortManager {
   constructor() {
     this.objectLayers = [];
-    this.scrollOffset = { x: -600, y: 30, z: 0 }; // Initial scroll like in C++
     this.initialized = false;
 
     this.initializeLayers();
@@ -65,6 +64,7 @@ export class ObjectSortManager {
       const index = layer.indexOf(obj);
       if (index !== -1) {
         layer.splice(index, 1);
+        obj.onRemoved();
         return true;
       }
     }
@@ -72,6 +72,20 @@ export class ObjectSortManager {
     return false;
   }
 
+  /**
+   * Store every object's position before a logic tick
+   * so render can interpolate between ticks
+   */
+  savePreviousStates() {
+    if (!this.initialized) return;
+
+    for (const layer of this.objectLayers) {
+      for (const obj of layer) {
+        obj.savePreviousState();
+      }
+    }
+  }
+
   /**
    * Update all objects - equivalent to ProgressObjects in C++
    * @param {number} deltaTime - Time since last frame
@@ -89,6 +103,7 @@ export class ObjectSortManager {
         if (obj.isDestroyed()) {
           // Remove destroyed objects
           layer.splice(j, 1);
+          obj.onRemoved();
           continue;
         }
 
@@ -102,8 +117,9 @@ export class ObjectSortManager {
 
   /**
    * Render all objects - equivalent to RenderObjects in C++
+   * @param {number} alpha - Interpolation factor between logic ticks (0-1)
    */
-  renderObjects() {
+  renderObjects(alpha = 1) {
     if (!this.initialized) return;
 
     // Render from background to foreground (layer 0 to highest)
@@ -112,7 +128,7 @@ export class ObjectSortManager {
       
       for (const obj of layer) {
         if (obj.visible && !obj.isDestroyed()) {
-          obj.render();
+          obj.render(alpha);
         }
       }
     }
@@ -150,35 +166,21 @@ export class ObjectSortManager {
   }
 
   /**
-   * Get scroll offset - equivalent to m_vecScroll in C++
-   * @returns {Object} Scroll offset {x, y, z}
-   */
-  getScrollOffset() {
-    return { ...this.scrollOffset };
-  }
-
-  /**
-   * Set scroll offset
-   * @param {number} x - X offset
-   * @param {number} y - Y offset
-   * @param {number} z - Z offset
+   * Get every live object across all layers
+   * @returns {Array} Array of objects
    */
-  setScrollOffset(x, y, z = 0) {
-    this.scrollOffset.x = x;
-    this.scrollOffset.y = y;
-    this.scrollOffset.z = z;
-  }
-
-  /**
-   * Update scroll offset
-   * @param {number} deltaX - Change in X offset
-   * @param {number} deltaY - Change in Y offset
-   * @param {number} deltaZ - Change in Z offset
-   */
-  updateScrollOffset(deltaX, deltaY, deltaZ = 0) {
-    this.scrollOffset.x += deltaX;
-    this.scrollOffset.y += deltaY;
-    this.scrollOffset.z += deltaZ;
+  getAllObjects() {
+    const objects = [];
+    
+    for (const layer of this.objectLayers) {
+      for (const obj of layer) {
+        if (!obj.isDestroyed()) {
+          objects.push(obj);
+        }
+      }
+    }
+    
+    return objects;
   }
 
   /**
@@ -212,6 +214,7 @@ export class ObjectSortManager {
     for (const layer of this.objectLayers) {
       for (const obj of layer) {
         obj.destroy();
+        obj.onRemoved();
       }
       layer.length = 0;
     }
@@ -226,6 +229,7 @@ export class ObjectSortManager {
       const layer = this.objectLayers[layerIndex];
       for (const obj of layer) {
         obj.destroy();
+        obj.onRemoved();
       }
       layer.length = 0;
     }
@@ -1,6 +1,5 @@
 import * as PIXI from 'pixi.js';
-import { RENDER_TYPE } from '../utils/constants.js';
-import { getTimeManager } from './TimeManager.js';
+import { RENDER_TYPE, OBJ_NUM, GAME_CONFIG } from '../utils/constants.js';
 
 /**
  * RenderManager class - equivalent to CRenderMgr in C++
@@ -15,7 +14,17 @@ export class RenderManager {
       FADE_DONE: 3
     };
     this.currentFadeState = this.fadeState.FADE_DONE;
-    this.fadeAlpha = 0;
+    this.fadeAlpha = 255; // Scene visibility, 0 (black) to 255 (fully shown)
+    this.fadeSpeed = 100; // Alpha units per second
+    this.fadeResolvers = [];
+    this.fadeOverlay = null; // Black screen drawn over everything while faded
+    
+    // Scene graph: world (moved by the camera, one container per OBJ_NUM layer) + UI on top
+    this.worldContainer = null;
+    this.layerContainers = [];
+    this.uiContainer = null;
+    this.controlsContainer = null;
+    
     this.initialized = false;
   }
 
@@ -25,10 +34,106 @@ export class RenderManager {
    */
   init(app) {
     this.app = app;
+    this.createSceneGraph();
     this.initialized = true;
     console.log('RenderManager initialized');
   }
 
+  /**
+   * Build the world and UI containers on the stage
+   */
+  createSceneGraph() {
+    this.worldContainer = new PIXI.Container();
+    this.layerContainers = [];
+    for (let i = 0; i < OBJ_NUM.UI; i++) {
+      const layer = new PIXI.Container();
+      this.layerContainers.push(layer);
+      this.worldContainer.addChild(layer);
+    }
+    
+    this.uiContainer = new PIXI.Container();
+    this.controlsContainer = new PIXI.Container(); // On-screen controls, kept across scenes
+    
+    this.fadeOverlay = new PIXI.Graphics();
+    this.fadeOverlay.beginFill(0x000000);
+    this.fadeOverlay.drawRect(0, 0, GAME_CONFIG.WINDOW_WIDTH, GAME_CONFIG.WINDOW_HEIGHT);
+    this.fadeOverlay.endFill();
+    this.fadeOverlay.alpha = 0;
+    
+    this.app.stage.addChild(this.worldContainer);
+    this.app.stage.addChild(this.uiContainer);
+    this.app.stage.addChild(this.controlsContainer);
+    this.app.stage.addChild(this.fadeOverlay);
+  }
+
+  /**
+   * Get the container the camera moves
+   * @returns {PIXI.Container} World container
+   */
+  getWorldContainer() {
+    return this.worldContainer;
+  }
+
+  /**
+   * Get the screen-space container drawn above the world
+   * @returns {PIXI.Container} UI container
+   */
+  getUIContainer() {
+    return this.uiContainer;
+  }
+
+  /**
+   * Get the screen-space container for on-screen controls
+   * Drawn above the UI and left alone by clearStage
+   * @returns {PIXI.Container} Controls container
+   */
+  getControlsContainer() {
+    return this.controlsContainer;
+  }
+
+  /**
+   * Get the container for an object layer
+   * @param {number} sortID - OBJ_NUM layer
+   * @returns {PIXI.Container} Layer container (UI container for UI and above)
+   */
+  getLayerContainer(sortID) {
+    if (sortID >= OBJ_NUM.UI) return this.uiContainer;
+    return this.layerContainers[Math.max(sortID, 0)] ?? this.worldContainer;
+  }
+
+  /**
+   * Add a display object to the container for its object layer
+   * @param {PIXI.DisplayObject} displayObject - Object to add
+   * @param {number} sortID - OBJ_NUM layer
+   */
+  addToLayer(displayObject, sortID) {
+    const container = this.getLayerContainer(sortID);
+    if (container) {
+      container.addChild(displayObject);
+    }
+  }
+
+  /**
+   * Move the world so the given world point sits at the top-left of the screen
+   * @param {number} x - View left in world space
+   * @param {number} y - View top in world space
+   */
+  setWorldTransform(x, y) {
+    if (!this.worldContainer) return;
+    this.worldContainer.position.set(-x, -y);
+  }
+
+  /**
+   * Remove everything drawn by the current scene, keeping the containers
+   */
+  clearStage() {
+    for (const layer of this.layerContainers) {
+      layer.removeChildren();
+    }
+    this.uiContainer?.removeChildren();
+    this.setWorldTransform(0, 0);
+  }
+
   /**
    * Get the PIXI application instance
    * @returns {PIXI.Application} PIXI app
@@ -81,8 +186,23 @@ export class RenderManager {
     sprite.anchor.y = center.y / sprite.height || 1.0;
 
     // Apply render effects
+    this.applyRenderType(sprite, renderType, alpha);
+
+    return sprite;
+  }
+
+  /**
+   * Apply a render effect to an existing sprite
+   * @param {PIXI.Sprite} sprite - Sprite to apply effect to
+   * @param {number} renderType - Render type (STRAIGHT, FLASH, FADING)
+   * @param {number} alpha - Alpha value (0-1)
+   */
+  applyRenderType(sprite, renderType, alpha = 1.0) {
+    if (!sprite) return;
+
     switch (renderType) {
       case RENDER_TYPE.STRAIGHT:
+        sprite.tint = 0xFFFFFF;
         sprite.alpha = alpha;
         break;
       
@@ -96,8 +216,6 @@ export class RenderManager {
         this.applyFadeEffect(sprite);
         break;
     }
-
-    return sprite;
   }
 
   /**
@@ -120,53 +238,86 @@ export class RenderManager {
    * @param {PIXI.Sprite} sprite - Sprite to apply effect to
    */
   applyFadeEffect(sprite) {
-    const timeManager = getTimeManager();
-    const deltaTime = timeManager.getTime();
-    const fadeSpeed = 100;
+    sprite.alpha = this.fadeAlpha / 255;
+  }
 
+  /**
+   * Advance the screen fade - called once per logic tick
+   * @param {number} deltaTime - Fixed tick length in seconds
+   */
+  updateFade(deltaTime) {
     switch (this.currentFadeState) {
       case this.fadeState.FADE_IN:
-        if (this.fadeAlpha < 255) {
-          this.fadeAlpha += fadeSpeed * deltaTime;
-        }
+        this.fadeAlpha = Math.min(this.fadeAlpha + this.fadeSpeed * deltaTime, 255);
         if (this.fadeAlpha >= 255) {
-          this.fadeAlpha = 255;
-          this.currentFadeState = this.fadeState.FADE_DONE;
+          this.finishFade();
         }
-        sprite.alpha = this.fadeAlpha / 255;
         break;
 
       case this.fadeState.FADE_OUT:
-        if (this.fadeAlpha > 0) {
-          this.fadeAlpha -= fadeSpeed * deltaTime;
-        }
+        this.fadeAlpha = Math.max(this.fadeAlpha - this.fadeSpeed * deltaTime, 0);
         if (this.fadeAlpha <= 0) {
-          this.fadeAlpha = 0;
-          this.currentFadeState = this.fadeState.FADE_DONE;
+          this.finishFade();
         }
-        sprite.alpha = this.fadeAlpha / 255;
         break;
+    }
 
-      case this.fadeState.FADE_DONE:
-        sprite.alpha = 1.0;
-        break;
+    if (this.fadeOverlay) {
+      this.fadeOverlay.alpha = 1 - this.fadeAlpha / 255;
     }
   }
 
+  /**
+   * End the current fade and wake up whoever waits on it
+   */
+  finishFade() {
+    this.currentFadeState = this.fadeState.FADE_DONE;
+    const resolvers = this.fadeResolvers;
+    this.fadeResolvers = [];
+    resolvers.forEach(resolve => resolve());
+  }
+
   /**
    * Start fade in effect
+   * @param {number} duration - Seconds from black to fully shown
+   * @returns {Promise<void>} Resolves when the fade is done
    */
-  startFadeIn() {
-    this.currentFadeState = this.fadeState.FADE_IN;
-    this.fadeAlpha = 0;
+  startFadeIn(duration = 0.4) {
+    return this.startFade(this.fadeState.FADE_IN, 0, duration);
   }
 
   /**
    * Start fade out effect
+   * @param {number} duration - Seconds from fully shown to black
+   * @returns {Promise<void>} Resolves when the fade is done
    */
-  startFadeOut() {
-    this.currentFadeState = this.fadeState.FADE_OUT;
-    this.fadeAlpha = 255;
+  startFadeOut(duration = 0.4) {
+    return this.startFade(this.fadeState.FADE_OUT, 255, duration);
+  }
+
+  /**
+   * Begin a fade from a given visibility
+   * @param {number} state - FADE_IN or FADE_OUT
+   * @param {number} fromAlpha - Starting visibility (0-255)
+   * @param {number} duration - Fade length in seconds
+   * @returns {Promise<void>} Resolves when the fade is done
+   */
+  startFade(state, fromAlpha, duration) {
+    this.currentFadeState = state;
+    this.fadeAlpha = fromAlpha;
+    this.fadeSpeed = 255 / Math.max(duration, 0.001);
+    return new Promise(resolve => this.fadeResolvers.push(resolve));
+  }
+
+  /**
+   * Jump straight to a visibility without fading
+   * @param {number} alpha - Visibility (0 black - 255 fully shown)
+   */
+  setFadeAlpha(alpha) {
+    this.fadeAlpha = alpha;
+    if (this.fadeOverlay) {
+      this.fadeOverlay.alpha = 1 - alpha / 255;
+    }
   }
 
   /**
@@ -247,6 +398,15 @@ export class RenderManager {
    * Cleanup resources
    */
   destroy() {
+    this.worldContainer?.destroy({ children: true });
+    this.uiContainer?.destroy({ children: true });
+    this.controlsContainer?.destroy({ children: true });
+    this.controlsContainer = null;
+    this.fadeOverlay?.destroy();
+    this.fadeOverlay = null;
+    this.worldContainer = null;
+    this.layerContainers = [];
+    this.uiContainer = null;
     this.app = null;
     this.initialized = false;
   }
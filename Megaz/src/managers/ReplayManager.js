@@ -0,0 +1,362 @@
+import * as PIXI from 'pixi.js';
+import { getKeyManager } from './KeyManager.js';
+import { getSceneManager } from './SceneManager.js';
+import { getRenderManager } from './RenderManager.js';
+import { getRandom } from '../utils/Random.js';
+import { GAME_CONFIG } from '../utils/constants.js';
+
+export const REPLAY_VERSION = 1;
+
+/**
+ * ReplayManager class - records the merged input of every tick and plays it back
+ * A recording restarts the current scene from a fresh seed, then stores each player's held key names
+ * per tick (run-length encoded). Playback restarts the same scene with the same seed and feeds the keys
+ * back through KeyManager, so the run comes out identical.
+ *
+ * Ticks spent in scene transitions aren't counted - their length depends on asset loading.
+ * Instead every stretch of live ticks starts with a snapshot of the KeyManager state, restored on playback.
+ *
+ * File format: {version, scene, character, playerCount, seed, tickRate, recordedAt, events, result}
+ *   events   {snapshot} at the start of each live stretch, {ticks, keys: [player keys...]} otherwise
+ *   result   {ticks, player: {x, y, hp}} when recording stopped, checked when playback ends
+ */
+export class ReplayManager {
+  constructor() {
+    this.keyManager = getKeyManager();
+    this.sceneManager = getSceneManager();
+    this.renderManager = getRenderManager();
+
+    this.mode = 'idle'; // 'idle', 'starting' (scene restarting), 'recording' or 'playing'
+    this.recording = null;
+    this.lastRecording = null;
+    this.playback = false; // True when this.recording is being played rather than made
+    this.live = false; // Whether the current tick runs outside a scene transition
+    this.tickCount = 0; // Live ticks recorded or played
+    this.eventIndex = 0;
+    this.eventTick = 0;
+    this.currentKeys = [];
+    this.onPlaybackEnd = null;
+    this.indicator = null;
+  }
+
+  /**
+   * Restart the current scene and record from its first tick
+   * @returns {boolean} True if recording starts
+   */
+  startRecording() {
+    if (this.mode !== 'idle') return false;
+
+    const scene = this.sceneManager.getCurrentSceneKey();
+    if (!scene) {
+      console.warn('No scene to record');
+      return false;
+    }
+
+    this.recording = {
+      version: REPLAY_VERSION,
+      scene,
+      character: this.sceneManager.getCharacter(),
+      playerCount: this.keyManager.getPlayerCount(),
+      seed: Math.floor(Math.random() * 0x100000000),
+      tickRate: Math.round(1 / GAME_CONFIG.FIXED_TIMESTEP),
+      recordedAt: new Date().toISOString(),
+      events: [],
+      result: null
+    };
+    this.restartScene(this.recording, 'recording');
+    console.log(`Recording ${scene} (seed ${this.recording.seed})`);
+    return true;
+  }
+
+  /**
+   * Stop recording
+   * @returns {Object|null} The finished recording
+   */
+  stopRecording() {
+    if (!this.recording || this.playback) return null;
+
+    const recording = this.recording;
+    recording.result = this.getResult();
+    this.recording = null;
+    this.lastRecording = recording;
+    this.setMode('idle');
+    console.log(`Recording stopped after ${this.tickCount} ticks`);
+    return recording;
+  }
+
+  /**
+   * Check if input is being recorded
+   * @returns {boolean} True while recording (restart included)
+   */
+  isRecording() {
+    return this.recording !== null && !this.playback;
+  }
+
+  /**
+   * Restart the recording's scene and play its input back
+   * @param {Object} recording - Parsed replay file
+   * @param {Function} onEnd - Called with true if the run ended where the recording did
+   * @returns {boolean} True if playback starts
+   */
+  startPlayback(recording, onEnd = null) {
+    if (this.mode !== 'idle') return false;
+
+    if (recording?.version !== REPLAY_VERSION || !Array.isArray(recording.events)) {
+      console.warn('Not a replay this version can play');
+      return false;
+    }
+    if (!this.sceneManager.getSceneConfig(recording.scene)) {
+      console.warn(`Replay scene ${recording.scene} doesn't exist`);
+      return false;
+    }
+
+    this.recording = recording;
+    this.playback = true;
+    this.onPlaybackEnd = onEnd;
+    this.eventIndex = 0;
+    this.eventTick = 0;
+    this.currentKeys = [];
+    this.keyManager.setInputOverride((player) => this.currentKeys[player] ?? []);
+    this.restartScene(recording, 'playing');
+    console.log(`Playing replay of ${recording.scene} (seed ${recording.seed})`);
+    return true;
+  }
+
+  /**
+   * Stop playback and hand input back to the devices
+   * @param {boolean} finished - True when the replay ran to its end
+   */
+  stopPlayback(finished = false) {
+    if (!this.playback) return;
+
+    const recording = this.recording;
+    this.keyManager.setInputOverride(null);
+    this.recording = null;
+    this.playback = false;
+    this.setMode('idle');
+
+    let matched = false;
+    if (finished && recording.result) {
+      const result = this.getResult();
+      matched = JSON.stringify(result) === JSON.stringify(recording.result);
+      if (matched) {
+        console.log(`Replay finished - matches the recording (${result.ticks} ticks)`);
+      } else {
+        console.warn('Replay finished - diverged from the recording', { expected: recording.result, actual: result });
+      }
+    } else {
+      console.log('Replay stopped');
+    }
+
+    const onEnd = this.onPlaybackEnd;
+    this.onPlaybackEnd = null;
+    onEnd?.(matched);
+  }
+
+  /**
+   * Check if a replay is playing
+   * @returns {boolean} True while playing (restart included)
+   */
+  isPlaying() {
+    return this.playback;
+  }
+
+  /**
+   * Reset progress and restart the scene a recording starts in, seeding once it's live
+   * @param {Object} recording - Recording to start
+   * @param {string} mode - Mode to enter once the scene is live
+   */
+  restartScene(recording, mode) {
+    this.setMode('starting');
+    this.live = false;
+    this.tickCount = 0;
+
+    this.sceneManager.resetProgress();
+    this.sceneManager.setCharacter(recording.character);
+    this.keyManager.setPlayerCount(recording.playerCount ?? 1);
+    this.sceneManager.queueSceneTransition(recording.scene, (success) => {
+      if (this.recording !== recording) return;
+      if (!success) {
+        console.warn(`Couldn't start ${recording.scene} for the replay`);
+        if (this.playback) {
+          this.keyManager.setInputOverride(null);
+          this.playback = false;
+        }
+        this.recording = null;
+        this.setMode('idle');
+        return;
+      }
+      getRandom().setSeed(recording.seed);
+      this.setMode(mode);
+    });
+  }
+
+  /**
+   * Called before KeyManager reads the tick's input
+   */
+  beginTick() {
+    if (this.mode !== 'recording' && this.mode !== 'playing') return;
+
+    const live = !this.sceneManager.isTransitioning();
+    const events = this.recording.events;
+
+    if (this.mode === 'recording') {
+      if (live && !this.live) {
+        events.push({ snapshot: this.keyManager.getInputSnapshot() });
+      }
+    } else if (live) {
+      if (events[this.eventIndex]?.snapshot) {
+        this.keyManager.restoreInputSnapshot(events[this.eventIndex].snapshot);
+        this.eventIndex++;
+      } else if (!this.live && this.tickCount > 0) {
+        console.warn(`Replay out of sync at tick ${this.tickCount}`);
+      }
+
+      const event = events[this.eventIndex];
+      if (!event) {
+        this.stopPlayback(true);
+        return;
+      }
+      this.currentKeys = event.keys;
+    } else {
+      this.currentKeys = [];
+    }
+
+    this.live = live;
+  }
+
+  /**
+   * Called after KeyManager has read the tick's input
+   */
+  endTick() {
+    if ((this.mode !== 'recording' && this.mode !== 'playing') || !this.live) return;
+
+    this.tickCount++;
+
+    if (this.mode === 'recording') {
+      const keys = [];
+      for (let player = 0; player < this.keyManager.getPlayerCount(); player++) {
+        keys.push(this.keyManager.getPressedKeys(player).sort());
+      }
+
+      const events = this.recording.events;
+      const last = events[events.length - 1];
+      if (last?.keys && JSON.stringify(last.keys) === JSON.stringify(keys)) {
+        last.ticks++;
+      } else {
+        events.push({ ticks: 1, keys });
+      }
+      return;
+    }
+
+    this.eventTick++;
+    if (this.eventTick >= this.recording.events[this.eventIndex].ticks) {
+      this.eventIndex++;
+      this.eventTick = 0;
+    }
+  }
+
+  /**
+   * Summarize the run, compared between a recording and its playback
+   * @returns {Object} {ticks, player}
+   */
+  getResult() {
+    const player = this.sceneManager.getCurrentScene()?.player;
+    return {
+      ticks: this.tickCount,
+      player: player ? { x: Math.round(player.x * 100) / 100, y: Math.round(player.y * 100) / 100, hp: player.hp } : null
+    };
+  }
+
+  /**
+   * Save a recording as a JSON file
+   * @param {Object} recording - Recording, the last one made by default
+   * @returns {boolean} True if a download started
+   */
+  downloadRecording(recording = this.lastRecording) {
+    if (!recording) return false;
+
+    const blob = new Blob([JSON.stringify(recording)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `megaz-replay-${recording.scene.toLowerCase()}-${recording.recordedAt.replace(/[:.]/g, '-')}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+    return true;
+  }
+
+  /**
+   * Read a replay file and play it
+   * @param {File} file - JSON file picked by the user
+   * @returns {Promise<boolean>} True if playback starts
+   */
+  async loadReplayFile(file) {
+    try {
+      return this.startPlayback(JSON.parse(await file.text()));
+    } catch (error) {
+      console.error(`Failed to read replay ${file.name}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Ask the user for a replay file and play it
+   */
+  openReplayFile() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    input.addEventListener('change', () => {
+      if (input.files[0]) this.loadReplayFile(input.files[0]);
+    });
+    input.click();
+  }
+
+  /**
+   * Change mode and update the on-screen REC / REPLAY marker
+   * @param {string} mode - New mode
+   */
+  setMode(mode) {
+    this.mode = mode;
+
+    const label = mode === 'idle' ? '' : (this.playback ? 'REPLAY' : 'REC');
+    const container = this.renderManager.getControlsContainer();
+    if (!this.indicator && label && container) {
+      this.indicator = new PIXI.Text('', { fontFamily: 'Arial', fontSize: 14, fontWeight: 'bold', fill: 0xFF4444 });
+      this.indicator.x = 10;
+      this.indicator.y = GAME_CONFIG.WINDOW_HEIGHT - 24;
+      container.addChild(this.indicator);
+    }
+    if (this.indicator) {
+      this.indicator.text = label;
+      this.indicator.visible = label !== '';
+    }
+  }
+
+  /**
+   * Cleanup resources
+   */
+  destroy() {
+    if (this.playback) {
+      this.keyManager.setInputOverride(null);
+    }
+    this.recording = null;
+    this.playback = false;
+    this.mode = 'idle';
+    if (this.indicator && !this.indicator.destroyed) {
+      this.indicator.destroy();
+    }
+    this.indicator = null;
+  }
+}
+
+// Singleton instance
+let replayManagerInstance = null;
+
+export const getReplayManager = () => {
+  if (!replayManagerInstance) {
+    replayManagerInstance = new ReplayManager();
+  }
+  return replayManagerInstance;
+};
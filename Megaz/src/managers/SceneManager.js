@@ -1,11 +1,26 @@
+import { GAME_CONFIG, CHARACTER } from '../utils/constants.js';
+import { SCENE_REGISTRY } from '../scenes/sceneRegistry.js';
+import { getAssetLoader } from '../utils/AssetLoader.js';
+import { getSoundManager } from './SoundManager.js';
+import { getRenderManager } from './RenderManager.js';
+import { getKeyManager } from './KeyManager.js';
+
 /**
  * Base Scene class - equivalent to CMyScene in C++
  * All game scenes inherit from this class
  */
 export class Scene {
-  constructor() {
+  /**
+   * @param {Object} config - Scene registry entry (key, bundle, next, ...)
+   */
+  constructor(config = {}) {
+    this.config = config;
+    this.key = config.key ?? null;
     this.initialized = false;
     this.active = true;
+    
+    // When pushed over another scene: stop the scenes below (and the world) from updating
+    this.freezeBelow = true;
   }
 
   /**
@@ -27,9 +42,10 @@ export class Scene {
 
   /**
    * Render the scene
+   * @param {number} alpha - Interpolation factor between logic ticks (0-1)
    * @returns {boolean} Success status
    */
-  render() {
+  render(alpha) {
     throw new Error('render() must be implemented by subclass');
   }
 
@@ -49,9 +65,24 @@ export class Scene {
 export class SceneManager {
   constructor() {
     this.currentScene = null;
+    this.currentSceneKey = null;
     this.nextScene = null;
+    this.nextSceneCallback = null;
     this.transitioning = false;
+    this.transitionPromise = null;
+    this.loadingScene = null; // Shown while a transition loads assets
+    this.sceneStack = []; // Overlays pushed over the current scene {scene, resolve, ready}
+    this.fadeDuration = 0.4;
     this.sceneFactories = new Map();
+    this.sceneConfigs = new Map();
+    
+    // Run progress kept across scene reloads
+    this.lives = GAME_CONFIG.PLAYER_LIVES;
+    this.checkpoint = null; // {sceneKey, x, y}
+    this.weaponIndex = 0; // Special weapon picked in the weapon select
+    this.character = CHARACTER.ZERO; // Picked in the character select
+    this.clearedStages = new Set(); // Stage keys whose exit was reached
+    this.continueSceneKey = null; // Stage the game over screen's Continue restarts
     
     this.registerDefaultScenes();
   }
@@ -60,14 +91,22 @@ export class SceneManager {
    * Register default scene factories
    */
   registerDefaultScenes() {
-    // Scene factories will be registered here
-    // For now, we'll add them as they're created
+    for (const [sceneKey, entry] of Object.entries(SCENE_REGISTRY)) {
+      const config = { key: sceneKey, ...entry };
+      this.sceneConfigs.set(sceneKey, config);
+
+      // Scene modules are only imported the first time the scene is entered
+      this.registerScene(sceneKey, async () => {
+        const module = await config.load();
+        return new module.default(config);
+      });
+    }
   }
 
   /**
    * Register a scene factory
    * @param {string} sceneKey - Scene identifier
-   * @param {Function} factory - Factory function that creates the scene
+   * @param {Function} factory - Factory function that creates the scene (may be async)
    */
   registerScene(sceneKey, factory) {
     this.sceneFactories.set(sceneKey, factory);
@@ -79,6 +118,9 @@ export class SceneManager {
    * @returns {boolean} Success status
    */
   async initScene(sceneKey) {
+    // Retries and respawns reload the same scene, which starts its music over
+    const reloading = sceneKey === this.currentSceneKey;
+
     try {
       // Clean up current scene
       if (this.currentScene) {
@@ -93,16 +135,37 @@ export class SceneManager {
         return false;
       }
 
-      this.currentScene = factory();
+      const config = this.sceneConfigs.get(sceneKey);
+      
+      // Load the scene's assets before it builds anything
+      if (config?.bundle) {
+        await getAssetLoader().loadBundle(config.bundle);
+      }
+
+      this.currentScene = await factory();
+      this.currentSceneKey = sceneKey;
       
       // Initialize the scene
       const success = await this.currentScene.initialize();
       if (!success) {
         console.error(`Failed to initialize scene: ${sceneKey}`);
         this.currentScene = null;
+        this.currentSceneKey = null;
         return false;
       }
 
+      // Crossfade to the scene's music from the manifest (same track keeps playing into a new scene)
+      const soundManager = getSoundManager();
+      const music = getAssetLoader().getSceneMusic(sceneKey);
+      if (music) {
+        if (reloading) {
+          soundManager.stopMusic(soundManager.musicFadeTime);
+        }
+        soundManager.playMusic(music);
+      } else {
+        soundManager.stopMusic(soundManager.musicFadeTime);
+      }
+
       console.log(`Scene initialized: ${sceneKey}`);
       return true;
     } catch (error) {
@@ -112,27 +175,243 @@ export class SceneManager {
   }
 
   /**
-   * Queue a scene transition
+   * Push an overlay scene (pause menu, dialog) over the current scene
+   * Scenes below keep rendering; they stop updating if the overlay freezes them
+   * The overlay joins the stack straight away, so the world freezes on the tick it was pushed
+   * rather than whenever initialize() happens to finish
+   * @param {Scene} scene - Scene instance to push
+   * @returns {Promise<*>} Resolves with the value passed to popScene, or null if the scene failed to initialize
+   */
+  async pushScene(scene) {
+    let resolve;
+    const closed = new Promise(done => { resolve = done; });
+    const entry = { scene, resolve, ready: false };
+    this.sceneStack.push(entry);
+
+    let success = false;
+    try {
+      success = await scene.initialize();
+    } catch (error) {
+      console.error(`Error initializing scene ${scene.constructor.name}:`, error);
+    }
+
+    // Popped (e.g. by a scene change) while it was still initializing
+    if (!this.sceneStack.includes(entry)) {
+      return closed;
+    }
+
+    if (!success) {
+      console.error(`Failed to push scene: ${scene.constructor.name}`);
+      this.sceneStack.splice(this.sceneStack.indexOf(entry), 1);
+      scene.destroy();
+      resolve(null);
+      return closed;
+    }
+
+    entry.ready = true;
+    console.log(`Scene pushed: ${scene.constructor.name}`);
+    return closed;
+  }
+
+  /**
+   * Pop the top overlay scene
+   * @param {*} result - Value the pushScene promise resolves with
+   * @returns {boolean} True if a scene was popped
+   */
+  popScene(result = null) {
+    const entry = this.sceneStack.pop();
+    if (!entry) return false;
+
+    entry.scene.destroy();
+    entry.resolve(result);
+    console.log(`Scene popped: ${entry.scene.constructor.name}`);
+    return true;
+  }
+
+  /**
+   * Pop every overlay scene
+   */
+  clearSceneStack() {
+    while (this.sceneStack.length > 0) {
+      this.popScene();
+    }
+  }
+
+  /**
+   * Get the top overlay scene
+   * @returns {Scene|null} Top overlay or null when none
+   */
+  getTopScene() {
+    return this.sceneStack[this.sceneStack.length - 1]?.scene ?? null;
+  }
+
+  /**
+   * Check if the world (objects, combat, camera) should stand still
+   * @returns {boolean} True during transitions or under a freezing overlay
+   */
+  isWorldFrozen() {
+    return this.transitioning || this.sceneStack.some(entry => entry.scene.freezeBelow);
+  }
+
+  /**
+   * Queue a scene transition, started on the next update
    * @param {string} sceneKey - Scene to transition to
+   * @param {Function} onComplete - Called with the success status once the new scene is live
    */
-  queueSceneTransition(sceneKey) {
+  queueSceneTransition(sceneKey, onComplete = null) {
     this.nextScene = sceneKey;
+    this.nextSceneCallback = onComplete;
     this.transitioning = true;
   }
 
+  /**
+   * Switch scenes: fade out, unload the old scene, load assets behind a loading screen, fade in
+   * Input is blocked until the new scene is live
+   * @param {string} sceneKey - Scene to transition to
+   * @returns {Promise<boolean>} Resolves with the success status once the new scene is live
+   */
+  changeScene(sceneKey) {
+    if (this.transitionPromise) {
+      console.warn(`Scene transition already running - ignoring ${sceneKey}`);
+      return this.transitionPromise;
+    }
+
+    this.transitioning = true;
+    this.transitionPromise = this.runTransition(sceneKey).finally(() => {
+      this.transitionPromise = null;
+      this.transitioning = this.nextScene !== null;
+    });
+    return this.transitionPromise;
+  }
+
+  /**
+   * Transition steps for changeScene
+   * @param {string} sceneKey - Scene to transition to
+   * @returns {Promise<boolean>} Success status
+   */
+  async runTransition(sceneKey) {
+    const renderManager = getRenderManager();
+    const keyManager = getKeyManager();
+    keyManager.setInputBlocked(true);
+
+    try {
+      await renderManager.startFadeOut(this.fadeDuration);
+
+      this.clearSceneStack();
+      if (this.currentScene) {
+        this.currentScene.destroy();
+        this.currentScene = null;
+      }
+      renderManager.clearStage();
+
+      // Show progress while the new scene's bundle loads (skipped when it's cached)
+      const bundle = this.getSceneConfig(sceneKey)?.bundle;
+      const assetLoader = getAssetLoader();
+      if (bundle && !assetLoader.isBundleLoaded(bundle)) {
+        await this.showLoadingScene(sceneKey);
+        await assetLoader.loadBundle(bundle, (progress) => this.loadingScene?.setProgress(progress));
+        this.hideLoadingScene();
+      }
+
+      const success = await this.initScene(sceneKey);
+      await renderManager.startFadeIn(this.fadeDuration);
+      return success;
+    } catch (error) {
+      console.error(`Scene transition to ${sceneKey} failed:`, error);
+      renderManager.setFadeAlpha(255);
+      return false;
+    } finally {
+      keyManager.setInputBlocked(false);
+    }
+  }
+
+  /**
+   * Put the loading screen up, fully visible
+   * @param {string} sceneKey - Scene being loaded
+   */
+  async showLoadingScene(sceneKey) {
+    const { default: LoadingScene } = await import('../scenes/LoadingScene.js');
+    this.loadingScene = new LoadingScene({ key: sceneKey });
+    await this.loadingScene.initialize();
+    getRenderManager().setFadeAlpha(255);
+  }
+
+  /**
+   * Take the loading screen down, leaving the screen black for the fade-in
+   */
+  hideLoadingScene() {
+    this.loadingScene?.destroy();
+    this.loadingScene = null;
+    getRenderManager().setFadeAlpha(0);
+  }
+
+  /**
+   * Move on to the scene listed as "next" in the registry
+   * @returns {boolean} True if a next scene exists
+   */
+  goToNextScene() {
+    const nextSceneKey = this.getSceneConfig()?.next;
+    if (!nextSceneKey) {
+      console.log(`No scene after ${this.currentSceneKey}`);
+      return false;
+    }
+
+    this.queueSceneTransition(nextSceneKey);
+    return true;
+  }
+
+  /**
+   * Get the registry entry of a scene
+   * @param {string} sceneKey - Scene identifier
+   * @returns {Object|null} Scene config or null for scenes registered by hand
+   */
+  getSceneConfig(sceneKey = this.currentSceneKey) {
+    return this.sceneConfigs.get(sceneKey) ?? null;
+  }
+
+  /**
+   * Get the registry entries of every stage (scenes with a map), in registry order
+   * @returns {Array<Object>} Stage scene configs
+   */
+  getStageConfigs() {
+    return [...this.sceneConfigs.values()].filter(config => config.map);
+  }
+
   /**
    * Update current scene - equivalent to Progress in C++
    * @param {number} deltaTime - Time since last frame
    */
   update(deltaTime) {
-    // Handle scene transition
-    if (this.transitioning && this.nextScene) {
-      this.initScene(this.nextScene);
+    // Start a queued transition
+    if (this.nextScene && !this.transitionPromise) {
+      const sceneKey = this.nextScene;
+      const onComplete = this.nextSceneCallback;
       this.nextScene = null;
-      this.transitioning = false;
+      this.nextSceneCallback = null;
+      this.changeScene(sceneKey).then(success => onComplete?.(success));
       return;
     }
 
+    // The old scene stays frozen while a transition runs
+    if (this.transitioning) {
+      this.loadingScene?.update(deltaTime);
+      return;
+    }
+
+    // Update from the top of the stack down, stopping under a freezing overlay
+    // (snapshot so scenes pushed this tick wait for the next one)
+    // Overlays still initializing don't update yet, but already freeze what's below them
+    const overlays = [...this.sceneStack];
+    for (let i = overlays.length - 1; i >= 0; i--) {
+      const { scene, ready } = overlays[i];
+      if (scene.active && ready) {
+        scene.update(deltaTime);
+      }
+      // A scene that closed itself keeps the ones below from seeing the same key press
+      const closed = !this.sceneStack.includes(overlays[i]);
+      if (scene.freezeBelow || closed) return;
+    }
+
     // Update current scene
     if (this.currentScene && this.currentScene.active) {
       this.currentScene.update(deltaTime);
@@ -141,10 +420,23 @@ export class SceneManager {
 
   /**
    * Render current scene
+   * @param {number} alpha - Interpolation factor between logic ticks (0-1)
    */
-  render() {
+  render(alpha = 1) {
+    if (this.loadingScene) {
+      this.loadingScene.render(alpha);
+      return;
+    }
+
     if (this.currentScene && this.currentScene.active) {
-      this.currentScene.render();
+      this.currentScene.render(alpha);
+    }
+
+    // Overlays draw on top, bottom to top
+    for (const { scene, ready } of this.sceneStack) {
+      if (scene.active && ready) {
+        scene.render(alpha);
+      }
     }
   }
 
@@ -157,7 +449,160 @@ export class SceneManager {
   }
 
   /**
-   * Check if currently transitioning
+   * Get the key of the current scene
+   * @returns {string|null} Scene identifier
+   */
+  getCurrentSceneKey() {
+    return this.currentSceneKey;
+  }
+
+  /**
+   * Record the last checkpoint the player touched
+   * @param {string} sceneKey - Scene the checkpoint belongs to
+   * @param {number} x - Respawn x (feet)
+   * @param {number} y - Respawn y (feet)
+   */
+  setCheckpoint(sceneKey, x, y) {
+    this.checkpoint = { sceneKey, x, y };
+    console.log(`Checkpoint set: ${sceneKey} (${x}, ${y})`);
+  }
+
+  /**
+   * Get the checkpoint for a scene
+   * @param {string} sceneKey - Scene identifier
+   * @returns {Object|null} Checkpoint {sceneKey, x, y} or null if none in that scene
+   */
+  getCheckpoint(sceneKey = this.currentSceneKey) {
+    if (!this.checkpoint || this.checkpoint.sceneKey !== sceneKey) return null;
+    return { ...this.checkpoint };
+  }
+
+  /**
+   * Get remaining extra lives
+   * @returns {number} Lives left
+   */
+  getLives() {
+    return this.lives;
+  }
+
+  /**
+   * Spend a life after the player dies
+   * @returns {boolean} True if a life was left to spend
+   */
+  loseLife() {
+    if (this.lives <= 0) return false;
+    this.lives--;
+    return true;
+  }
+
+  /**
+   * Gain extra lives (1UP pickups)
+   * @param {number} count - Lives to add
+   */
+  addLife(count = 1) {
+    this.lives = Math.min(this.lives + count, GAME_CONFIG.MAX_LIVES);
+  }
+
+  /**
+   * Get the equipped special weapon
+   * @returns {number} Weapon index
+   */
+  getWeaponIndex() {
+    return this.weaponIndex;
+  }
+
+  /**
+   * Remember the equipped special weapon
+   * @param {number} index - Weapon index
+   */
+  setWeaponIndex(index) {
+    this.weaponIndex = index;
+  }
+
+  /**
+   * Get the selected character
+   * @returns {string} CHARACTER value
+   */
+  getCharacter() {
+    return this.character;
+  }
+
+  /**
+   * Remember the character picked in the character select
+   * @param {string} character - CHARACTER value
+   */
+  setCharacter(character) {
+    this.character = character;
+  }
+
+  /**
+   * Mark a stage as cleared
+   * @param {string} sceneKey - Stage scene identifier
+   */
+  markStageCleared(sceneKey = this.currentSceneKey) {
+    this.clearedStages.add(sceneKey);
+    console.log(`Stage cleared: ${sceneKey}`);
+  }
+
+  /**
+   * Check if a stage was cleared this run
+   * @param {string} sceneKey - Stage scene identifier
+   * @returns {boolean} True if cleared
+   */
+  isStageCleared(sceneKey) {
+    return this.clearedStages.has(sceneKey);
+  }
+
+  /**
+   * Reset lives, checkpoint and weapon for a fresh run
+   */
+  resetProgress() {
+    this.lives = GAME_CONFIG.PLAYER_LIVES;
+    this.checkpoint = null;
+    this.weaponIndex = 0;
+  }
+
+  /**
+   * Reset everything, cleared stages included, for a game started from the title
+   */
+  startNewGame() {
+    this.resetProgress();
+    this.clearedStages.clear();
+    this.continueSceneKey = null;
+  }
+
+  /**
+   * Handle player death - reload the scene at the last checkpoint,
+   * or go to the game over screen when no lives remain
+   */
+  respawnAtCheckpoint() {
+    const sceneKey = this.checkpoint?.sceneKey ?? this.currentSceneKey;
+    
+    if (!this.loseLife()) {
+      console.log('No lives left - game over');
+      this.continueSceneKey = this.currentSceneKey;
+      this.queueSceneTransition('GAME_OVER');
+      return;
+    }
+
+    this.queueSceneTransition(sceneKey);
+  }
+
+  /**
+   * Continue after a game over - restart the stage from the beginning with full lives
+   * @returns {boolean} True if there was a stage to continue
+   */
+  continueGame() {
+    if (!this.continueSceneKey) return false;
+
+    this.resetProgress();
+    this.queueSceneTransition(this.continueSceneKey);
+    this.continueSceneKey = null;
+    return true;
+  }
+
+  /**
+   * Check if a transition is queued or running
    * @returns {boolean} True if transitioning
    */
   isTransitioning() {
@@ -168,13 +613,19 @@ export class SceneManager {
    * Cleanup all resources
    */
   destroy() {
+    this.clearSceneStack();
     if (this.currentScene) {
       this.currentScene.destroy();
       this.currentScene = null;
     }
+    this.loadingScene?.destroy();
+    this.loadingScene = null;
+    this.currentSceneKey = null;
     this.nextScene = null;
+    this.nextSceneCallback = null;
     this.transitioning = false;
     this.sceneFactories.clear();
+    this.sceneConfigs.clear();
   }
 }
 
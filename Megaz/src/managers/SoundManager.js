@@ -1,14 +1,57 @@
+import { SOUND_BUS } from '../utils/constants.js';
+import { clamp } from '../utils/helpers.js';
+import { getCamera } from '../core/Camera.js';
+
 /**
  * SoundManager class - equivalent to CSoundMgr in C++
  * Manages game audio using Web Audio API
+ * Every sound plays through a mixer bus (music, SFX, voice) into a master gain;
+ * bus volumes and mutes apply live and are saved to localStorage
  */
 export class SoundManager {
   constructor() {
     this.audioContext = null;
     this.sounds = new Map();
+    this.soundBuses = new Map(); // Sound key -> SOUND_BUS value
+    this.soundOptions = new Map(); // Sound key -> manifest entry (loop, loopStart, loopEnd)
+    this.soundRegions = new Map(); // Sound key -> {offset, duration} inside a shared audio sprite buffer
+    this.spriteLoads = new Map(); // Audio sprite name -> Promise of its load, so each file is fetched once
     this.soundBuffers = [];
     this.masterVolume = 1.0;
+    this.masterGain = null;
     this.initialized = false;
+    
+    // Mixer buses: volume/mute gain -> duck gain -> master
+    this.buses = new Map(); // SOUND_BUS value -> {volume, muted, gain, duck}
+    for (const bus of Object.values(SOUND_BUS)) {
+      this.buses.set(bus, { volume: 1.0, muted: false, gain: null, duck: null });
+    }
+    this.storageKey = 'megaz.audio';
+    
+    // Music drops to `level` while any voice clip plays
+    this.ducking = { bus: SOUND_BUS.MUSIC, trigger: SOUND_BUS.VOICE, level: 0.35, attack: 0.05, release: 0.4 };
+    this.duckingVoices = new Set(); // Playing sound instances on the trigger bus
+    
+    // Voice limiting - per-sound limits come from the manifest (maxVoices, cooldown, priority)
+    this.maxVoices = 24; // Sounds playing at once across every bus but music
+    this.defaultSoundVoices = 4;
+    this.defaultCooldown = 0.03; // Seconds - the same sound twice in one tick is one sound
+    this.busPriorities = { [SOUND_BUS.MUSIC]: 3, [SOUND_BUS.SFX]: 1, [SOUND_BUS.VOICE]: 2 };
+    this.stealFadeTime = 0.02; // Fade on a stolen voice so cutting it doesn't click
+    this.voices = []; // Playing sound instances, oldest first
+    this.lastPlayed = new Map(); // Sound key -> audioContext time it last started
+    
+    // Positional sounds - panned and attenuated by distance from the camera center (world pixels)
+    this.panWidth = 500; // Horizontal distance that pans fully to one side
+    this.maxPan = 0.85; // Never quite hard-panned - one-eared sounds are tiring
+    this.fullVolumeDistance = 450; // Everything on screen plays at full volume
+    this.maxDistance = 1200; // Silent from here on
+    
+    // Background music - intro then a loop between loopStart/loopEnd, crossfaded between tracks
+    this.music = null; // {key, source, gainNode, bus, volume, offset, startedAt, paused, loopStart, loopEnd, duration}
+    this.musicKey = null;
+    this.musicFadeTime = 1.0; // Crossfade length between tracks
+    this.musicPauseFadeTime = 0.15; // Fade around pause/resume, long enough not to click
   }
 
   /**
@@ -28,6 +71,9 @@ export class SoundManager {
         });
       }
 
+      this.createMixer();
+      this.loadSettings();
+
       this.initialized = true;
       console.log('SoundManager initialized successfully');
       return true;
@@ -39,12 +85,30 @@ export class SoundManager {
     }
   }
 
+  /**
+   * Build the master gain and one gain chain per bus
+   */
+  createMixer() {
+    this.masterGain = this.audioContext.createGain();
+    this.masterGain.gain.value = this.masterVolume;
+    this.masterGain.connect(this.audioContext.destination);
+
+    for (const bus of this.buses.values()) {
+      bus.gain = this.audioContext.createGain();
+      bus.duck = this.audioContext.createGain();
+      bus.gain.connect(bus.duck);
+      bus.duck.connect(this.masterGain);
+    }
+  }
+
   /**
    * Load a sound file
    * @param {string} fileName - Path to sound file
    * @param {string} key - Sound key identifier
+   * @param {Object} options - Manifest entry: type (SOUND_BUS), loop, loopStart/loopEnd (music loop points in seconds),
+   *   maxVoices, cooldown (seconds), priority (voice limiting)
    */
-  async loadSound(fileName, key) {
+  async loadSound(fileName, key, options = {}) {
     if (!this.initialized) {
       console.error('SoundManager not initialized');
       return false;
@@ -55,7 +119,7 @@ export class SoundManager {
       const arrayBuffer = await response.arrayBuffer();
       const audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
       
-      this.sounds.set(key, audioBuffer);
+      this.registerSound(key, audioBuffer, options);
       console.log(`Sound loaded: ${key}`);
       return true;
     } catch (error) {
@@ -64,18 +128,87 @@ export class SoundManager {
     }
   }
 
+  /**
+   * Load an audio sprite - one file holding many sounds - and register each region as its own sound key
+   * Loading the same sprite again (another bundle) reuses the first load
+   * @param {string} name - Sprite name
+   * @param {Object} sprite - Manifest entry: path, type, sprites: {key: {offset, duration, ...sound options}}
+   * @returns {Promise<boolean>} Success status
+   */
+  loadAudioSprite(name, sprite) {
+    if (!this.initialized) {
+      console.error('SoundManager not initialized');
+      return Promise.resolve(false);
+    }
+
+    if (!this.spriteLoads.has(name)) {
+      this.spriteLoads.set(name, this.fetchAudioSprite(name, sprite));
+    }
+    return this.spriteLoads.get(name);
+  }
+
+  /**
+   * Fetch and decode an audio sprite, then register its regions
+   * @param {string} name - Sprite name
+   * @param {Object} sprite - Manifest entry
+   * @returns {Promise<boolean>} Success status
+   */
+  async fetchAudioSprite(name, sprite) {
+    try {
+      const response = await fetch(sprite.path);
+      const arrayBuffer = await response.arrayBuffer();
+      const audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
+
+      const { path, sprites, ...shared } = sprite;
+      for (const [key, region] of Object.entries(sprites ?? {})) {
+        const { offset, duration, ...options } = region;
+        this.registerSound(key, audioBuffer, { ...shared, ...options });
+        this.soundRegions.set(key, { offset, duration });
+      }
+      console.log(`Audio sprite loaded: ${name} (${Object.keys(sprites ?? {}).length} sounds)`);
+      return true;
+    } catch (error) {
+      console.error(`Failed to load audio sprite ${sprite.path}:`, error);
+      this.spriteLoads.delete(name); // Let a later bundle retry
+      return false;
+    }
+  }
+
+  /**
+   * Make a decoded buffer playable under a key
+   * @param {string} key - Sound key
+   * @param {AudioBuffer} audioBuffer - Decoded audio
+   * @param {Object} options - Manifest entry
+   */
+  registerSound(key, audioBuffer, options) {
+    this.sounds.set(key, audioBuffer);
+    this.soundBuses.set(key, this.buses.has(options.type) ? options.type : SOUND_BUS.SFX);
+    this.soundOptions.set(key, options);
+    this.soundRegions.delete(key);
+  }
+
   /**
    * Play a sound
    * @param {string} key - Sound key
    * @param {boolean} loop - Whether to loop the sound
    * @param {number} volume - Volume (0-1)
+   * @param {string} bus - SOUND_BUS to play on, the sound's own bus by default
+   * @param {number|null} pan - Stereo position (-1 left to 1 right), null for a centered sound without a panner
+   * @returns {Object|null} Sound instance {key, source, gainNode, panner, bus, priority}, null if it was
+   *   limited away (cooldown, or every voice busy with more important sounds)
    */
-  playSound(key, loop = false, volume = 1.0) {
+  playSound(key, loop = false, volume = 1.0, bus = this.getSoundBus(key), pan = null) {
     if (!this.initialized || !this.sounds.has(key)) {
       console.warn(`Sound not found: ${key}`);
       return null;
     }
 
+    const options = this.soundOptions.get(key) ?? {};
+    const priority = options.priority ?? this.busPriorities[bus] ?? 1;
+    if (!this.reserveVoice(key, options, priority)) {
+      return null;
+    }
+
     try {
       const audioBuffer = this.sounds.get(key);
       const source = this.audioContext.createBufferSource();
@@ -84,20 +217,500 @@ export class SoundManager {
       source.buffer = audioBuffer;
       source.loop = loop;
       
-      gainNode.gain.value = volume * this.masterVolume;
+      // Sprite sounds play (or loop) only their own region of the shared buffer
+      const region = this.soundRegions.get(key);
+      if (region && loop) {
+        source.loopStart = region.offset;
+        source.loopEnd = region.offset + region.duration;
+      }
+      
+      gainNode.gain.value = volume;
       
       source.connect(gainNode);
-      gainNode.connect(this.audioContext.destination);
+      let output = gainNode;
+      let panner = null;
+      if (pan !== null && this.audioContext.createStereoPanner) {
+        panner = this.audioContext.createStereoPanner();
+        panner.pan.value = pan;
+        output = gainNode.connect(panner);
+      }
+      output.connect(this.buses.get(bus)?.gain ?? this.masterGain);
       
-      source.start();
+      if (!region) {
+        source.start();
+      } else if (loop) {
+        source.start(0, region.offset);
+      } else {
+        source.start(0, region.offset, region.duration);
+      }
       
-      return { source, gainNode };
+      const instance = { key, source, gainNode, panner, bus, priority };
+      source.onended = () => this.releaseVoice(instance);
+      this.voices.push(instance);
+      this.lastPlayed.set(key, this.audioContext.currentTime);
+      if (bus === this.ducking.trigger) {
+        this.startDucking(instance);
+      }
+      return instance;
     } catch (error) {
       console.error(`Error playing sound ${key}:`, error);
       return null;
     }
   }
 
+  /**
+   * Play a sound from a point in the world, panned and attenuated relative to the camera
+   * @param {string} key - Sound key
+   * @param {number} x - World x
+   * @param {number} y - World y
+   * @param {number} volume - Volume at full presence (0-1)
+   * @param {boolean} loop - Whether to loop the sound (move it with updateSoundPosition)
+   * @returns {Object|null} Sound instance, null if out of earshot or limited away
+   */
+  playSoundAt(key, x, y, volume = 1.0, loop = false) {
+    const { pan, gain } = this.getSpatialParams(x, y);
+
+    // One-shots out of earshot aren't worth a voice; loops may come back into range
+    if (gain <= 0 && !loop) return null;
+
+    const instance = this.playSound(key, loop, volume * gain, this.getSoundBus(key), pan);
+    if (instance) {
+      instance.baseVolume = volume;
+    }
+    return instance;
+  }
+
+  /**
+   * Move a sound started by playSoundAt
+   * @param {Object} instance - Sound instance
+   * @param {number} x - World x
+   * @param {number} y - World y
+   */
+  updateSoundPosition(instance, x, y) {
+    if (!instance?.panner || !this.audioContext) return;
+
+    const { pan, gain } = this.getSpatialParams(x, y);
+    const now = this.audioContext.currentTime;
+    instance.panner.pan.setTargetAtTime(pan, now, 0.02);
+    instance.gainNode.gain.setTargetAtTime(instance.baseVolume * gain, now, 0.02);
+  }
+
+  /**
+   * Work out pan and distance attenuation of a world point, heard from the camera center
+   * @param {number} x - World x
+   * @param {number} y - World y
+   * @returns {Object} {pan (-1 to 1), gain (0-1)}
+   */
+  getSpatialParams(x, y) {
+    const view = getCamera().getViewRect();
+    const dx = x - (view.x + view.width / 2);
+    const dy = y - (view.y + view.height / 2);
+    const distance = Math.hypot(dx, dy);
+
+    const pan = clamp(dx / this.panWidth, -1, 1) * this.maxPan;
+    const gain = distance <= this.fullVolumeDistance
+      ? 1
+      : clamp(1 - (distance - this.fullVolumeDistance) / (this.maxDistance - this.fullVolumeDistance), 0, 1);
+    return { pan, gain };
+  }
+
+  /**
+   * Make room for a new voice of a sound
+   * Inside its cooldown the sound is skipped. Past its own limit the sound's oldest voice is stolen;
+   * past the global cap the oldest of the least important voices goes, unless all are more important
+   * @param {string} key - Sound key
+   * @param {Object} options - Manifest entry
+   * @param {number} priority - Priority of the new voice
+   * @returns {boolean} True if the sound may play
+   */
+  reserveVoice(key, options, priority) {
+    const now = this.audioContext.currentTime;
+    const cooldown = options.cooldown ?? this.defaultCooldown;
+    if (this.lastPlayed.has(key) && now - this.lastPlayed.get(key) < cooldown) {
+      return false;
+    }
+
+    const sameSound = this.voices.filter(voice => voice.key === key);
+    if (sameSound.length >= (options.maxVoices ?? this.defaultSoundVoices)) {
+      this.stealVoice(sameSound[0]);
+    }
+
+    if (this.voices.length >= this.maxVoices) {
+      let victim = null;
+      for (const voice of this.voices) {
+        if (voice.priority <= priority && (!victim || voice.priority < victim.priority)) {
+          victim = voice;
+        }
+      }
+      if (!victim) return false;
+      this.stealVoice(victim);
+    }
+    return true;
+  }
+
+  /**
+   * Cut a playing voice short with a quick fade
+   * @param {Object} instance - Sound instance
+   */
+  stealVoice(instance) {
+    this.releaseVoice(instance);
+
+    const now = this.audioContext.currentTime;
+    try {
+      instance.gainNode.gain.setTargetAtTime(0, now, this.stealFadeTime / 3);
+      instance.source.stop(now + this.stealFadeTime);
+    } catch (error) {
+      // Sound might already be stopped
+    }
+  }
+
+  /**
+   * Forget a voice that ended or was stolen
+   * @param {Object} instance - Sound instance
+   */
+  releaseVoice(instance) {
+    const index = this.voices.indexOf(instance);
+    if (index !== -1) {
+      this.voices.splice(index, 1);
+    }
+    if (this.duckingVoices.has(instance)) {
+      this.stopDucking(instance);
+    }
+  }
+
+  /**
+   * Get how many sounds are playing (music excluded)
+   * @returns {number} Voice count
+   */
+  getVoiceCount() {
+    return this.voices.length;
+  }
+
+  /**
+   * Set the global voice cap
+   * @param {number} count - Sounds allowed at once
+   */
+  setMaxVoices(count) {
+    this.maxVoices = Math.max(1, Math.floor(count));
+  }
+
+  /**
+   * Check if a sound is loaded
+   * @param {string} key - Sound key
+   * @returns {boolean} True if loaded
+   */
+  hasSound(key) {
+    return this.sounds.has(key);
+  }
+
+  /**
+   * Get the bus a sound plays on
+   * @param {string} key - Sound key
+   * @returns {string} SOUND_BUS value
+   */
+  getSoundBus(key) {
+    return this.soundBuses.get(key) ?? SOUND_BUS.SFX;
+  }
+
+  /**
+   * Set a bus volume, applied to sounds already playing
+   * @param {string} bus - SOUND_BUS value
+   * @param {number} volume - Volume (0-1)
+   */
+  setBusVolume(bus, volume) {
+    const entry = this.buses.get(bus);
+    if (!entry) return;
+
+    entry.volume = Math.max(0, Math.min(1, volume));
+    this.applyBusGain(bus);
+    this.saveSettings();
+  }
+
+  /**
+   * Get a bus volume
+   * @param {string} bus - SOUND_BUS value
+   * @returns {number} Volume (0-1)
+   */
+  getBusVolume(bus) {
+    return this.buses.get(bus)?.volume ?? 0;
+  }
+
+  /**
+   * Mute or unmute a bus
+   * @param {string} bus - SOUND_BUS value
+   * @param {boolean} muted - True to mute
+   */
+  setBusMuted(bus, muted) {
+    const entry = this.buses.get(bus);
+    if (!entry) return;
+
+    entry.muted = muted;
+    this.applyBusGain(bus);
+    this.saveSettings();
+  }
+
+  /**
+   * Check if a bus is muted
+   * @param {string} bus - SOUND_BUS value
+   * @returns {boolean} True if muted
+   */
+  isBusMuted(bus) {
+    return this.buses.get(bus)?.muted ?? false;
+  }
+
+  /**
+   * Push a bus's volume and mute state to its gain node, with a short ramp to avoid clicks
+   * @param {string} bus - SOUND_BUS value
+   */
+  applyBusGain(bus) {
+    const entry = this.buses.get(bus);
+    if (!entry?.gain) return;
+
+    const value = entry.muted ? 0 : entry.volume;
+    entry.gain.gain.setTargetAtTime(value, this.audioContext.currentTime, 0.015);
+  }
+
+  /**
+   * Change how music ducks under voice clips
+   * @param {Object} options - {level, attack, release} - level is the ducked gain (0-1), times in seconds
+   */
+  setDucking(options) {
+    Object.assign(this.ducking, options);
+  }
+
+  /**
+   * Duck the music while a voice clip plays
+   * @param {Object} instance - Sound instance on the trigger bus
+   */
+  startDucking(instance) {
+    const duck = this.buses.get(this.ducking.bus)?.duck;
+    if (!duck) return;
+
+    if (this.duckingVoices.size === 0) {
+      duck.gain.setTargetAtTime(this.ducking.level, this.audioContext.currentTime, this.ducking.attack / 3);
+    }
+    this.duckingVoices.add(instance);
+  }
+
+  /**
+   * Let the music back up once the last voice clip has ended
+   * @param {Object} instance - Sound instance on the trigger bus
+   */
+  stopDucking(instance) {
+    this.duckingVoices.delete(instance);
+
+    const duck = this.buses.get(this.ducking.bus)?.duck;
+    if (duck && this.duckingVoices.size === 0 && this.audioContext) {
+      duck.gain.setTargetAtTime(1, this.audioContext.currentTime, this.ducking.release / 3);
+    }
+  }
+
+  /**
+   * Read saved volumes and mutes
+   */
+  loadSettings() {
+    let settings = null;
+    try {
+      const value = globalThis.localStorage?.getItem(this.storageKey);
+      settings = value ? JSON.parse(value) : null;
+    } catch (error) {
+      console.warn('Failed to read saved audio settings:', error);
+    }
+    if (!settings) return;
+
+    if (typeof settings.master === 'number') {
+      this.masterVolume = Math.max(0, Math.min(1, settings.master));
+      if (this.masterGain) this.masterGain.gain.value = this.masterVolume;
+    }
+    for (const [bus, entry] of this.buses) {
+      const saved = settings.buses?.[bus];
+      if (!saved) continue;
+      entry.volume = Math.max(0, Math.min(1, saved.volume ?? entry.volume));
+      entry.muted = saved.muted === true;
+      if (entry.gain) entry.gain.gain.value = entry.muted ? 0 : entry.volume;
+    }
+  }
+
+  /**
+   * Save volumes and mutes (silently skipped where storage is unavailable)
+   */
+  saveSettings() {
+    const buses = {};
+    for (const [bus, entry] of this.buses) {
+      buses[bus] = { volume: entry.volume, muted: entry.muted };
+    }
+    try {
+      globalThis.localStorage?.setItem(this.storageKey, JSON.stringify({ master: this.masterVolume, buses }));
+    } catch (error) {
+      console.warn('Failed to save audio settings:', error);
+    }
+  }
+
+  /**
+   * Start background music, crossfading from the current track
+   * The intro up to loopStart plays once, then loopStart-loopEnd repeats seamlessly
+   * @param {string} key - Sound key
+   * @param {number} volume - Volume (0-1)
+   * @param {number} fadeTime - Crossfade length in seconds
+   */
+  playMusic(key, volume = 0.6, fadeTime = this.musicFadeTime) {
+    if (this.musicKey === key && this.music) {
+      this.resumeMusic();
+      return;
+    }
+
+    this.stopMusic(fadeTime);
+    if (!this.initialized || !this.hasSound(key)) {
+      console.warn(`Music not loaded: ${key}`);
+      return;
+    }
+
+    this.music = this.startMusicTrack(key, volume, 0, fadeTime);
+    this.musicKey = this.music ? key : null;
+  }
+
+  /**
+   * Start a music source at a position, fading in
+   * @param {string} key - Sound key
+   * @param {number} volume - Volume (0-1)
+   * @param {number} offset - Position in seconds to start from
+   * @param {number} fadeTime - Fade-in length in seconds
+   * @returns {Object|null} Music track
+   */
+  startMusicTrack(key, volume, offset, fadeTime) {
+    try {
+      const buffer = this.sounds.get(key);
+      const options = this.soundOptions.get(key) ?? {};
+      const source = this.audioContext.createBufferSource();
+      const gainNode = this.audioContext.createGain();
+      const now = this.audioContext.currentTime;
+
+      // Loop points are relative to the sound, which may be a region of an audio sprite.
+      // They're kept inside the sound, so a shorter file than the manifest expects still loops
+      const region = this.soundRegions.get(key) ?? { offset: 0, duration: buffer.duration };
+      const loopEnd = Math.min(options.loopEnd ?? region.duration, region.duration);
+      const loopStart = (options.loopStart ?? 0) < loopEnd ? (options.loopStart ?? 0) : 0;
+      source.buffer = buffer;
+      source.loop = options.loop !== false;
+      source.loopStart = region.offset + loopStart;
+      source.loopEnd = region.offset + loopEnd;
+
+      if (fadeTime > 0) {
+        gainNode.gain.setValueAtTime(0, now);
+        gainNode.gain.linearRampToValueAtTime(volume, now + fadeTime);
+      } else {
+        gainNode.gain.value = volume;
+      }
+
+      source.connect(gainNode);
+      gainNode.connect(this.buses.get(SOUND_BUS.MUSIC).gain);
+      if (source.loop) {
+        source.start(now, region.offset + offset);
+      } else {
+        source.start(now, region.offset + offset, region.duration - offset);
+      }
+
+      return {
+        key, source, gainNode, bus: SOUND_BUS.MUSIC, volume, offset, startedAt: now, paused: false,
+        loopStart, loopEnd, duration: region.duration
+      };
+    } catch (error) {
+      console.error(`Error playing music ${key}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Fade a music track out and stop it at the end of the fade
+   * @param {Object} track - Music track
+   * @param {number} fadeTime - Fade length in seconds
+   */
+  fadeOutMusicTrack(track, fadeTime) {
+    if (!track?.source) return;
+
+    const now = this.audioContext.currentTime;
+    const gain = track.gainNode.gain;
+    try {
+      gain.cancelScheduledValues(now);
+      gain.setValueAtTime(gain.value, now);
+      gain.linearRampToValueAtTime(0, now + fadeTime);
+      track.source.stop(now + fadeTime);
+    } catch (error) {
+      // Track might already be stopped
+    }
+  }
+
+  /**
+   * Get how far into its buffer a music track is, following the loop
+   * @param {Object} track - Music track
+   * @returns {number} Position in seconds
+   */
+  getMusicPosition(track) {
+    if (track.paused) return track.offset;
+
+    const position = track.offset + (this.audioContext.currentTime - track.startedAt);
+    if (!track.source.loop) {
+      return Math.min(position, track.duration);
+    }
+    if (position < track.loopEnd) return position;
+    return track.loopStart + (position - track.loopStart) % (track.loopEnd - track.loopStart);
+  }
+
+  /**
+   * Stop the background music
+   * @param {number} fadeTime - Fade-out length in seconds (0 cuts it)
+   */
+  stopMusic(fadeTime = 0) {
+    if (this.music && !this.music.paused) {
+      if (fadeTime > 0) {
+        this.fadeOutMusicTrack(this.music, fadeTime);
+      } else {
+        this.stopSound(this.music);
+      }
+    }
+    this.music = null;
+    this.musicKey = null;
+  }
+
+  /**
+   * Pause the music where it is (the game's pause menu)
+   */
+  pauseMusic() {
+    if (!this.music || this.music.paused) return;
+
+    const track = this.music;
+    const offset = this.getMusicPosition(track);
+    this.fadeOutMusicTrack(track, this.musicPauseFadeTime);
+    this.music = { ...track, source: null, gainNode: null, offset, paused: true };
+  }
+
+  /**
+   * Resume paused music from where it stopped
+   */
+  resumeMusic() {
+    if (!this.music?.paused) return;
+
+    const { key, volume, offset } = this.music;
+    this.music = this.startMusicTrack(key, volume, offset, this.musicPauseFadeTime);
+    this.musicKey = this.music ? key : null;
+  }
+
+  /**
+   * Check if the music is paused
+   * @returns {boolean} True if paused
+   */
+  isMusicPaused() {
+    return this.music?.paused === true;
+  }
+
+  /**
+   * Get the key of the current music
+   * @returns {string|null} Sound key
+   */
+  getMusicKey() {
+    return this.musicKey;
+  }
+
   /**
    * Stop a sound
    * @param {Object} soundInstance - Sound instance returned by playSound
@@ -113,11 +726,23 @@ export class SoundManager {
   }
 
   /**
-   * Set master volume
+   * Set master volume, applied to sounds already playing
    * @param {number} volume - Volume (0-1)
    */
   setMasterVolume(volume) {
     this.masterVolume = Math.max(0, Math.min(1, volume));
+    if (this.masterGain) {
+      this.masterGain.gain.setTargetAtTime(this.masterVolume, this.audioContext.currentTime, 0.015);
+    }
+    this.saveSettings();
+  }
+
+  /**
+   * Get master volume
+   * @returns {number} Volume (0-1)
+   */
+  getMasterVolume() {
+    return this.masterVolume;
   }
 
   /**
@@ -151,11 +776,24 @@ export class SoundManager {
    * Cleanup resources
    */
   destroy() {
+    this.stopMusic();
     if (this.audioContext) {
       this.audioContext.close();
       this.audioContext = null;
     }
     this.sounds.clear();
+    this.soundBuses.clear();
+    this.soundOptions.clear();
+    this.soundRegions.clear();
+    this.spriteLoads.clear();
+    this.duckingVoices.clear();
+    this.voices = [];
+    this.lastPlayed.clear();
+    for (const bus of this.buses.values()) {
+      bus.gain = null;
+      bus.duck = null;
+    }
+    this.masterGain = null;
     this.soundBuffers = [];
     this.initialized = false;
   }
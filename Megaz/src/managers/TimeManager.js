@@ -1,3 +1,5 @@
+import { GAME_CONFIG } from '../utils/constants.js';
+
 /**
  * TimeManager class - equivalent to CTimeMgr in C++
  * Manages game timing and delta time calculations
@@ -9,6 +11,13 @@ export class TimeManager {
     this.deltaTime = 0;
     this.frameTime = 0;
     this.initialized = false;
+
+    // Fixed-step simulation
+    this.fixedDeltaTime = GAME_CONFIG.FIXED_TIMESTEP;
+    this.maxSubSteps = GAME_CONFIG.MAX_SUB_STEPS;
+    this.accumulator = 0;
+    this.stepsThisFrame = 0;
+    this.tickCount = 0;
   }
 
   /**
@@ -18,6 +27,9 @@ export class TimeManager {
     this.lastTime = performance.now();
     this.currentTime = this.lastTime;
     this.frameTime = this.lastTime;
+    this.deltaTime = 0;
+    this.accumulator = 0;
+    this.stepsThisFrame = 0;
     this.initialized = true;
   }
 
@@ -36,6 +48,54 @@ export class TimeManager {
     if (this.deltaTime > 0.05) { // Max 50ms
       this.deltaTime = 0.05;
     }
+
+    // Feed the fixed-step accumulator
+    this.accumulator += this.deltaTime;
+    this.stepsThisFrame = 0;
+  }
+
+  /**
+   * Consume one fixed simulation tick from the accumulator
+   * Call in a loop after setTime() until it returns false
+   * @returns {boolean} True if a tick should be simulated
+   */
+  consumeFixedStep() {
+    if (this.accumulator < this.fixedDeltaTime) return false;
+
+    // Spiral-of-death guard: drop the backlog instead of catching up forever
+    if (this.stepsThisFrame >= this.maxSubSteps) {
+      this.accumulator %= this.fixedDeltaTime;
+      return false;
+    }
+
+    this.accumulator -= this.fixedDeltaTime;
+    this.stepsThisFrame++;
+    this.tickCount++;
+    return true;
+  }
+
+  /**
+   * Get fixed simulation delta time in seconds
+   * @returns {number} Length of one logic tick
+   */
+  getFixedTime() {
+    return this.fixedDeltaTime;
+  }
+
+  /**
+   * Get interpolation factor between previous and current tick
+   * @returns {number} Alpha (0-1)
+   */
+  getAlpha() {
+    return Math.min(this.accumulator / this.fixedDeltaTime, 1);
+  }
+
+  /**
+   * Get number of logic ticks simulated since start
+   * @returns {number} Tick count
+   */
+  getTickCount() {
+    return this.tickCount;
   }
 
   /**
@@ -0,0 +1,512 @@
+import * as PIXI from 'pixi.js';
+import { VirtualSource } from './InputSource.js';
+import { getKeyManager } from './KeyManager.js';
+import { getRenderManager } from './RenderManager.js';
+import { GAME_CONFIG } from '../utils/constants.js';
+
+/**
+ * Default on-screen layout, in game pixels
+ *   dpad      8-way pad, holds LEFT/RIGHT/UP/DOWN
+ *   buttons   Round buttons holding one key name each
+ */
+export const DEFAULT_TOUCH_LAYOUT = {
+  scale: 1,
+  opacity: 0.45,
+  controls: {
+    dpad: { x: 120, y: 470 },
+    jump: { x: 720, y: 500 },
+    dash: { x: 630, y: 535 },
+    attack: { x: 630, y: 440 },
+    special: { x: 720, y: 405 },
+    pause: { x: 760, y: 40 }
+  }
+};
+
+/**
+ * TouchControls class - virtual D-pad and buttons for touch screens
+ * Registered with KeyManager as the 'touch' input source; every finger is tracked on its own,
+ * so holding the pad while tapping buttons works. Shown automatically once the screen is touched
+ */
+export class TouchControls extends VirtualSource {
+  constructor() {
+    super('touch');
+
+    this.keyManager = getKeyManager();
+    this.renderManager = getRenderManager();
+
+    this.canvas = null;
+    this.container = null;
+    this.mode = 'auto'; // 'auto' shows on the first touch, 'on' and 'off' force it
+    this.visible = false;
+    this.layout = null;
+    this.pointers = new Map(); // pointerId -> {controlId, keys, drag}
+    this.graphics = new Map(); // controlId -> PIXI.Container
+    this.editing = false; // Layout edit mode - dragging moves controls instead of pressing them
+    this.onEditDone = null;
+    this.doneButton = null;
+    this.listeners = [];
+    this.dpadRadius = 75;
+    this.buttonRadius = 34;
+    this.initialized = false;
+
+    // Buttons and the key names they hold
+    this.buttons = {
+      jump: { label: 'J', key: 'X', color: 0x66CCFF },
+      dash: { label: 'D', key: 'Z', color: 0x66FF99 },
+      attack: { label: 'A', key: 'C', color: 0xFF6666 },
+      special: { label: 'S', key: 'V', color: 0xFFCC44 },
+      pause: { label: 'II', key: 'ESCAPE', color: 0xFFFFFF, radius: 22 }
+    };
+  }
+
+  /**
+   * Hook the canvas touch events and register as an input source
+   * @param {HTMLCanvasElement} canvas - Game canvas
+   * @returns {boolean} Success status
+   */
+  init(canvas) {
+    this.canvas = canvas;
+    this.setLayout(this.keyManager.loadStoredValue('touch.layout') ?? DEFAULT_TOUCH_LAYOUT);
+    this.mode = this.keyManager.loadStoredValue('touch.mode') ?? 'auto';
+
+    // Keep the browser from scrolling or zooming under the controls
+    canvas.style.touchAction = 'none';
+    this.listeners = [
+      ['pointerdown', (event) => this.handlePointerDown(event)],
+      ['pointermove', (event) => this.handlePointerMove(event)],
+      ['pointerup', (event) => this.handlePointerUp(event)],
+      ['pointercancel', (event) => this.handlePointerUp(event)]
+    ];
+    for (const [type, listener] of this.listeners) {
+      canvas.addEventListener(type, listener);
+    }
+
+    this.keyManager.addSource(this, 0);
+    this.initialized = true;
+
+    const touchDevice = globalThis.matchMedia?.('(pointer: coarse)').matches || globalThis.navigator?.maxTouchPoints > 0;
+    this.setVisible(this.mode === 'on' || (this.mode === 'auto' && touchDevice));
+    console.log('TouchControls initialized');
+    return true;
+  }
+
+  /**
+   * Apply a layout, filling anything missing from the default
+   * @param {Object} layout - {scale, opacity, controls}
+   */
+  setLayout(layout) {
+    this.layout = {
+      scale: layout.scale ?? DEFAULT_TOUCH_LAYOUT.scale,
+      opacity: layout.opacity ?? DEFAULT_TOUCH_LAYOUT.opacity,
+      controls: {}
+    };
+    for (const [id, position] of Object.entries(DEFAULT_TOUCH_LAYOUT.controls)) {
+      this.layout.controls[id] = { ...position, ...layout.controls?.[id] };
+    }
+    this.rebuild();
+  }
+
+  /**
+   * Save the layout for next time
+   */
+  saveLayout() {
+    this.keyManager.storeValue('touch.layout', this.layout);
+  }
+
+  /**
+   * Put every control back where it started
+   */
+  resetLayout() {
+    this.setLayout(DEFAULT_TOUCH_LAYOUT);
+    this.saveLayout();
+  }
+
+  /**
+   * Get the control size multiplier
+   * @returns {number} Scale
+   */
+  getScale() {
+    return this.layout.scale;
+  }
+
+  /**
+   * Resize every control
+   * @param {number} scale - Size multiplier (0.6-1.6)
+   */
+  setScale(scale) {
+    this.layout.scale = Math.min(Math.max(scale, 0.6), 1.6);
+    this.rebuild();
+    this.saveLayout();
+  }
+
+  /**
+   * Get the show mode
+   * @returns {string} 'auto', 'on' or 'off'
+   */
+  getMode() {
+    return this.mode;
+  }
+
+  /**
+   * Choose when the controls show
+   * @param {string} mode - 'auto', 'on' or 'off'
+   */
+  setMode(mode) {
+    this.mode = mode;
+    this.keyManager.storeValue('touch.mode', mode);
+    if (mode !== 'auto') {
+      this.setVisible(mode === 'on');
+    }
+  }
+
+  /**
+   * Show or hide the controls (hiding lets go of everything held)
+   * @param {boolean} visible - True to show
+   */
+  setVisible(visible) {
+    this.visible = visible;
+    if (!visible) {
+      this.pointers.clear();
+      this.releaseAll();
+      this.refreshGraphics();
+    }
+    if (this.container) {
+      this.container.visible = visible;
+    }
+  }
+
+  /**
+   * Check if the controls are on screen
+   * @returns {boolean} True if shown
+   */
+  isVisible() {
+    return this.visible;
+  }
+
+  /**
+   * Get the radius of a control, scaled
+   * @param {string} id - Control id
+   * @returns {number} Radius in game pixels
+   */
+  getRadius(id) {
+    const radius = id === 'dpad' ? this.dpadRadius : (this.buttons[id].radius ?? this.buttonRadius);
+    return radius * this.layout.scale;
+  }
+
+  /**
+   * Recreate the control graphics from the layout
+   */
+  rebuild() {
+    const parent = this.renderManager.getControlsContainer();
+    if (!parent) return;
+
+    if (this.container && !this.container.destroyed) {
+      this.container.destroy({ children: true });
+    }
+    this.container = new PIXI.Container();
+    this.container.visible = this.visible;
+    this.graphics.clear();
+
+    for (const id of Object.keys(this.layout.controls)) {
+      const control = new PIXI.Container();
+      const { x, y } = this.layout.controls[id];
+      control.x = x;
+      control.y = y;
+      control.addChild(new PIXI.Graphics());
+
+      if (id !== 'dpad') {
+        const label = new PIXI.Text(this.buttons[id].label, {
+          fontFamily: 'Arial',
+          fontSize: Math.round(18 * this.layout.scale),
+          fontWeight: 'bold',
+          fill: 0xFFFFFF
+        });
+        label.anchor.set(0.5);
+        control.addChild(label);
+      }
+
+      this.graphics.set(id, control);
+      this.container.addChild(control);
+    }
+
+    parent.addChild(this.container);
+    this.refreshGraphics();
+  }
+
+  /**
+   * Redraw the controls, lighting up the held ones
+   */
+  refreshGraphics() {
+    for (const [id, control] of this.graphics) {
+      const shape = control.children[0];
+      const radius = this.getRadius(id);
+      shape.clear();
+
+      if (id === 'dpad') {
+        const arm = radius * 0.36;
+        shape.beginFill(0x000000, 0.35);
+        shape.drawCircle(0, 0, radius);
+        shape.endFill();
+        const arms = [['UP', 0, -1], ['DOWN', 0, 1], ['LEFT', -1, 0], ['RIGHT', 1, 0]];
+        for (const [key, dx, dy] of arms) {
+          shape.beginFill(this.isKeyDown(key) ? 0x66CCFF : 0xFFFFFF, 0.8);
+          shape.drawRect(dx * radius * 0.62 - arm / 2, dy * radius * 0.62 - arm / 2, arm, arm);
+          shape.endFill();
+        }
+      } else {
+        const button = this.buttons[id];
+        const held = this.isKeyDown(button.key);
+        shape.lineStyle(3, button.color, 0.9);
+        shape.beginFill(button.color, held ? 0.7 : 0.2);
+        shape.drawCircle(0, 0, radius);
+        shape.endFill();
+      }
+
+      // Outline what can be dragged while editing
+      if (this.editing) {
+        shape.lineStyle(2, 0xFFDD44);
+        shape.drawRect(-radius, -radius, radius * 2, radius * 2);
+      }
+    }
+    if (this.container) {
+      this.container.alpha = this.editing ? 1 : Math.min(this.layout.opacity * 2, 1);
+    }
+  }
+
+  /**
+   * Convert a pointer event to game coordinates
+   * @param {PointerEvent} event - Pointer event
+   * @returns {Object} {x, y}
+   */
+  toGamePoint(event) {
+    const rect = this.canvas.getBoundingClientRect();
+    return {
+      x: (event.clientX - rect.left) * GAME_CONFIG.WINDOW_WIDTH / rect.width,
+      y: (event.clientY - rect.top) * GAME_CONFIG.WINDOW_HEIGHT / rect.height
+    };
+  }
+
+  /**
+   * Find the control under a point
+   * @param {Object} point - {x, y} in game pixels
+   * @returns {string|null} Control id
+   */
+  findControlAt(point) {
+    for (const [id, position] of Object.entries(this.layout.controls)) {
+      // Generous hit area - fingers are less precise than they think
+      const reach = this.getRadius(id) * 1.25;
+      if (Math.hypot(point.x - position.x, point.y - position.y) <= reach) {
+        return id;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Key names a control holds for a finger at a point
+   * @param {string} id - Control id
+   * @param {Object} point - {x, y} in game pixels
+   * @returns {Array<string>} Key names
+   */
+  getControlKeys(id, point) {
+    if (id !== 'dpad') return [this.buttons[id].key];
+
+    const { x, y } = this.layout.controls.dpad;
+    const dx = point.x - x;
+    const dy = point.y - y;
+    if (Math.hypot(dx, dy) < this.getRadius('dpad') * 0.2) return []; // Dead center
+
+    // 8 sectors of 45 degrees, so diagonals hold two directions
+    const sector = Math.round(Math.atan2(dy, dx) / (Math.PI / 4));
+    const keys = [];
+    if (sector >= -1 && sector <= 1) keys.push('RIGHT');
+    if (sector >= 3 || sector <= -3) keys.push('LEFT');
+    if (sector >= 1 && sector <= 3) keys.push('DOWN');
+    if (sector <= -1 && sector >= -3) keys.push('UP');
+    return keys;
+  }
+
+  /**
+   * @param {PointerEvent} event - Pointer event
+   */
+  handlePointerDown(event) {
+    if (event.pointerType !== 'touch') return;
+
+    // Auto mode shows the controls as soon as the screen is touched
+    if (!this.visible) {
+      if (this.mode !== 'auto') return;
+      this.setVisible(true);
+    }
+
+    const point = this.toGamePoint(event);
+    if (this.editing && this.doneButton && this.isOnDoneButton(point)) {
+      this.stopEditing();
+      return;
+    }
+
+    const controlId = this.findControlAt(point);
+    if (!controlId) return;
+
+    event.preventDefault();
+    this.canvas.setPointerCapture?.(event.pointerId);
+
+    if (this.editing) {
+      const position = this.layout.controls[controlId];
+      this.pointers.set(event.pointerId, {
+        controlId,
+        drag: { dx: position.x - point.x, dy: position.y - point.y }
+      });
+      return;
+    }
+
+    this.pointers.set(event.pointerId, { controlId, keys: this.getControlKeys(controlId, point) });
+    this.updateHeldKeys();
+  }
+
+  /**
+   * @param {PointerEvent} event - Pointer event
+   */
+  handlePointerMove(event) {
+    const pointer = this.pointers.get(event.pointerId);
+    if (!pointer) return;
+
+    const point = this.toGamePoint(event);
+    if (pointer.drag) {
+      const position = this.layout.controls[pointer.controlId];
+      position.x = Math.min(Math.max(point.x + pointer.drag.dx, 0), GAME_CONFIG.WINDOW_WIDTH);
+      position.y = Math.min(Math.max(point.y + pointer.drag.dy, 0), GAME_CONFIG.WINDOW_HEIGHT);
+      const control = this.graphics.get(pointer.controlId);
+      control.x = position.x;
+      control.y = position.y;
+      return;
+    }
+
+    // The pad follows the finger; sliding onto another button moves the press there
+    const controlId = pointer.controlId === 'dpad' ? 'dpad' : (this.findControlAt(point) ?? pointer.controlId);
+    pointer.controlId = controlId;
+    pointer.keys = this.getControlKeys(controlId, point);
+    this.updateHeldKeys();
+  }
+
+  /**
+   * @param {PointerEvent} event - Pointer event
+   */
+  handlePointerUp(event) {
+    const pointer = this.pointers.get(event.pointerId);
+    if (!pointer) return;
+
+    this.pointers.delete(event.pointerId);
+    if (pointer.drag) {
+      this.saveLayout();
+      return;
+    }
+    this.updateHeldKeys();
+  }
+
+  /**
+   * Rebuild the held key names from every finger down
+   */
+  updateHeldKeys() {
+    this.releaseAll();
+    for (const pointer of this.pointers.values()) {
+      for (const key of pointer.keys ?? []) {
+        this.press(key);
+      }
+    }
+    this.refreshGraphics();
+  }
+
+  /**
+   * Enter layout edit mode - controls are dragged instead of pressed until DONE is tapped
+   * @param {Function} onDone - Called when editing ends
+   */
+  startEditing(onDone = null) {
+    this.editing = true;
+    this.onEditDone = onDone;
+    this.pointers.clear();
+    this.releaseAll();
+    this.setVisible(true);
+
+    this.doneButton = new PIXI.Container();
+    const box = new PIXI.Graphics();
+    box.beginFill(0x0A1A33, 0.95);
+    box.lineStyle(2, 0xFFDD44);
+    box.drawRect(-50, -18, 100, 36);
+    box.endFill();
+    const label = new PIXI.Text('DONE', { fontFamily: 'Arial', fontSize: 16, fill: 0xFFDD44 });
+    label.anchor.set(0.5);
+    this.doneButton.addChild(box, label);
+    this.doneButton.x = GAME_CONFIG.WINDOW_WIDTH / 2;
+    this.doneButton.y = 40;
+    this.container.addChild(this.doneButton);
+    this.refreshGraphics();
+  }
+
+  /**
+   * Check if a point is on the edit mode DONE button
+   * @param {Object} point - {x, y} in game pixels
+   * @returns {boolean} True if on it
+   */
+  isOnDoneButton(point) {
+    return Math.abs(point.x - this.doneButton.x) <= 50 && Math.abs(point.y - this.doneButton.y) <= 18;
+  }
+
+  /**
+   * Leave layout edit mode and save
+   */
+  stopEditing() {
+    if (!this.editing) return;
+
+    this.editing = false;
+    this.pointers.clear();
+    this.doneButton?.destroy({ children: true });
+    this.doneButton = null;
+    this.saveLayout();
+    this.refreshGraphics();
+    if (this.mode === 'off') {
+      this.setVisible(false);
+    }
+
+    const onDone = this.onEditDone;
+    this.onEditDone = null;
+    onDone?.();
+  }
+
+  /**
+   * Check if layout edit mode is on
+   * @returns {boolean} True while editing
+   */
+  isEditing() {
+    return this.editing;
+  }
+
+  /**
+   * Cleanup resources (called by KeyManager when the source is removed)
+   */
+  destroy() {
+    for (const [type, listener] of this.listeners) {
+      this.canvas?.removeEventListener(type, listener);
+    }
+    this.listeners = [];
+    this.editing = false;
+    this.doneButton = null;
+    if (this.container && !this.container.destroyed) {
+      this.container.destroy({ children: true });
+    }
+    this.container = null;
+    this.graphics.clear();
+    this.pointers.clear();
+    this.initialized = false;
+    super.destroy();
+  }
+}
+
+// Singleton instance
+let touchControlsInstance = null;
+
+export const getTouchControls = () => {
+  if (!touchControlsInstance) {
+    touchControlsInstance = new TouchControls();
+  }
+  return touchControlsInstance;
+};
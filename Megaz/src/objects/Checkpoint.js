@@ -0,0 +1,121 @@
+import * as PIXI from 'pixi.js';
+import { GameObject } from './GameObject.js';
+import { OBJ_NUM } from '../utils/constants.js';
+import { rectCollision } from '../utils/helpers.js';
+import { getObjectSortManager } from '../managers/ObjectSortManager.js';
+import { getSceneManager } from '../managers/SceneManager.js';
+import { getRenderManager } from '../managers/RenderManager.js';
+
+/**
+ * Checkpoint class - trigger zone that records where the player respawns
+ */
+export class Checkpoint extends GameObject {
+  /**
+   * @param {string} sceneKey - Scene the checkpoint belongs to
+   * @param {number} x - Respawn x (feet)
+   * @param {number} y - Respawn y (feet)
+   * @param {Object} size - Trigger size {width, height}, bottom-center anchored
+   */
+  constructor(sceneKey, x, y, size = { width: 32, height: 96 }) {
+    super();
+
+    this.setSortID(OBJ_NUM.PLATFORM);
+    this.sceneKey = sceneKey;
+    this.size = size;
+    this.reached = false;
+
+    this.objectSortManager = getObjectSortManager();
+    this.sceneManager = getSceneManager();
+    this.renderManager = getRenderManager();
+
+    this.setPosition(x, y);
+    this.initialize();
+  }
+
+  /**
+   * Create the marker graphics
+   * @returns {boolean} Success status
+   */
+  initialize() {
+    // Already reached this run (reloaded after a death)
+    const checkpoint = this.sceneManager.getCheckpoint(this.sceneKey);
+    this.reached = !!checkpoint && checkpoint.x === this.transform.position.x &&
+      checkpoint.y === this.transform.position.y;
+
+    this.sprite = new PIXI.Graphics();
+    this.drawMarker();
+    return true;
+  }
+
+  /**
+   * Draw a small beacon - dim until reached
+   */
+  drawMarker() {
+    this.sprite.clear();
+    this.sprite.beginFill(0x555555);
+    this.sprite.drawRect(-2, -40, 4, 40);
+    this.sprite.endFill();
+    this.sprite.beginFill(this.reached ? 0x33FF66 : 0x335544);
+    this.sprite.drawCircle(0, -44, 6);
+    this.sprite.endFill();
+  }
+
+  /**
+   * Activate when the player walks through
+   * @param {number} deltaTime - Time since last frame
+   * @returns {boolean} Success status
+   */
+  update(deltaTime) {
+    if (this.reached || this.destroyed) return true;
+
+    const area = {
+      x: this.transform.position.x - this.size.width / 2,
+      y: this.transform.position.y - this.size.height,
+      width: this.size.width,
+      height: this.size.height
+    };
+
+    for (const player of this.objectSortManager.getLayer(OBJ_NUM.PLAYER)) {
+      if (player.isDead || player.isDestroyed()) continue;
+
+      const body = player.getBody();
+      const playerBox = {
+        x: body.x - body.width / 2,
+        y: body.y - body.height,
+        width: body.width,
+        height: body.height
+      };
+
+      if (rectCollision(area, playerBox)) {
+        this.activate();
+        break;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Record this checkpoint in the scene manager
+   */
+  activate() {
+    this.reached = true;
+    this.sceneManager.setCheckpoint(this.sceneKey, this.transform.position.x, this.transform.position.y);
+    this.drawMarker();
+  }
+
+  /**
+   * Render the marker
+   * @param {number} alpha - Interpolation factor between ticks (0-1)
+   * @returns {boolean} Success status
+   */
+  render(alpha = 1) {
+    if (!this.visible || this.destroyed || !this.sprite) return true;
+
+    if (!this.sprite.parent) {
+      this.renderManager.addToLayer(this.sprite, this.sortID);
+    }
+
+    return super.render(alpha);
+  }
+}
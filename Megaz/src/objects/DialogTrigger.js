@@ -0,0 +1,69 @@
+import { GameObject } from './GameObject.js';
+import { OBJ_NUM } from '../utils/constants.js';
+import { rectCollision } from '../utils/helpers.js';
+import { getObjectSortManager } from '../managers/ObjectSortManager.js';
+import { getSceneManager } from '../managers/SceneManager.js';
+import DialogScene from '../scenes/DialogScene.js';
+
+/**
+ * DialogTrigger class - invisible zone that opens a dialog box the first time a player enters
+ */
+export class DialogTrigger extends GameObject {
+  /**
+   * @param {number} x - Zone center x
+   * @param {number} y - Zone bottom y
+   * @param {Object} size - Trigger size {width, height}, bottom-center anchored
+   * @param {Array<string>} lines - Dialog lines
+   * @param {string} speaker - Speaker name
+   */
+  constructor(x, y, size, lines, speaker = '') {
+    super();
+
+    this.setSortID(OBJ_NUM.PLATFORM);
+    this.size = size;
+    this.lines = lines;
+    this.speaker = speaker;
+    this.triggered = false;
+
+    this.objectSortManager = getObjectSortManager();
+    this.sceneManager = getSceneManager();
+
+    this.setPosition(x, y);
+  }
+
+  /**
+   * Open the dialog once a player walks in
+   * @param {number} deltaTime - Time since last frame
+   * @returns {boolean} Success status
+   */
+  update(deltaTime) {
+    if (this.destroyed || this.triggered) return true;
+
+    const box = {
+      x: this.transform.position.x - this.size.width / 2,
+      y: this.transform.position.y - this.size.height,
+      width: this.size.width,
+      height: this.size.height
+    };
+
+    for (const player of this.objectSortManager.getLayer(OBJ_NUM.PLAYER)) {
+      if (player.isDead || player.isDestroyed()) continue;
+
+      const body = player.getBody();
+      const playerBox = {
+        x: body.x - body.width / 2,
+        y: body.y - body.height,
+        width: body.width,
+        height: body.height
+      };
+
+      if (rectCollision(box, playerBox)) {
+        this.triggered = true;
+        this.sceneManager.pushScene(new DialogScene(this.lines, this.speaker));
+        return true;
+      }
+    }
+
+    return true;
+  }
+}
@@ -0,0 +1,340 @@
+import * as PIXI from 'pixi.js';
+import { GameObject } from './GameObject.js';
+import { Explosion } from './Explosion.js';
+import { Pickup } from './Pickup.js';
+import { Projectile } from './Projectile.js';
+import { OBJ_NUM, TEAM, DIRECTION, PICKUP_TYPE, RENDER_TYPE } from '../utils/constants.js';
+import { getCollisionManager } from '../managers/CollisionManager.js';
+import { getObjectSortManager } from '../managers/ObjectSortManager.js';
+import { getTextureManager } from '../managers/TextureManager.js';
+import { getRenderManager } from '../managers/RenderManager.js';
+import { getSoundManager } from '../managers/SoundManager.js';
+import { getCamera } from '../core/Camera.js';
+import { getRandom } from '../utils/Random.js';
+
+// Used when a config gives no drop table
+const DEFAULT_DROP_TABLE = [
+  { type: PICKUP_TYPE.HEALTH_SMALL, chance: 0.25 },
+];
+
+/**
+ * Enemy class - base for mechaniloids, equivalent to CMonster in C++
+ * Movement and attacks come from a list of behaviours (see EnemyBehaviours.js)
+ */
+export class Enemy extends GameObject {
+  /**
+   * @param {number} x - Spawn x (feet)
+   * @param {number} y - Spawn y (feet)
+   * @param {Object} config - {hp, contactDamage, bodySize, flying, behaviours, dropTable, texture, color}
+   * texture: {objKey, stateKey, frames, speed} looked up in TextureManager, placeholder shape if missing
+   * dropTable: [{type: PICKUP_TYPE, chance: 0-1}] - one roll on defeat, chances add up
+   */
+  constructor(x, y, config = {}) {
+    super();
+
+    this.setSortID(OBJ_NUM.MONSTER);
+    this.team = TEAM.ENEMY;
+    this.combatEnabled = true;
+    this.direction = DIRECTION.LEFT;
+
+    // Stats
+    this.maxHp = config.hp ?? 3;
+    this.hp = this.maxHp;
+    this.contactDamage = config.contactDamage ?? 2;
+    this.dropTable = config.dropTable ?? DEFAULT_DROP_TABLE;
+    this.behaviours = config.behaviours ?? [];
+
+    // Physics
+    this.bodySize = config.bodySize ?? { width: 32, height: 32 };
+    this.flying = config.flying ?? false;
+    this.gravity = 600;
+    this.maxFallSpeed = 400;
+    this.contacts = { ground: false };
+    this.spawnPosition = { x, y };
+
+    // Visuals
+    this.textureInfo = config.texture ?? null;
+    this.color = config.color ?? 0xCC4444;
+    this.hurtFlashTimer = 0;
+
+    // Body hurtbox plus a contact hitbox slightly inside it
+    const { width, height } = this.bodySize;
+    this.defaultHurtboxes = [{ x: -width / 2, y: -height, width, height }];
+    this.contactHitbox = {
+      x: -width / 2 + 2,
+      y: -height + 2,
+      width: width - 4,
+      height: height - 4,
+      damage: this.contactDamage,
+      knockback: { x: 0, y: 0 },
+      contact: true
+    };
+
+    // Managers
+    this.collisionManager = getCollisionManager();
+    this.objectSortManager = getObjectSortManager();
+    this.textureManager = getTextureManager();
+    this.renderManager = getRenderManager();
+    this.soundManager = getSoundManager();
+
+    this.setPosition(x, y);
+    this.initialize();
+  }
+
+  /**
+   * Create the enemy sprite
+   * @returns {boolean} Success status
+   */
+  initialize() {
+    const info = this.textureInfo;
+    const texture = info ? this.textureManager.getTexture(info.objKey, info.stateKey, 0) : null;
+
+    if (texture) {
+      this.sprite = new PIXI.Sprite(texture);
+      this.sprite.anchor.set(0.5, 1.0);
+      this.maxFrames = info.frames ?? 1;
+      this.frameSpeed = info.speed ?? 10;
+    } else {
+      // Placeholder body until the enemy textures are copied over
+      const { width, height } = this.bodySize;
+      this.sprite = new PIXI.Graphics();
+      this.sprite.beginFill(this.color);
+      this.sprite.drawRect(-width / 2, -height, width, height);
+      this.sprite.endFill();
+      this.sprite.beginFill(0xFFEE00);
+      this.sprite.drawRect(width / 4 - 3, -height * 0.7, 6, 6);
+      this.sprite.endFill();
+    }
+
+    return true;
+  }
+
+  /**
+   * Run behaviours, animation and physics
+   * @param {number} deltaTime - Time since last frame
+   * @returns {boolean} Success status
+   */
+  update(deltaTime) {
+    if (!this.active || this.destroyed) return false;
+
+    if (this.hurtFlashTimer > 0) {
+      this.hurtFlashTimer = Math.max(this.hurtFlashTimer - deltaTime, 0);
+    }
+
+    // Stand still unless a behaviour claims movement this tick
+    this.velocity.x = 0;
+    let moved = false;
+    for (const behaviour of this.behaviours) {
+      moved = behaviour.update(this, deltaTime, moved) || moved;
+    }
+
+    this.updateAnimation(deltaTime);
+    this.updatePhysics(deltaTime);
+    return true;
+  }
+
+  /**
+   * Apply gravity and resolve movement against the stage
+   * @param {number} deltaTime - Time since last frame
+   */
+  updatePhysics(deltaTime) {
+    if (!this.flying && !this.contacts.ground) {
+      this.velocity.y = Math.min(this.velocity.y + this.gravity * deltaTime, this.maxFallSpeed);
+    }
+
+    const position = this.transform.position;
+    const result = this.collisionManager.moveBody({
+      x: position.x,
+      y: position.y,
+      width: this.bodySize.width,
+      height: this.bodySize.height
+    }, this.velocity.x * deltaTime, this.velocity.y * deltaTime, { grounded: this.contacts.ground });
+
+    position.x = result.x;
+    position.y = result.y;
+    this.contacts = result.contacts;
+
+    if (!this.flying && this.contacts.ground && this.velocity.y > 0) {
+      this.velocity.y = 0;
+    }
+
+    // Fell into a pit - gone without a drop
+    if (this.contacts.outOfBounds) {
+      this.destroy();
+    }
+  }
+
+  /**
+   * Attack boxes for the current frame plus the always-live contact box
+   * @returns {Array<Object>} World hitboxes
+   */
+  getActiveHitboxes() {
+    if (!this.combatEnabled) return [];
+
+    const hitboxes = super.getActiveHitboxes();
+    if (this.contactDamage > 0) {
+      hitboxes.push(this.toWorldBox(this.contactHitbox));
+    }
+    return hitboxes;
+  }
+
+  /**
+   * Contact damage never "finishes" like a swing does, so let it hit the same
+   * target again once their i-frames run out
+   * @param {Object} hitEvent - Hit payload
+   */
+  onHit(hitEvent) {
+    if (hitEvent.hitbox.contact) {
+      this.hitTargets.delete(hitEvent.victim);
+    }
+  }
+
+  /**
+   * Receive a hit from CombatManager
+   * @param {Object} hitEvent - Hit payload {damage, invincibility}
+   * @returns {boolean} True if the hit landed
+   */
+  takeHit(hitEvent) {
+    if (this.destroyed || this.isInvincible()) return false;
+
+    this.hp -= hitEvent.damage;
+    this.invincibleTimer = hitEvent.invincibility;
+    this.hurtFlashTimer = 0.1;
+
+    if (this.hp <= 0) {
+      this.defeat();
+    }
+    return true;
+  }
+
+  /**
+   * Explode, roll the drop table and remove the enemy
+   */
+  defeat() {
+    const position = this.transform.position;
+
+    const explosion = new Explosion(position.x, position.y - this.bodySize.height / 2, {
+      radius: Math.max(this.bodySize.width, this.bodySize.height) / 2,
+      lifetime: 0.4,
+      growth: 2
+    });
+    this.objectSortManager.insertObject(explosion);
+    this.soundManager.playSoundAt('bomb', position.x, position.y, 0.6);
+    getCamera().shake(2, 0.15);
+
+    const dropType = this.rollDrop();
+    if (dropType !== null) {
+      this.objectSortManager.insertObject(new Pickup(dropType, position.x, position.y - this.bodySize.height / 2));
+    }
+
+    this.destroy();
+  }
+
+  /**
+   * Pick an item from the drop table
+   * @returns {number|null} PICKUP_TYPE or null for no drop
+   */
+  rollDrop() {
+    let roll = getRandom().next();
+
+    for (const entry of this.dropTable) {
+      if (roll < entry.chance) return entry.type;
+      roll -= entry.chance;
+    }
+    return null;
+  }
+
+  /**
+   * Fire a projectile owned by this enemy's team
+   * @param {number} x - Muzzle x
+   * @param {number} y - Muzzle y
+   * @param {number} velocityX - Horizontal speed
+   * @param {number} velocityY - Vertical speed
+   * @param {number} damage - Damage on hit
+   */
+  shoot(x, y, velocityX, velocityY, damage) {
+    Projectile.spawn({ x, y, velocityX, velocityY, damage, owner: this });
+    this.soundManager.playSoundAt('lazer', x, y, 0.4);
+  }
+
+  /**
+   * Get the player this enemy targets
+   * @returns {Player|null} Live player or null
+   */
+  getTarget() {
+    const players = this.objectSortManager.getLayer(OBJ_NUM.PLAYER);
+    return players.find(player => !player.isDead && !player.isDestroyed()) ?? null;
+  }
+
+  /**
+   * Distance from this enemy's feet to a target's feet
+   * @param {Player} target - Target object
+   * @returns {number} Distance in pixels
+   */
+  distanceTo(target) {
+    const position = this.transform.position;
+    return Math.hypot(target.x - position.x, target.y - position.y);
+  }
+
+  /**
+   * Turn to face a world x position
+   * @param {number} x - World x
+   */
+  faceTowards(x) {
+    this.direction = x < this.transform.position.x ? DIRECTION.LEFT : DIRECTION.RIGHT;
+  }
+
+  /**
+   * Reverse facing direction
+   */
+  turnAround() {
+    this.direction = this.direction === DIRECTION.LEFT ? DIRECTION.RIGHT : DIRECTION.LEFT;
+  }
+
+  /**
+   * Check for a wall, or a ledge for walkers, right in front of the enemy
+   * @returns {boolean} True if the enemy shouldn't keep moving forward
+   */
+  isBlockedAhead() {
+    const map = this.collisionManager.getMap();
+    if (!map) return false;
+
+    const position = this.transform.position;
+    const body = { x: position.x, y: position.y, width: this.bodySize.width, height: this.bodySize.height };
+    if (this.collisionManager.isTouchingWall(body, this.direction)) return true;
+
+    // Walkers don't step off ledges
+    if (this.flying || !this.contacts.ground) return false;
+
+    const probeX = position.x + this.getFacing() * (this.bodySize.width / 2 + 4);
+    const groundY = this.collisionManager.findGroundBelow(probeX, position.y - 1);
+    return groundY === null || groundY > position.y + map.tileSize / 2;
+  }
+
+  /**
+   * Render the enemy facing its direction, flashing when hurt
+   * @param {number} alpha - Interpolation factor between ticks (0-1)
+   * @returns {boolean} Success status
+   */
+  render(alpha = 1) {
+    if (!this.visible || this.destroyed || !this.sprite) return true;
+
+    if (!this.sprite.parent) {
+      this.renderManager.addToLayer(this.sprite, this.sortID);
+    }
+
+    // Advance texture frames when real art is loaded
+    if (this.sprite instanceof PIXI.Sprite && this.textureInfo) {
+      const info = this.textureInfo;
+      const texture = this.textureManager.getTexture(info.objKey, info.stateKey, this.frameIndex);
+      if (texture) {
+        this.sprite.texture = texture;
+      }
+    }
+
+    super.render(alpha);
+    this.sprite.scale.x = this.getFacing() * Math.abs(this.transform.scale.x);
+    this.renderManager.applyRenderType(this.sprite, this.hurtFlashTimer > 0 ? RENDER_TYPE.FLASH : RENDER_TYPE.STRAIGHT);
+    return true;
+  }
+}
@@ -0,0 +1,186 @@
+/**
+ * Base behaviour - enemies run a list of these every tick, in order
+ * A behaviour returning true claims horizontal movement for the tick;
+ * movement behaviours later in the list see moved = true and stand down
+ */
+export class EnemyBehaviour {
+  /**
+   * Update the behaviour
+   * @param {Enemy} enemy - Enemy running the behaviour
+   * @param {number} deltaTime - Time since last frame
+   * @param {boolean} moved - True if an earlier behaviour already moved the enemy
+   * @returns {boolean} True if this behaviour moved the enemy
+   */
+  update(enemy, deltaTime, moved) {
+    return false;
+  }
+}
+
+/**
+ * Walk back and forth, turning at walls, ledges or the patrol range
+ */
+export class PatrolBehaviour extends EnemyBehaviour {
+  /**
+   * @param {Object} options - {speed, range} range is the max distance from the spawn x
+   */
+  constructor(options = {}) {
+    super();
+    this.speed = options.speed ?? 60;
+    this.range = options.range ?? 96;
+  }
+
+  /**
+   * Update the behaviour
+   * @param {Enemy} enemy - Enemy running the behaviour
+   * @param {number} deltaTime - Time since last frame
+   * @param {boolean} moved - True if an earlier behaviour already moved the enemy
+   * @returns {boolean} True if this behaviour moved the enemy
+   */
+  update(enemy, deltaTime, moved) {
+    if (moved) return false;
+
+    const facing = enemy.getFacing();
+    const offset = enemy.transform.position.x - enemy.spawnPosition.x;
+
+    if (enemy.isBlockedAhead() || (this.range > 0 && offset * facing >= this.range)) {
+      enemy.turnAround();
+    }
+
+    enemy.velocity.x = enemy.getFacing() * this.speed;
+    return true;
+  }
+}
+
+/**
+ * Run at the player while they are within range
+ */
+export class ChaseBehaviour extends EnemyBehaviour {
+  /**
+   * @param {Object} options - {speed, range}
+   */
+  constructor(options = {}) {
+    super();
+    this.speed = options.speed ?? 110;
+    this.range = options.range ?? 200;
+  }
+
+  /**
+   * Update the behaviour
+   * @param {Enemy} enemy - Enemy running the behaviour
+   * @param {number} deltaTime - Time since last frame
+   * @param {boolean} moved - True if an earlier behaviour already moved the enemy
+   * @returns {boolean} True if this behaviour moved the enemy
+   */
+  update(enemy, deltaTime, moved) {
+    if (moved) return false;
+
+    const target = enemy.getTarget();
+    if (!target || enemy.distanceTo(target) > this.range) return false;
+
+    enemy.faceTowards(target.x);
+    if (enemy.isBlockedAhead()) {
+      enemy.velocity.x = 0;
+    } else {
+      enemy.velocity.x = enemy.getFacing() * this.speed;
+    }
+    return true;
+  }
+}
+
+/**
+ * Fire a shot at the player on a fixed interval while they are within range
+ */
+export class ShootBehaviour extends EnemyBehaviour {
+  /**
+   * @param {Object} options - {interval, range, speed, damage, aimed, offset}
+   * aimed: shoot straight at the player instead of horizontally
+   * offset: muzzle position from the feet, facing right
+   */
+  constructor(options = {}) {
+    super();
+    this.interval = options.interval ?? 2.0;
+    this.range = options.range ?? 320;
+    this.speed = options.speed ?? 200;
+    this.damage = options.damage ?? 2;
+    this.aimed = options.aimed ?? false;
+    this.offset = options.offset ?? { x: 12, y: -16 };
+    this.cooldown = this.interval;
+  }
+
+  /**
+   * Update the behaviour
+   * @param {Enemy} enemy - Enemy running the behaviour
+   * @param {number} deltaTime - Time since last frame
+   * @param {boolean} moved - True if an earlier behaviour already moved the enemy
+   * @returns {boolean} Never claims movement
+   */
+  update(enemy, deltaTime, moved) {
+    this.cooldown -= deltaTime;
+
+    const target = enemy.getTarget();
+    if (!target || enemy.distanceTo(target) > this.range) return false;
+
+    enemy.faceTowards(target.x);
+    if (this.cooldown > 0) return false;
+    this.cooldown = this.interval;
+
+    const muzzle = {
+      x: enemy.transform.position.x + this.offset.x * enemy.getFacing(),
+      y: enemy.transform.position.y + this.offset.y
+    };
+
+    let velocityX = this.speed * enemy.getFacing();
+    let velocityY = 0;
+    if (this.aimed) {
+      const dx = target.x - muzzle.x;
+      const dy = (target.y - target.bodySize.height / 2) - muzzle.y;
+      const length = Math.hypot(dx, dy) || 1;
+      velocityX = (dx / length) * this.speed;
+      velocityY = (dy / length) * this.speed;
+    }
+
+    enemy.shoot(muzzle.x, muzzle.y, velocityX, velocityY, this.damage);
+    return false;
+  }
+}
+
+/**
+ * Bob up and down on a sine wave around the spawn height (flying enemies)
+ */
+export class HoverBehaviour extends EnemyBehaviour {
+  /**
+   * @param {Object} options - {amplitude, frequency, drift}
+   * drift: horizontal speed while hovering (0 to hold position)
+   */
+  constructor(options = {}) {
+    super();
+    this.amplitude = options.amplitude ?? 24;
+    this.frequency = options.frequency ?? 0.5;
+    this.drift = options.drift ?? 0;
+    this.time = 0;
+  }
+
+  /**
+   * Update the behaviour
+   * @param {Enemy} enemy - Enemy running the behaviour
+   * @param {number} deltaTime - Time since last frame
+   * @param {boolean} moved - True if an earlier behaviour already moved the enemy
+   * @returns {boolean} True if drifting sideways
+   */
+  update(enemy, deltaTime, moved) {
+    this.time += deltaTime;
+
+    // Velocity that lands exactly on the sine curve this tick
+    const targetY = enemy.spawnPosition.y +
+      Math.sin(this.time * this.frequency * Math.PI * 2) * this.amplitude;
+    enemy.velocity.y = (targetY - enemy.transform.position.y) / deltaTime;
+
+    if (this.drift === 0 || moved) return false;
+
+    if (enemy.isBlockedAhead()) {
+      enemy.turnAround();
+    }
+    enemy.velocity.x = enemy.getFacing() * this.drift;
+    return true;
+  }
+}
@@ -0,0 +1,114 @@
+import * as PIXI from 'pixi.js';
+import { GameObject } from './GameObject.js';
+import { OBJ_NUM } from '../utils/constants.js';
+import { getRenderManager } from '../managers/RenderManager.js';
+import { getObjectSortManager } from '../managers/ObjectSortManager.js';
+
+/**
+ * Explosion class - short-lived glowing orb used for death and destruction effects
+ */
+export class Explosion extends GameObject {
+  /**
+   * @param {number} x - World x
+   * @param {number} y - World y
+   * @param {Object} options - {velocityX, velocityY, lifetime, radius, color, growth}
+   */
+  constructor(x, y, options = {}) {
+    super();
+
+    this.setSortID(OBJ_NUM.EFFECT);
+    this.velocity.x = options.velocityX ?? 0;
+    this.velocity.y = options.velocityY ?? 0;
+    this.lifetime = options.lifetime ?? 0.5;
+    this.radius = options.radius ?? 16;
+    this.color = options.color ?? 0xFFAA00;
+    this.growth = options.growth ?? 1.5; // Scale reached at the end of the lifetime
+    this.age = 0;
+
+    this.renderManager = getRenderManager();
+    this.setPosition(x, y);
+    this.initialize();
+  }
+
+  /**
+   * Create the orb graphics
+   * @returns {boolean} Success status
+   */
+  initialize() {
+    this.sprite = new PIXI.Graphics();
+    this.sprite.beginFill(this.color, 0.9);
+    this.sprite.drawCircle(0, 0, this.radius);
+    this.sprite.endFill();
+    this.sprite.beginFill(0xFFFFFF, 0.8);
+    this.sprite.drawCircle(0, 0, this.radius * 0.5);
+    this.sprite.endFill();
+    return true;
+  }
+
+  /**
+   * Move, grow and expire
+   * @param {number} deltaTime - Time since last tick
+   * @returns {boolean} Success status
+   */
+  update(deltaTime) {
+    if (this.destroyed) return false;
+
+    this.age += deltaTime;
+    if (this.age >= this.lifetime) {
+      this.destroy();
+      return true;
+    }
+
+    const scale = 1 + (this.growth - 1) * (this.age / this.lifetime);
+    this.transform.scale.x = scale;
+    this.transform.scale.y = scale;
+
+    return super.update(deltaTime);
+  }
+
+  /**
+   * Render the orb, fading out over its lifetime
+   * @param {number} alpha - Interpolation factor between ticks (0-1)
+   * @returns {boolean} Success status
+   */
+  render(alpha = 1) {
+    if (!this.visible || this.destroyed || !this.sprite) return true;
+
+    if (!this.sprite.parent) {
+      this.renderManager.addToLayer(this.sprite, this.sortID);
+    }
+
+    super.render(alpha);
+    this.sprite.alpha = 1 - this.age / this.lifetime;
+    return true;
+  }
+
+  /**
+   * Spawn a ring of orbs flying outward (X4 style death burst)
+   * @param {number} x - Center x
+   * @param {number} y - Center y
+   * @param {Object} options - {count, speed, lifetime, radius, color}
+   * @returns {Array<Explosion>} Spawned explosions
+   */
+  static spawnBurst(x, y, options = {}) {
+    const count = options.count ?? 8;
+    const speed = options.speed ?? 120;
+    const objectSortManager = getObjectSortManager();
+    const explosions = [];
+
+    for (let i = 0; i < count; i++) {
+      const angle = (i / count) * Math.PI * 2;
+      const explosion = new Explosion(x, y, {
+        velocityX: Math.cos(angle) * speed,
+        velocityY: Math.sin(angle) * speed,
+        lifetime: options.lifetime ?? 1.2,
+        radius: options.radius ?? 10,
+        color: options.color ?? 0x66CCFF
+      });
+      objectSortManager.insertObject(explosion);
+      explosions.push(explosion);
+    }
+
+    return explosions;
+  }
+}
@@ -1,5 +1,6 @@
 import * as PIXI from 'pixi.js';
-import { Transform } from '../utils/helpers.js';
+import { Transform, lerp, rectCollision } from '../utils/helpers.js';
+import { DIRECTION, TEAM } from '../utils/constants.js';
 
 /**
  * Base Object class - equivalent to CObj in C++
@@ -24,9 +25,21 @@ export class GameObject {
     this.velocity = { x: 0, y: 0 };
     this.speed = 0;
     
+    // Position at the start of the current logic tick (for render interpolation)
+    this.previousPosition = { x: 0, y: 0 };
+    
     // Collision properties
     this.collisionBox = { x: 0, y: 0, width: 0, height: 0 };
     this.collisionEnabled = false;
+    
+    // Combat properties (see CombatManager)
+    // Boxes are offsets from the feet {x, y, width, height}, authored facing right
+    this.team = TEAM.NEUTRAL;
+    this.combatEnabled = false;
+    this.frameBoxes = {};        // { [animation]: { [frame]: { hitboxes: [], hurtboxes: [] } } }
+    this.defaultHurtboxes = [];  // Used when the current frame defines no hurtboxes
+    this.invincibleTimer = 0;    // Seconds of i-frames left
+    this.hitTargets = new Set(); // Victims already hit by the current attack
   }
 
   /**
@@ -59,14 +72,16 @@ export class GameObject {
 
   /**
    * Render the object
+   * @param {number} alpha - Interpolation factor between previous and current tick (0-1)
    * @returns {boolean} Success status
    */
-  render() {
+  render(alpha = 1) {
     if (!this.visible || this.destroyed || !this.sprite) return true;
 
     // Update sprite transform
-    this.sprite.x = this.transform.position.x;
-    this.sprite.y = this.transform.position.y;
+    const renderPosition = this.getInterpolatedPosition(alpha);
+    this.sprite.x = renderPosition.x;
+    this.sprite.y = renderPosition.y;
     this.sprite.scale.x = this.transform.scale.x;
     this.sprite.scale.y = this.transform.scale.y;
     this.sprite.rotation = this.transform.rotation;
@@ -99,6 +114,35 @@ export class GameObject {
     this.transform.position.y += this.velocity.y * deltaTime;
   }
 
+  /**
+   * Remember current position before a logic tick runs
+   * Called once per tick by ObjectSortManager
+   */
+  savePreviousState() {
+    this.previousPosition.x = this.transform.position.x;
+    this.previousPosition.y = this.transform.position.y;
+  }
+
+  /**
+   * Snap previous state to current position so the next render doesn't interpolate
+   * Use after teleports (spawn, respawn, warps)
+   */
+  resetInterpolation() {
+    this.savePreviousState();
+  }
+
+  /**
+   * Get position blended between previous and current tick
+   * @param {number} alpha - Interpolation factor (0-1)
+   * @returns {Object} Position {x, y}
+   */
+  getInterpolatedPosition(alpha = 1) {
+    return {
+      x: lerp(this.previousPosition.x, this.transform.position.x, alpha),
+      y: lerp(this.previousPosition.y, this.transform.position.y, alpha)
+    };
+  }
+
   /**
    * Update collision box based on current position
    */
@@ -111,6 +155,119 @@ export class GameObject {
     this.collisionBox.height = this.sprite.height;
   }
 
+  /**
+   * Get the animation key used to look up frame boxes
+   * @returns {string|null} Current animation name
+   */
+  getAnimationKey() {
+    return this.currentAnimation ?? null;
+  }
+
+  /**
+   * Get the frame index used to look up frame boxes
+   * @returns {number} Current animation frame
+   */
+  getAnimationFrame() {
+    return this.animationFrame ?? this.frameIndex;
+  }
+
+  /**
+   * Get horizontal facing sign
+   * @returns {number} 1 when facing right, -1 when facing left
+   */
+  getFacing() {
+    return this.direction === DIRECTION.LEFT ? -1 : 1;
+  }
+
+  /**
+   * Get frame box data for the current animation frame
+   * @param {string} kind - 'hitboxes' or 'hurtboxes'
+   * @returns {Array<Object>} Local boxes
+   */
+  getFrameBoxes(kind) {
+    const animationBoxes = this.frameBoxes[this.getAnimationKey()];
+    const frameData = animationBoxes ? animationBoxes[this.getAnimationFrame()] : null;
+
+    if (frameData && frameData[kind]) {
+      return frameData[kind];
+    }
+    return kind === 'hurtboxes' ? this.defaultHurtboxes : [];
+  }
+
+  /**
+   * Convert a local box to world space, mirrored when facing left
+   * @param {Object} box - Local box {x, y, width, height, ...payload}
+   * @returns {Object} World box with payload fields preserved
+   */
+  toWorldBox(box) {
+    const position = this.transform.position;
+    const x = this.getFacing() < 0
+      ? position.x - box.x - box.width
+      : position.x + box.x;
+
+    return { ...box, x, y: position.y + box.y };
+  }
+
+  /**
+   * Get attack boxes live on the current frame
+   * @returns {Array<Object>} World hitboxes
+   */
+  getActiveHitboxes() {
+    if (!this.combatEnabled) return [];
+    return this.getFrameBoxes('hitboxes').map(box => this.toWorldBox(box));
+  }
+
+  /**
+   * Get vulnerable boxes for the current frame
+   * @returns {Array<Object>} World hurtboxes
+   */
+  getActiveHurtboxes() {
+    if (!this.combatEnabled) return [];
+    return this.getFrameBoxes('hurtboxes').map(box => this.toWorldBox(box));
+  }
+
+  /**
+   * Check whether any hurtbox overlaps a world box
+   * @param {Object} worldBox - Box to test
+   * @returns {boolean} True if overlapping
+   */
+  hurtboxesOverlap(worldBox) {
+    return this.getActiveHurtboxes().some(hurtbox => rectCollision(hurtbox, worldBox));
+  }
+
+  /**
+   * Start a new attack so targets can be hit again
+   */
+  beginAttack() {
+    this.hitTargets.clear();
+  }
+
+  /**
+   * Check if the object is currently ignoring hits
+   * @returns {boolean} True during i-frames
+   */
+  isInvincible() {
+    return this.invincibleTimer > 0;
+  }
+
+  /**
+   * Receive a hit - override to apply damage and reactions
+   * @param {Object} hitEvent - {attacker, victim, damage, knockback, hitStop, invincibility}
+   * @returns {boolean} True if the hit was accepted
+   */
+  takeHit(hitEvent) {
+    this.invincibleTimer = hitEvent.invincibility;
+    return true;
+  }
+
+  /**
+   * Called on the attacker when one of its hitboxes lands
+   * @param {Object} hitEvent - Hit event
+   */
+  onHit(hitEvent) {
+    // Override in subclasses (e.g. projectiles disappear on hit)
+  }
+
   /**
    * Get the sort ID for layer management
    * @returns {number} Sort ID
@@ -160,6 +317,7 @@ export class GameObject {
   setPosition(x, y) {
     this.transform.position.x = x;
     this.transform.position.y = y;
+    this.resetInterpolation();
   }
 
   /**
@@ -200,6 +358,13 @@ export class GameObject {
     }
   }
 
+  /**
+   * Called by ObjectSortManager once the object has left its layer
+   * Pooled objects override this to return to their pool
+   */
+  onRemoved() {
+  }
+
   /**
    * Check if object is destroyed
    * @returns {boolean} True if destroyed
@@ -0,0 +1,112 @@
+import * as PIXI from 'pixi.js';
+import { GameObject } from './GameObject.js';
+import { OBJ_NUM } from '../utils/constants.js';
+import { getSceneManager } from '../managers/SceneManager.js';
+import { getRenderManager } from '../managers/RenderManager.js';
+
+/**
+ * HealthBar class - vertical life gauge and lives counter (screen space UI)
+ */
+export class HealthBar extends GameObject {
+  /**
+   * @param {Player} player - Player whose health is shown
+   * @param {number} x - Screen x of the gauge
+   * @param {number} y - Screen y of the gauge bottom
+   */
+  constructor(player, x = 24, y = 220) {
+    super();
+
+    this.setSortID(OBJ_NUM.UI);
+    this.player = player;
+    this.segmentHeight = 6;
+    this.segmentWidth = 14;
+    this.lastHp = -1;
+    this.lastLives = -1;
+
+    this.sceneManager = getSceneManager();
+    this.renderManager = getRenderManager();
+
+    this.setPosition(x, y);
+    this.initialize();
+  }
+
+  /**
+   * Create gauge graphics and lives text
+   * @returns {boolean} Success status
+   */
+  initialize() {
+    this.sprite = new PIXI.Container();
+    this.gauge = new PIXI.Graphics();
+    this.livesText = new PIXI.Text('', {
+      fontFamily: 'Arial',
+      fontSize: 14,
+      fill: 0xFFFFFF
+    });
+    this.livesText.anchor.set(0.5, 0);
+    this.livesText.y = 6;
+
+    this.sprite.addChild(this.gauge);
+    this.sprite.addChild(this.livesText);
+    return true;
+  }
+
+  /**
+   * Redraw the gauge when health or lives change
+   * @param {number} deltaTime - Time since last frame
+   * @returns {boolean} Success status
+   */
+  update(deltaTime) {
+    if (this.destroyed || !this.player) return true;
+
+    const hp = this.player.getHp();
+    const lives = this.sceneManager.getLives();
+
+    if (hp !== this.lastHp) {
+      this.drawGauge(hp, this.player.getMaxHp());
+      this.lastHp = hp;
+    }
+
+    if (lives !== this.lastLives) {
+      this.livesText.text = `x${lives}`;
+      this.lastLives = lives;
+    }
+
+    return true;
+  }
+
+  /**
+   * Draw one segment per HP, filled from the bottom
+   * @param {number} hp - Current HP
+   * @param {number} maxHp - Max HP
+   */
+  drawGauge(hp, maxHp) {
+    const height = maxHp * this.segmentHeight;
+    const left = -this.segmentWidth / 2;
+
+    this.gauge.clear();
+    this.gauge.beginFill(0x000000, 0.8);
+    this.gauge.drawRect(left - 2, -height - 2, this.segmentWidth + 4, height + 4);
+    this.gauge.endFill();
+
+    this.gauge.beginFill(0xFFDD44);
+    for (let i = 0; i < hp; i++) {
+      this.gauge.drawRect(left, -(i + 1) * this.segmentHeight + 1, this.segmentWidth, this.segmentHeight - 2);
+    }
+    this.gauge.endFill();
+  }
+
+  /**
+   * Render the gauge (screen space, no interpolation needed)
+   * @param {number} alpha - Interpolation factor between ticks (0-1)
+   * @returns {boolean} Success status
+   */
+  render(alpha = 1) {
+    if (!this.visible || this.destroyed || !this.sprite) return true;
+
+    if (!this.sprite.parent) {
+      this.renderManager.addToLayer(this.sprite, this.sortID);
+    }
+
+    return super.render(alpha);
+  }
+}
@@ -0,0 +1,31 @@
+import { Enemy } from './Enemy.js';
+import { HoverBehaviour, ShootBehaviour } from './EnemyBehaviours.js';
+import { PICKUP_TYPE } from '../utils/constants.js';
+
+/**
+ * HoverGunner class - flying turret mechaniloid
+ * Bobs in place and fires aimed shots at the player
+ */
+export class HoverGunner extends Enemy {
+  /**
+   * @param {number} x - Spawn x (feet)
+   * @param {number} y - Spawn y (feet)
+   */
+  constructor(x, y) {
+    super(x, y, {
+      hp: 3,
+      contactDamage: 1,
+      bodySize: { width: 28, height: 24 },
+      flying: true,
+      color: 0xAA6633,
+      behaviours: [
+        new HoverBehaviour({ amplitude: 20, frequency: 0.4, drift: 30 }),
+        new ShootBehaviour({ interval: 1.8, range: 300, speed: 180, damage: 2, aimed: true, offset: { x: 10, y: -12 } })
+      ],
+      dropTable: [
+        { type: PICKUP_TYPE.HEALTH_SMALL, chance: 0.3 },
+        { type: PICKUP_TYPE.LIFE_UP, chance: 0.05 }
+      ]
+    });
+  }
+}
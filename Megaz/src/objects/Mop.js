@@ -0,0 +1,32 @@
+import { Enemy } from './Enemy.js';
+import { PatrolBehaviour, ChaseBehaviour } from './EnemyBehaviours.js';
+import { PICKUP_TYPE } from '../utils/constants.js';
+
+/**
+ * Mop class - ground sweeper mechaniloid
+ * Patrols its post and rushes the player when they come close
+ */
+export class Mop extends Enemy {
+  /**
+   * @param {number} x - Spawn x (feet)
+   * @param {number} y - Spawn y (feet)
+   */
+  constructor(x, y) {
+    super(x, y, {
+      hp: 4,
+      contactDamage: 2,
+      bodySize: { width: 36, height: 36 },
+      color: 0x8888AA,
+      texture: { objKey: 'Mop', stateKey: 'Mops', frames: 10, speed: 10 },
+      // Chase first so it overrides patrolling while the player is near
+      behaviours: [
+        new ChaseBehaviour({ speed: 100, range: 160 }),
+        new PatrolBehaviour({ speed: 45, range: 96 })
+      ],
+      dropTable: [
+        { type: PICKUP_TYPE.HEALTH_SMALL, chance: 0.3 },
+        { type: PICKUP_TYPE.HEALTH_LARGE, chance: 0.1 }
+      ]
+    });
+  }
+}
@@ -0,0 +1,190 @@
+import * as PIXI from 'pixi.js';
+import { GameObject } from './GameObject.js';
+import { OBJ_NUM, GAME_CONFIG } from '../utils/constants.js';
+import { getCamera } from '../core/Camera.js';
+import { getRenderManager } from '../managers/RenderManager.js';
+import { getTextureManager } from '../managers/TextureManager.js';
+
+/**
+ * ParallaxBackground class - scrolling background layers on OBJ_NUM.BG..BG4
+ * Each layer tiles a texture and moves at a fraction of the camera speed
+ */
+export class ParallaxBackground extends GameObject {
+  /**
+   * @param {Array<Object>} layers - Layer configs:
+   *   sortID      OBJ_NUM.BG..BG4 (defaults to BG)
+   *   texture     PIXI.Texture, or textureKey {objKey, stateKey} (TextureManager) or path (loaded on initialize)
+   *   fallback    () => PIXI.Graphics drawn into a texture when no image is available
+   *   scrollFactor {x, y} - 0 stays fixed to the screen, 1 moves with the world
+   *   repeatX / repeatY - tile along that axis (default: repeatX only)
+   *   offset      {x, y} screen offset of the texture origin
+   *   autoScroll  {x, y} pixels per second of constant drift (clouds, water)
+   */
+  constructor(layers = []) {
+    super();
+
+    this.setSortID(OBJ_NUM.BG);
+    this.layerConfigs = layers;
+    this.layers = [];
+    this.generatedTextures = []; // Fallback textures this background owns and must free
+    this.elapsed = 0;
+    this.viewWidth = GAME_CONFIG.WINDOW_WIDTH;
+    this.viewHeight = GAME_CONFIG.WINDOW_HEIGHT;
+
+    this.camera = getCamera();
+    this.renderManager = getRenderManager();
+    this.textureManager = getTextureManager();
+  }
+
+  /**
+   * Resolve textures and create one tiling sprite per layer
+   * @returns {boolean} Success status
+   */
+  async initialize() {
+    for (const config of this.layerConfigs) {
+      const texture = await this.resolveTexture(config);
+      if (!texture) {
+        console.warn('Parallax layer skipped - no texture or fallback');
+        continue;
+      }
+
+      const repeatX = config.repeatX ?? true;
+      const repeatY = config.repeatY ?? false;
+      const sprite = this.renderManager.createTilingSprite(
+        texture,
+        repeatX ? this.viewWidth : texture.width,
+        repeatY ? this.viewHeight : texture.height
+      );
+
+      this.layers.push({
+        sprite,
+        sortID: config.sortID ?? OBJ_NUM.BG,
+        scrollFactor: this.toVector(config.scrollFactor, 0.5),
+        offset: this.toVector(config.offset, 0),
+        autoScroll: this.toVector(config.autoScroll, 0),
+        repeatX,
+        repeatY
+      });
+    }
+
+    return true;
+  }
+
+  /**
+   * Get a layer texture from the config
+   * @param {Object} config - Layer config
+   * @returns {PIXI.Texture|null} Texture
+   */
+  async resolveTexture(config) {
+    if (config.texture) return config.texture;
+
+    if (config.textureKey) {
+      const { objKey, stateKey = null } = config.textureKey;
+      const texture = this.textureManager.getTexture(objKey, stateKey);
+      if (texture) return texture;
+    }
+
+    if (config.path) {
+      try {
+        const texture = await PIXI.Assets.load(config.path);
+        if (texture) return texture;
+      } catch (error) {
+        console.warn(`Could not load parallax texture: ${config.path}`);
+      }
+    }
+
+    // Placeholder art drawn in code
+    const app = this.renderManager.getApp();
+    if (config.fallback && app) {
+      const graphics = config.fallback();
+      const texture = app.renderer.generateTexture(graphics);
+      graphics.destroy();
+      this.generatedTextures.push(texture);
+      return texture;
+    }
+
+    return null;
+  }
+
+  /**
+   * Accept either a number or an {x, y} pair
+   * @param {number|Object} value - Config value
+   * @param {number} defaultValue - Used when the value is missing
+   * @returns {Object} Vector {x, y}
+   */
+  toVector(value, defaultValue) {
+    if (value === undefined || value === null) return { x: defaultValue, y: defaultValue };
+    if (typeof value === 'number') return { x: value, y: value };
+    return { x: value.x ?? defaultValue, y: value.y ?? defaultValue };
+  }
+
+  /**
+   * Advance auto-scrolling layers
+   * @param {number} deltaTime - Time since last frame
+   * @returns {boolean} Success status
+   */
+  update(deltaTime) {
+    if (this.destroyed) return false;
+    this.elapsed += deltaTime;
+    return true;
+  }
+
+  /**
+   * Place every layer over the view and scroll its texture against the camera
+   * @param {number} alpha - Interpolation factor between ticks (0-1)
+   * @returns {boolean} Success status
+   */
+  render(alpha = 1) {
+    if (!this.visible || this.destroyed) return true;
+
+    const view = this.camera.getViewPosition(alpha);
+
+    for (const layer of this.layers) {
+      const { sprite, scrollFactor, offset, autoScroll } = layer;
+      if (!sprite.parent) {
+        this.renderManager.addToLayer(sprite, layer.sortID);
+      }
+
+      // Screen position of the texture origin for this layer
+      const scrollX = offset.x + autoScroll.x * this.elapsed - view.x * scrollFactor.x;
+      const scrollY = offset.y + autoScroll.y * this.elapsed - view.y * scrollFactor.y;
+
+      // Repeating axes cover the whole view and scroll the tiles inside it;
+      // single axes move the sprite itself
+      if (layer.repeatX) {
+        sprite.x = view.x;
+        sprite.tilePosition.x = scrollX;
+      } else {
+        sprite.x = view.x + scrollX;
+      }
+
+      if (layer.repeatY) {
+        sprite.y = view.y;
+        sprite.tilePosition.y = scrollY;
+      } else {
+        sprite.y = view.y + scrollY;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Remove all layer sprites and free the fallback textures drawn for them
+   */
+  destroy() {
+    for (const layer of this.layers) {
+      if (layer.sprite.parent) {
+        layer.sprite.parent.removeChild(layer.sprite);
+      }
+      layer.sprite.destroy();
+    }
+    for (const texture of this.generatedTextures) {
+      texture.destroy(true);
+    }
+    this.generatedTextures = [];
+    this.layers = [];
+    this.destroyed = true;
+    this.active = false;
+  }
+}
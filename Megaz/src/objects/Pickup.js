@@ -0,0 +1,175 @@
+import * as PIXI from 'pixi.js';
+import { GameObject } from './GameObject.js';
+import { OBJ_NUM, PICKUP_TYPE } from '../utils/constants.js';
+import { rectCollision } from '../utils/helpers.js';
+import { getCollisionManager } from '../managers/CollisionManager.js';
+import { getObjectSortManager } from '../managers/ObjectSortManager.js';
+import { getSceneManager } from '../managers/SceneManager.js';
+import { getSoundManager } from '../managers/SoundManager.js';
+import { getRenderManager } from '../managers/RenderManager.js';
+
+// Look and effect of each pickup type
+const PICKUP_DATA = {
+  [PICKUP_TYPE.HEALTH_SMALL]: { heal: 2, size: 10, color: 0xFFDD44 },
+  [PICKUP_TYPE.HEALTH_LARGE]: { heal: 8, size: 16, color: 0xFFDD44 },
+  [PICKUP_TYPE.LIFE_UP]: { lives: 1, size: 16, color: 0x44AAFF },
+};
+
+/**
+ * Pickup class - item dropped by enemies, collected by touching it
+ */
+export class Pickup extends GameObject {
+  /**
+   * @param {number} type - PICKUP_TYPE value
+   * @param {number} x - World x (feet)
+   * @param {number} y - World y (feet)
+   */
+  constructor(type, x, y) {
+    super();
+
+    this.setSortID(OBJ_NUM.PLATFORM);
+    this.type = type;
+    this.data = PICKUP_DATA[type] ?? PICKUP_DATA[PICKUP_TYPE.HEALTH_SMALL];
+    this.lifetime = 6.0; // Seconds before disappearing
+    this.blinkTime = 2.0; // Blink for the last seconds of the lifetime
+    this.age = 0;
+    this.gravity = 600;
+    this.contacts = { ground: false };
+
+    this.collisionManager = getCollisionManager();
+    this.objectSortManager = getObjectSortManager();
+    this.sceneManager = getSceneManager();
+    this.soundManager = getSoundManager();
+    this.renderManager = getRenderManager();
+
+    // Small hop out of the destroyed enemy
+    this.velocity.y = -150;
+
+    this.setPosition(x, y);
+    this.initialize();
+  }
+
+  /**
+   * Create the item graphics
+   * @returns {boolean} Success status
+   */
+  initialize() {
+    const size = this.data.size;
+
+    this.sprite = new PIXI.Graphics();
+    this.sprite.beginFill(this.data.color);
+    this.sprite.drawRect(-size / 2, -size, size, size);
+    this.sprite.endFill();
+    this.sprite.beginFill(0xFFFFFF, 0.6);
+    this.sprite.drawRect(-size / 2 + 2, -size + 2, size / 3, size / 3);
+    this.sprite.endFill();
+    return true;
+  }
+
+  /**
+   * Fall onto the stage, expire, and check for collection
+   * @param {number} deltaTime - Time since last frame
+   * @returns {boolean} Success status
+   */
+  update(deltaTime) {
+    if (this.destroyed) return false;
+
+    this.age += deltaTime;
+    if (this.age >= this.lifetime) {
+      this.destroy();
+      return true;
+    }
+
+    // Fall until resting on the ground
+    if (!this.contacts.ground) {
+      this.velocity.y += this.gravity * deltaTime;
+    }
+
+    const position = this.transform.position;
+    const result = this.collisionManager.moveBody({
+      x: position.x,
+      y: position.y,
+      width: this.data.size,
+      height: this.data.size
+    }, 0, this.velocity.y * deltaTime, { grounded: this.contacts.ground });
+
+    position.x = result.x;
+    position.y = result.y;
+    this.contacts = result.contacts;
+    if (this.contacts.ground) {
+      this.velocity.y = 0;
+    }
+    if (this.contacts.outOfBounds) {
+      this.destroy();
+      return true;
+    }
+
+    this.checkCollect();
+    return true;
+  }
+
+  /**
+   * Give the item to a player touching it
+   */
+  checkCollect() {
+    const size = this.data.size;
+    const box = {
+      x: this.transform.position.x - size / 2,
+      y: this.transform.position.y - size,
+      width: size,
+      height: size
+    };
+
+    for (const player of this.objectSortManager.getLayer(OBJ_NUM.PLAYER)) {
+      if (player.isDead || player.isDestroyed()) continue;
+
+      const body = player.getBody();
+      const playerBox = {
+        x: body.x - body.width / 2,
+        y: body.y - body.height,
+        width: body.width,
+        height: body.height
+      };
+
+      if (rectCollision(box, playerBox)) {
+        this.collect(player);
+        return;
+      }
+    }
+  }
+
+  /**
+   * Apply the item effect and remove it
+   * @param {Player} player - Player collecting the item
+   */
+  collect(player) {
+    if (this.data.heal) {
+      player.heal(this.data.heal);
+    }
+    if (this.data.lives) {
+      this.sceneManager.addLife(this.data.lives);
+    }
+
+    this.soundManager.playSound('ready', false, 0.5);
+    this.destroy();
+  }
+
+  /**
+   * Render the item, blinking before it disappears
+   * @param {number} alpha - Interpolation factor between ticks (0-1)
+   * @returns {boolean} Success status
+   */
+  render(alpha = 1) {
+    if (!this.visible || this.destroyed || !this.sprite) return true;
+
+    if (!this.sprite.parent) {
+      this.renderManager.addToLayer(this.sprite, this.sortID);
+    }
+
+    super.render(alpha);
+
+    const timeLeft = this.lifetime - this.age;
+    this.sprite.visible = timeLeft > this.blinkTime || Math.floor(timeLeft * 10) % 2 === 0;
+    return true;
+  }
+}
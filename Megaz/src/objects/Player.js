@@ -1,12 +1,17 @@
 import * as PIXI from 'pixi.js';
 import { GameObject } from './GameObject.js';
-import { STATUS, POS_STATION, OBJ_NUM, DIRECTION } from '../utils/constants.js';
+import { STATUS, POS_STATION, OBJ_NUM, DIRECTION, TEAM, RENDER_TYPE, CHARACTER, ACTION } from '../utils/constants.js';
 import { getKeyManager } from '../managers/KeyManager.js';
 import { getSoundManager } from '../managers/SoundManager.js';
 import { getTextureManager } from '../managers/TextureManager.js';
 import { getRenderManager } from '../managers/RenderManager.js';
 import { getObjectSortManager } from '../managers/ObjectSortManager.js';
 import { getTimeManager } from '../managers/TimeManager.js';
+import { getCollisionManager } from '../managers/CollisionManager.js';
+import { getSceneManager } from '../managers/SceneManager.js';
+import { getCamera } from '../core/Camera.js';
+import { Explosion } from './Explosion.js';
+import { Projectile } from './Projectile.js';
 
 /**
  * Player class - equivalent to CPlayer in C++
@@ -29,7 +34,6 @@ export class Player extends GameObject {
     // Position and movement
     this.x = 400; // Start in center
     this.y = 480; // Ground level
-    this.maxYPosition = 480; // Ground level (matches scene ground)
     this.speed = 220;
     this.highSpeed = 350; // Dash speed
     this.jumpPower = 15;
@@ -41,9 +45,22 @@ export class Player extends GameObject {
     this.gravity = 300; // Slower gravity for more natural falling
     this.maxFallSpeed = 400; // Terminal velocity to prevent super fast falling
     this.isOnGround = true;
+    
+    // Stage collision body (bottom-center anchored like the sprite)
+    this.bodySize = { width: 30, height: 48 };
+    this.resolvedPosition = { x: this.x, y: this.y }; // Last position resolved against the map
+    this.contacts = {
+      ground: true,
+      ceiling: false,
+      wallLeft: false,
+      wallRight: false,
+      platform: false,
+      slope: false,
+      hazard: false,
+      outOfBounds: false
+    };
     this.canJump = true; // Prevent jump spam
-    this.jumpKeyWasPressed = false; // Track if jump key was already pressed
-    this.dashKeyWasPressed = false; // Track if dash key was already pressed
+    this.dashRepeat = false; // Dash ended with DASH still held - dash again without a new press
     
     // Dash properties for full animation sequence
     this.isDashing = false; // Track if currently dashing
@@ -62,10 +79,123 @@ export class Player extends GameObject {
       current: 0              // Current easing value (0-1)
     };
     
+    // Wall slide / wall kick properties
+    this.wallSlideSpeed = 90; // Max fall speed while clinging to a wall
+    this.wallKickSpeed = 180; // Horizontal pushback away from the wall
+    this.wallKickDuration = 0.15; // Seconds of pushback before air control returns
+    this.wallKickTimer = 0;
+    this.wallDirection = DIRECTION.RIGHT; // Side the wall is on while sliding
+    
     // Attack properties
     this.attackTimer = 0; // Timer to prevent stuck attack states
     this.maxAttackDuration = 1.0; // Maximum attack duration in seconds
     
+    // Saber combo chain (A1 -> A2 -> A3)
+    // cancelFrame: first frame where the next hit may start
+    // activeFrames: [first, last] frames where the hitbox is live
+    // hitbox: offset from the feet facing right, plus the hit payload
+    this.comboData = {
+      [STATUS.A1]: {
+        animation: 'ATTACK',
+        voice: 'a1',
+        next: STATUS.A2,
+        cancelFrame: 4,
+        activeFrames: [1, 4],
+        hitbox: { x: 5, y: -55, width: 50, height: 45, damage: 2, knockback: { x: 60, y: 0 }, hitStop: 2 }
+      },
+      [STATUS.A2]: {
+        animation: 'A2',
+        voice: 'a2',
+        next: STATUS.A3,
+        cancelFrame: 4,
+        activeFrames: [1, 4],
+        hitbox: { x: 5, y: -60, width: 55, height: 50, damage: 2, knockback: { x: 80, y: 0 }, hitStop: 2 }
+      },
+      [STATUS.A3]: {
+        animation: 'A3',
+        voice: 'a3',
+        next: null,
+        cancelFrame: null,
+        activeFrames: [2, 7],
+        hitbox: { x: -10, y: -70, width: 75, height: 70, damage: 4, knockback: { x: 160, y: -80 }, hitStop: 5 }
+      }
+    };
+    
+    // Combat setup - body hurtbox plus saber hitboxes on the combo frames
+    this.team = TEAM.PLAYER;
+    this.combatEnabled = true;
+    this.defaultHurtboxes = [{ x: -15, y: -48, width: 30, height: 48 }];
+    this.frameBoxes = this.buildComboFrameBoxes();
+    
+    // Fire attack (V) - flame wave launched partway through the animation
+    this.fireData = {
+      frame: 4, // Animation frame the shot leaves the saber
+      offset: { x: 30, y: -30 } // Muzzle offset from the feet, facing right
+    };
+    this.fireShotSpawned = false;
+    
+    // Special weapons fired with V, picked in the weapon select screen
+    this.weapons = [
+      {
+        name: 'Rising Fire',
+        shot: {
+          velocityX: 320,
+          damage: 3,
+          knockback: { x: 40, y: 0 },
+          lifetime: 0.9,
+          radius: 9,
+          color: 0xFF6622,
+          piercing: true
+        }
+      },
+      {
+        name: 'Frost Tower',
+        shot: {
+          velocityX: 180,
+          velocityY: -220,
+          gravity: 600,
+          damage: 4,
+          knockback: { x: 20, y: 0 },
+          lifetime: 1.4,
+          radius: 11,
+          color: 0x88DDFF,
+          piercing: false
+        }
+      },
+      {
+        name: 'Lightning Web',
+        shot: {
+          velocityX: 520,
+          damage: 2,
+          knockback: { x: 10, y: 0 },
+          lifetime: 0.6,
+          radius: 6,
+          color: 0xFFFF66,
+          piercing: true
+        }
+      }
+    ];
+    this.weaponIndex = getSceneManager().getWeaponIndex();
+    
+    // Character picked in the character select - X reuses Zero's frames, recolored
+    this.character = getSceneManager().getCharacter();
+    this.characterTint = this.character === CHARACTER.X ? 0x77AAFF : 0xFFFFFF;
+    
+    // Health and damage reaction
+    this.maxHp = 16;
+    this.hp = this.maxHp;
+    this.damagedTimer = 0;
+    this.damagedDuration = 0.4; // Stagger length for light hits (DAMAGED)
+    this.heavyDamagedDuration = 0.7; // Knockdown length for heavy hits (ATTACKED)
+    this.heavyHitDamage = 4; // Hits this strong, or launching ones, count as heavy
+    this.damageInvincibility = 1.5; // Flashing i-frames after any hit
+    this.knockbackSpeed = 120; // Pushback when a hit carries no knockback of its own
+    
+    // Death sequence
+    this.isDead = false;
+    this.deathTimer = 0;
+    this.deathDelay = 2.0; // Seconds of explosion before respawning
+    
     // Super Jump properties (X + Z combo)
     this.isSuperJumping = false; // Track if currently doing super jump
     this.superJumpVelocityX = 300; // Horizontal velocity for super jump
@@ -116,11 +246,47 @@ export class Player extends GameObject {
         speed: 8, // Reduced from 12 to 8 for smoother transition
         isMultiFile: true 
       },
+      WALL_SLIDE: { 
+        path: '/assets/textures/Multi/Attach', 
+        frames: 1, 
+        speed: 1,
+        isMultiFile: true 
+      },
+      WALL_KICK: { 
+        path: '/assets/textures/Multi/JumpOff', 
+        frames: 3, 
+        speed: 12,
+        isMultiFile: true 
+      },
       ATTACK: { 
         path: '/assets/textures/Multi/Attack_M1_', 
         frames: 7, 
         speed: 12,
         isMultiFile: true 
+      },
+      A2: { 
+        path: '/assets/textures/Multi/Attack_M2_', 
+        frames: 7, 
+        speed: 12,
+        isMultiFile: true 
+      },
+      A3: { 
+        path: '/assets/textures/Multi/Attack_M3_', 
+        frames: 11, 
+        speed: 14,
+        isMultiFile: true 
+      },
+      FIRE: { 
+        path: '/assets/textures/Multi/AF', 
+        frames: 10, 
+        speed: 14,
+        isMultiFile: true 
+      },
+      HIT: { 
+        path: '/assets/textures/Multi/Hit', 
+        frames: 10, 
+        speed: 14,
+        isMultiFile: true 
       }
     };
     
@@ -152,6 +318,8 @@ export class Player extends GameObject {
     this.renderManager = getRenderManager();
     this.objectSortManager = getObjectSortManager();
     this.timeManager = getTimeManager();
+    this.collisionManager = getCollisionManager();
+    this.sceneManager = getSceneManager();
   }
 
   /**
@@ -163,6 +331,8 @@ export class Player extends GameObject {
       // Set initial position
       this.transform.position.x = this.x;
       this.transform.position.y = this.y;
+      this.resetInterpolation();
+      this.resolvedPosition = { x: this.x, y: this.y };
       
       // Enable collision
       this.collisionEnabled = true;
@@ -309,6 +479,12 @@ export class Player extends GameObject {
   update(deltaTime) {
     if (this.destroyed) return false;
     
+    // Dead - only the respawn countdown runs
+    if (this.isDead) {
+      this.updateDeath(deltaTime);
+      return true;
+    }
+    
     // Skip spawn handling for now
     
     // Check input and update movement
@@ -350,8 +526,11 @@ export class Player extends GameObject {
     // Move down during spawn
     this.spawnY += 15 * deltaTime * 60; // Adjust for 60fps
     
-    if (this.spawnY >= this.maxYPosition) {
-      this.spawnY = this.maxYPosition;
+    // Land on the first ground tile under the spawn column
+    const groundY = this.collisionManager.findGroundBelow(this.x, 0) ?? this.y;
+    
+    if (this.spawnY >= groundY) {
+      this.spawnY = groundY;
       this.spawnFrame += 35 * deltaTime;
       
       // Spawn animation sequence
@@ -360,8 +539,9 @@ export class Player extends GameObject {
         this.isStarted = true;
         this.isControlEnabled = true;
         this.spawnFrame = 1;
-        this.y = this.maxYPosition;
+        this.y = groundY;
         this.transform.position.y = this.y;
+        this.resolvedPosition = { x: this.x, y: this.y };
       }
     } else {
       this.y = this.spawnY;
@@ -375,23 +555,25 @@ export class Player extends GameObject {
   checkInput() {
     if (!this.isControlEnabled) return;
     
-    const deltaTime = this.timeManager.getTime();
+    const deltaTime = this.timeManager.getFixedTime();
     
-    // Get all key states once at the beginning
-    const xKeyDown = this.keyManager.isKeyDown('X');
-    const zKeyDown = this.keyManager.isKeyDown('Z');
+    // Get all input states once at the beginning
+    // (presses are buffered by KeyManager - a move consumes the press it uses)
+    const jumpHeld = this.keyManager.isActionDown(ACTION.JUMP);
+    const dashHeld = this.keyManager.isActionDown(ACTION.DASH);
     const leftKeyDown = this.keyManager.isKeyDown('LEFT');
     const rightKeyDown = this.keyManager.isKeyDown('RIGHT');
-    const cKeyDown = this.keyManager.isKeyDown('C');
-    const vKeyDown = this.keyManager.isKeyDown('V');
+    const attackHeld = this.keyManager.isActionDown(ACTION.ATTACK);
+    const jumpRequested = this.keyManager.isActionBuffered(ACTION.JUMP);
+    const dashRequested = this.keyManager.isActionBuffered(ACTION.DASH) || (this.dashRepeat && dashHeld);
     
     // Debug: Log key states and current state machine info
-    if ((xKeyDown || zKeyDown) || (this.jumpKeyWasPressed || this.dashKeyWasPressed)) {
+    if (jumpHeld || dashHeld) {
       console.log('Debug keys:', {
-        xKeyDown,
-        zKeyDown,
-        jumpKeyWasPressed: this.jumpKeyWasPressed,
-        dashKeyWasPressed: this.dashKeyWasPressed,
+        jumpHeld,
+        dashHeld,
+        jumpHeldTime: this.keyManager.getActionHeldTime(ACTION.JUMP),
+        dashRepeat: this.dashRepeat,
         status: this.status,
         canJump: this.canJump,
         isOnGround: this.isOnGround,
@@ -403,8 +585,8 @@ export class Player extends GameObject {
     }
     
     // -------- GROUND DETECTION (always runs first) --------
-    // Ground position check - ensure consistent state
-    if (this.y >= this.maxYPosition) {
+    // Ground contact comes from the last stage collision pass
+    if (this.contacts.ground) {
       this.positionStation = POS_STATION.GROUND;
       this.isOnGround = true;
       this.jumpFrames.jumpDown = 0;
@@ -425,21 +607,15 @@ export class Player extends GameObject {
       this.isGrounded = false;
     }
 
-    // -------- 1. ALWAYS RESET KEY TRACKING FIRST --------
+    // -------- 1. ALWAYS RESET JUMP/DASH ABILITY FIRST --------
     // This must happen every frame regardless of state
-    if (!xKeyDown) {
-      this.jumpKeyWasPressed = false;
-      // Reset jump ability when landing and key is released
-      if (this.isOnGround) {
-        this.canJump = true;
-      }
+    if (this.isOnGround) {
+      this.canJump = true;
     }
     
-    // IMPORTANT: Don't reset dashKeyWasPressed here when Z is released
-    // This will be handled in animation completion for continuous dashing
-    // Only reset if not currently dashing
-    if (!zKeyDown && !this.isDashing) {
-      this.dashKeyWasPressed = false;
+    // Holding DASH through the end of a dash chains another one; letting go stops the chain
+    if (!dashHeld) {
+      this.dashRepeat = false;
     }
     
     // -------- 2. STATE MACHINE APPROACH --------
@@ -447,28 +623,26 @@ export class Player extends GameObject {
     switch (this.status) {
       case STATUS.IDLE:
       case STATUS.WALK:
-        // Basic attack (ground only)
-        if (cKeyDown && this.isOnGround) {
-          this.animationFrame = 0;
-          this.status = STATUS.A1;
-          this.attackTimer = 0; // Reset attack timer
-          this.soundManager.playSound('a1', false, 0.7);
-          this.soundManager.playSound('sword', false, 0.7);
+        // Basic attack (ground only) - first hit of the saber combo
+        if (this.keyManager.isActionBuffered(ACTION.ATTACK) && this.isOnGround) {
+          this.startComboAttack(STATUS.A1);
           return;
         }
         
         // Fire attack
-        if (vKeyDown && this.isOnGround) {
+        if (this.isOnGround && this.keyManager.consumeAction(ACTION.SPECIAL)) {
           this.soundManager.playSound('fire', false, 0.7);
           this.status = STATUS.FIREATTACK;
           this.attackTimer = 0; // Reset attack timer
+          this.animationFrame = 0;
+          this.velocityX = 0;
+          this.fireShotSpawned = false;
           this.positionStation = POS_STATION.AIR;
           return;
         }
         
         // Check for SUPER JUMP (X + Z simultaneously) - highest priority
-        if (xKeyDown && zKeyDown && !this.jumpKeyWasPressed && !this.dashKeyWasPressed && 
-            this.isOnGround && this.canJump && this.canDashAgain) {
+        if (jumpRequested && dashRequested && this.isOnGround && this.canJump && this.canDashAgain) {
           // SUPER JUMP - combo move!
           this.status = STATUS.JUMPSTART;
           this.velocityY = -this.jumpPower * 10 * this.superJumpMultiplier; // Higher jump (1.5x)
@@ -482,8 +656,9 @@ export class Player extends GameObject {
           
           this.isOnGround = false;
           this.canJump = false;
-          this.jumpKeyWasPressed = true;
-          this.dashKeyWasPressed = true; // Mark both keys as pressed
+          this.keyManager.consumeAction(ACTION.JUMP);
+          this.keyManager.consumeAction(ACTION.DASH); // One press of each, used together
+          this.dashRepeat = false;
           this.positionStation = POS_STATION.AIR;
           this.jumpFrames.jumpStart = 0;
           this.animationFrame = 0;
@@ -499,12 +674,12 @@ export class Player extends GameObject {
         }
         
         // Regular jump (only if not doing super jump)
-        if (xKeyDown && !this.jumpKeyWasPressed && this.isOnGround && this.canJump) {
+        if (jumpRequested && this.isOnGround && this.canJump) {
           this.status = STATUS.JUMPSTART;
           this.velocityY = -this.jumpPower * 10; // Fixed jump height
           this.isOnGround = false;
           this.canJump = false; // Block further jumps until landing
-          this.jumpKeyWasPressed = true; // Mark that jump key is being held
+          this.keyManager.consumeAction(ACTION.JUMP);
           this.positionStation = POS_STATION.AIR;
           this.jumpFrames.jumpStart = 0;
           this.animationFrame = 0;
@@ -514,12 +689,13 @@ export class Player extends GameObject {
         }
         
         // Can initiate dash from ground states
-        if (zKeyDown && !this.dashKeyWasPressed && this.isOnGround && !this.isDashing && this.canDashAgain) {
+        if (dashRequested && this.isOnGround && !this.isDashing && this.canDashAgain) {
           this.status = STATUS.DASH;
           this.isDashing = true;
           this.dashProgress = 0;
           this.dashPhase = 'start'; // Start with DASH animation
-          this.dashKeyWasPressed = true; // Prevent spam
+          this.keyManager.consumeAction(ACTION.DASH); // Prevent spam
+          this.dashRepeat = false;
           this.canDashAgain = false; // Cannot dash again until animation completes
           
           // Determine dash direction based on arrow keys
@@ -548,7 +724,7 @@ export class Player extends GameObject {
       case STATUS.JUMPSTART:
       case STATUS.JUMPDOWN:
         // Handle attack inputs during jump
-        if (cKeyDown) {
+        if (attackHeld) {
           this.soundManager.playSound('sword', false, 0.7);
           this.status = STATUS.JUMPATTACK;
           this.attackTimer = 0; // Reset attack timer
@@ -561,12 +737,6 @@ export class Player extends GameObject {
           // Continue jump if still in jump start phase
           if (this.velocityY < 0) {
             this.y -= this.jumpPower * Math.cos(this.angle * Math.PI / 180 * 2);
-            const scrollOffset = this.objectSortManager.getScrollOffset();
-            this.objectSortManager.setScrollOffset(
-              scrollOffset.x,
-              Math.min(scrollOffset.y + this.speed * deltaTime, 80),
-              scrollOffset.z
-            );
             this.isGrounded = false;
           }
           
@@ -577,7 +747,7 @@ export class Player extends GameObject {
           }
           
           // Handle jump release
-          if (!xKeyDown) {
+          if (!jumpHeld) {
             this.status = STATUS.JUMPDOWN;
             this.jumpFrames.jumpStart = 0;
             this.jumpFrames.jumpDown = 0;
@@ -585,10 +755,56 @@ export class Player extends GameObject {
           }
         }
         
+        // Cling to a wall when falling while holding toward it
+        if (this.status === STATUS.JUMPDOWN && this.velocityY > 0) {
+          const wallDirection = this.getHeldWallDirection(leftKeyDown, rightKeyDown);
+          if (wallDirection !== null) {
+            this.enterWallSlide(wallDirection);
+            return;
+          }
+        }
+        
         // Can't initiate dash while jumping, but can control air movement
         this.handleAirMovement(leftKeyDown, rightKeyDown, deltaTime);
         break;
         
+      case STATUS.WALL:
+        this.positionStation = POS_STATION.ATTACH_WALL;
+        
+        // Wall kick (dash wall kick if Z is held)
+        if (jumpRequested) {
+          this.startWallKick(dashHeld);
+          return;
+        }
+        
+        // Let go when no longer pushing into the wall or the wall ends
+        if (this.getHeldWallDirection(leftKeyDown, rightKeyDown) !== this.wallDirection) {
+          this.status = STATUS.JUMPDOWN;
+          this.positionStation = POS_STATION.AIR;
+          this.jumpFrames.jumpDown = 0;
+        }
+        break;
+        
+      case STATUS.JUMPOFF:
+        // Pushed away from the wall, no air control until the kick ends
+        this.wallKickTimer -= deltaTime;
+        if (this.wallKickTimer <= 0) {
+          this.wallKickTimer = 0;
+          this.status = this.velocityY < 0 ? STATUS.JUMPSTART : STATUS.JUMPDOWN;
+          this.direction = this.wallDirection === DIRECTION.LEFT ? DIRECTION.RIGHT : DIRECTION.LEFT;
+        }
+        break;
+        
+      case STATUS.DAMAGED:
+      case STATUS.ATTACKED:
+        // Hit reaction - no control until the stagger ends
+        this.damagedTimer -= deltaTime;
+        if (this.damagedTimer <= 0) {
+          this.damagedTimer = 0;
+          this.status = this.isOnGround ? STATUS.IDLE : STATUS.JUMPDOWN;
+        }
+        return; // Skip safety resets so the stagger isn't cut short
+        
       case STATUS.DASH:
         // Locked in dash state, no other inputs processed
         break;
@@ -598,11 +814,19 @@ export class Player extends GameObject {
         break;
         
       case STATUS.A1:
+      case STATUS.A2:
+      case STATUS.A3:
       case STATUS.JUMPATTACK:
       case STATUS.FIREATTACK:
         // Attacking - update attack timer and check for timeout
         this.attackTimer += deltaTime;
         
+        // Chain into the next saber hit inside the cancel window
+        if (this.canChainCombo()) {
+          this.startComboAttack(this.comboData[this.status].next);
+          return;
+        }
+        
         // Safety timeout - if attack takes too long, force return to IDLE
         if (this.attackTimer >= this.maxAttackDuration) {
           console.log('Attack timeout - forcing return to IDLE');
@@ -627,18 +851,9 @@ export class Player extends GameObject {
     // -------- 3. SAFETY RESETS --------
     // Reset stuck states when on ground (stricter reset conditions)
     if (this.isOnGround) {
-      // If keys are released, reset tracking flags
-      if (!xKeyDown) {
-        this.jumpKeyWasPressed = false;
-        this.canJump = true;
-      }
-      
-      if (!zKeyDown) {
-        this.dashKeyWasPressed = false;
-        // Also reset dash ability if dash sequence is completely finished
-        if (!this.isDashing) {
-          this.canDashAgain = true;
-        }
+      // Reset dash ability once DASH is let go and the dash sequence is completely finished
+      if (!dashHeld && !this.isDashing) {
+        this.canDashAgain = true;
       }
       
       // Always reset dash state if we're on ground and not in dash animation
@@ -653,7 +868,7 @@ export class Player extends GameObject {
       }
       
       // Force return to IDLE if in an inconsistent state and no keys pressed
-      if (!xKeyDown && !zKeyDown && !leftKeyDown && !rightKeyDown &&
+      if (!jumpHeld && !dashHeld && !leftKeyDown && !rightKeyDown &&
           this.status !== STATUS.IDLE && 
           this.status !== STATUS.WALK && 
           this.status !== STATUS.DASH &&
@@ -677,13 +892,11 @@ export class Player extends GameObject {
       this.direction = DIRECTION.LEFT;
       this.status = STATUS.WALK;
       this.x -= this.speed * deltaTime;
-      this.updateScroll(this.speed * deltaTime);
     } 
     else if (rightKeyDown) {
       this.direction = DIRECTION.RIGHT;
       this.status = STATUS.WALK;
       this.x += this.speed * deltaTime;
-      this.updateScroll(-this.speed * deltaTime);
     }
     else {
       if (this.isOnGround && !this.isDashing) {
@@ -704,28 +917,71 @@ export class Player extends GameObject {
     if (leftKeyDown) {
       this.direction = DIRECTION.LEFT;
       this.x -= airControlSpeed * deltaTime;
-      this.updateScroll(airControlSpeed * deltaTime);
     } 
     else if (rightKeyDown) {
       this.direction = DIRECTION.RIGHT;
       this.x += airControlSpeed * deltaTime;
-      this.updateScroll(-airControlSpeed * deltaTime);
     }
   }
 
   /**
-   * Update scroll based on player position
-   * @param {number} scrollDelta - Change in scroll
+   * Get the wall the player is touching and pushing into
+   * @param {boolean} leftKeyDown - Is left key pressed
+   * @param {boolean} rightKeyDown - Is right key pressed
+   * @returns {number|null} DIRECTION of the wall or null
+   */
+  getHeldWallDirection(leftKeyDown, rightKeyDown) {
+    if (leftKeyDown && this.collisionManager.isTouchingWall(this.getBody(), DIRECTION.LEFT)) {
+      return DIRECTION.LEFT;
+    }
+    if (rightKeyDown && this.collisionManager.isTouchingWall(this.getBody(), DIRECTION.RIGHT)) {
+      return DIRECTION.RIGHT;
+    }
+    return null;
+  }
+
+  /**
+   * Start clinging to a wall
+   * @param {number} wallDirection - DIRECTION of the wall
    */
-  updateScroll(scrollDelta) {
-    if (this.x > 400 && this.x < 1200) {
-      const scrollOffset = this.objectSortManager.getScrollOffset();
-      this.objectSortManager.setScrollOffset(
-        scrollOffset.x + scrollDelta,
-        scrollOffset.y,
-        scrollOffset.z
-      );
+  enterWallSlide(wallDirection) {
+    this.status = STATUS.WALL;
+    this.positionStation = POS_STATION.ATTACH_WALL;
+    this.wallDirection = wallDirection;
+    this.direction = wallDirection;
+    this.velocityX = 0;
+    this.isSuperJumping = false;
+    this.animationFrame = 0;
+    this.soundManager.playSound('plat', false, 0.3);
+  }
+
+  /**
+   * Kick off the wall the player is sliding on
+   * @param {boolean} withDash - Dash wall kick (DASH held) for extra distance
+   */
+  startWallKick(withDash) {
+    const awaySign = this.wallDirection === DIRECTION.RIGHT ? -1 : 1;
+    
+    this.status = STATUS.JUMPOFF;
+    this.positionStation = POS_STATION.AIR;
+    this.velocityY = -this.jumpPower * 10;
+    this.wallKickTimer = this.wallKickDuration;
+    this.keyManager.consumeAction(ACTION.JUMP);
+    this.canJump = false;
+    this.angle = 0;
+    this.jumpFrames.jumpStart = 0;
+    this.animationFrame = 0;
+    
+    if (withDash) {
+      // Dash wall kick carries dash momentum like a super jump
+      this.velocityX = awaySign * this.superJumpVelocityX;
+      this.isSuperJumping = true;
+      this.soundManager.playSound('dash', false, 0.4);
+    } else {
+      this.velocityX = awaySign * this.wallKickSpeed;
     }
+    
+    this.soundManager.playSound('jump', false, 0.5);
   }
 
   /**
@@ -749,13 +1005,6 @@ export class Player extends GameObject {
       this.x += this.velocityX * deltaTime;
       this.velocityX *= 0.98; // Very slight drag to maintain momentum but feel natural
       
-      // Update scroll based on super jump movement
-      if (this.velocityX > 0) {
-        this.updateScroll(-this.velocityX * deltaTime * 0.5); // Smooth camera follow
-      } else {
-        this.updateScroll(-this.velocityX * deltaTime * 0.5);
-      }
-      
       // End super jump state when starting to fall significantly
       if (this.velocityY > this.jumpPower * 2) {
         this.isSuperJumping = false;
@@ -810,10 +1059,8 @@ export class Player extends GameObject {
           // Apply movement based on current dash direction
           if (this.dashDirection === DIRECTION.RIGHT) {
             this.x += dashMovement;
-            this.updateScroll(-dashMovement);
           } else {
             this.x -= dashMovement;
-            this.updateScroll(dashMovement);
           }
           
           // Update dash progress using base speed to maintain consistent distance
@@ -838,6 +1085,24 @@ export class Player extends GameObject {
         // Already handled by gravity above
         break;
         
+      case STATUS.WALL:
+        // Slow slide down the wall
+        this.velocityX = 0;
+        if (this.velocityY > this.wallSlideSpeed) {
+          this.velocityY = this.wallSlideSpeed;
+        }
+        break;
+        
+      case STATUS.JUMPOFF:
+        // Keep wall kick pushback, no friction in the air
+        break;
+        
+      case STATUS.DAMAGED:
+      case STATUS.ATTACKED:
+        // Knockback slides out more slowly than walking stops
+        this.velocityX *= 0.9;
+        break;
+        
       default:
         // Apply friction when not in special state
         this.velocityX *= 0.8;
@@ -848,17 +1113,37 @@ export class Player extends GameObject {
     this.x += this.velocityX * deltaTime;
     this.y += this.velocityY * deltaTime;
 
+    // Resolve everything that moved the player this tick against the stage
+    this.resolveStageCollision();
+
+    // Spikes and bottomless pits are instant death (spikes spare i-frames)
+    if (this.contacts.outOfBounds || (this.contacts.hazard && !this.isInvincible())) {
+      this.die();
+      return;
+    }
+
+    // Head bump stops upward movement
+    if (this.contacts.ceiling && this.velocityY < 0) {
+      this.velocityY = 0;
+      if (this.status === STATUS.JUMPSTART) {
+        this.status = STATUS.JUMPDOWN;
+      }
+    }
+
+    // Walls kill horizontal momentum
+    if ((this.contacts.wallLeft && this.velocityX < 0) ||
+        (this.contacts.wallRight && this.velocityX > 0)) {
+      this.velocityX = 0;
+    }
+
     // Ground collision
-    if (this.y >= this.maxYPosition) {
-      this.y = this.maxYPosition;
+    if (this.contacts.ground) {
       this.velocityY = 0;
       this.isOnGround = true;
       this.positionStation = POS_STATION.GROUND;
       
       // Important: Only reset jump ability when we've actually landed
-      if (!this.jumpKeyWasPressed) {
-        this.canJump = true;
-      }
+      this.canJump = true;
       
       // Reset super jump state when landing
       if (this.isSuperJumping) {
@@ -867,7 +1152,8 @@ export class Player extends GameObject {
       }
       
       // Return to IDLE when landing (except during dash sequence)
-      if ((this.status === STATUS.JUMPSTART || this.status === STATUS.JUMPDOWN) && !this.isDashing) {
+      if ((this.status === STATUS.JUMPSTART || this.status === STATUS.JUMPDOWN ||
+           this.status === STATUS.WALL || this.status === STATUS.JUMPOFF) && !this.isDashing) {
         this.status = STATUS.IDLE;
         // Clear any potential stuck dash state
         this.isDashing = false; 
@@ -878,7 +1164,7 @@ export class Player extends GameObject {
       this.positionStation = POS_STATION.GROUND;
     } else {
       this.isOnGround = false;
-      this.positionStation = POS_STATION.AIR;
+      this.positionStation = this.status === STATUS.WALL ? POS_STATION.ATTACH_WALL : POS_STATION.AIR;
       
       // Update jump status based on velocity
       if (this.velocityY > 0 && this.status === STATUS.JUMPSTART) {
@@ -886,21 +1172,54 @@ export class Player extends GameObject {
       }
     }
 
-    // Screen boundaries
-    if (this.x < 20) {
-      this.x = 20;
-      this.velocityX = 0;
-    }
-    if (this.x > 780) {
-      this.x = 780;
-      this.velocityX = 0;
-    }
-
     // Update transform
     this.transform.position.x = this.x;
     this.transform.position.y = this.y;
   }
 
+  /**
+   * Sweep the movement made since the last resolve against the stage collision map
+   * Updates position and the contact flags used by the state machine
+   */
+  resolveStageCollision() {
+    const dx = this.x - this.resolvedPosition.x;
+    const dy = this.y - this.resolvedPosition.y;
+
+    const result = this.collisionManager.moveBody({
+      x: this.resolvedPosition.x,
+      y: this.resolvedPosition.y,
+      width: this.bodySize.width,
+      height: this.bodySize.height
+    }, dx, dy, { grounded: this.isOnGround });
+
+    this.x = result.x;
+    this.y = result.y;
+    this.contacts = result.contacts;
+    this.resolvedPosition.x = this.x;
+    this.resolvedPosition.y = this.y;
+  }
+
+  /**
+   * Get the stage collision body at the current position
+   * @returns {Object} Body {x, y, width, height} (bottom-center anchored)
+   */
+  getBody() {
+    return {
+      x: this.x,
+      y: this.y,
+      width: this.bodySize.width,
+      height: this.bodySize.height
+    };
+  }
+
+  /**
+   * Get contact info from the last stage collision pass
+   * @returns {Object} Contacts {ground, ceiling, wallLeft, wallRight, platform, slope, hazard, outOfBounds}
+   */
+  getContacts() {
+    return this.contacts;
+  }
+
   /**
    * Update animation based on current status
    * @param {number} deltaTime - Time since last frame
@@ -928,14 +1247,26 @@ export class Player extends GameObject {
       case STATUS.JUMPDOWN:
         targetAnimation = 'JUMP_DOWN';
         break;
+      case STATUS.WALL:
+        targetAnimation = 'WALL_SLIDE';
+        break;
+      case STATUS.JUMPOFF:
+        targetAnimation = 'WALL_KICK';
+        break;
       case STATUS.A1:
-        targetAnimation = 'ATTACK';
+      case STATUS.A2:
+      case STATUS.A3:
+        targetAnimation = this.comboData[this.status].animation;
         break;
       case STATUS.JUMPATTACK:
         targetAnimation = 'ATTACK'; // Use same attack animation
         break;
       case STATUS.FIREATTACK:
-        targetAnimation = 'ATTACK'; // Use same attack animation
+        targetAnimation = 'FIRE';
+        break;
+      case STATUS.DAMAGED:
+      case STATUS.ATTACKED:
+        targetAnimation = 'HIT';
         break;
       default:
         targetAnimation = 'IDLE';
@@ -962,6 +1293,12 @@ export class Player extends GameObject {
           this.dashProgress = 0;
         }
         
+        // Launch the flame wave once the swing reaches the release frame
+        if (this.status === STATUS.FIREATTACK && !this.fireShotSpawned &&
+            this.animationFrame >= this.fireData.frame) {
+          this.fireProjectile();
+        }
+        
         // Update sprite texture to current frame
         this.updateSpriteFrame();
         
@@ -983,24 +1320,25 @@ export class Player extends GameObject {
             // CRITICAL: Reset dash flags to allow continuous dashing
             this.canDashAgain = true;
             
-            // Check if Z is still held down for continuous dashing
-            const zKeyDown = this.keyManager.isKeyDown('Z');
-            if (zKeyDown) {
-              this.dashKeyWasPressed = false; // Allow dash to trigger again
-              console.log('DASH_END completed, Z still held - ready for next dash');
+            // Keep dashing while DASH is still held
+            this.dashRepeat = this.keyManager.isActionDown(ACTION.DASH);
+            if (this.dashRepeat) {
+              console.log('DASH_END completed, DASH still held - ready for next dash');
             } else {
-              this.dashKeyWasPressed = false; // Reset normally if Z is released
-              console.log('DASH_END completed, Z released - dash sequence finished');
+              console.log('DASH_END completed, DASH released - dash sequence finished');
             }
             
             // Reset dashDirection to current facing direction for next dash
             this.dashDirection = this.direction;
-          } else if (this.currentAnimation === 'ATTACK') {
-            // ATTACK animation completed (frames 0-6), return to appropriate state
+          } else if (this.isAttackAnimation(this.currentAnimation)) {
+            // Attack animation completed, return to appropriate state
             console.log('Attack animation completed, returning to appropriate state');
             this.attackTimer = 0; // Reset attack timer
             
-            if (this.status === STATUS.JUMPATTACK) {
+            if (this.canChainCombo()) {
+              // Buffered press landed right as the swing ended
+              this.startComboAttack(this.comboData[this.status].next);
+            } else if (this.status === STATUS.JUMPATTACK) {
               // If we were doing jump attack, return to appropriate jump state
               if (this.isOnGround) {
                 this.status = STATUS.IDLE;
@@ -1011,7 +1349,7 @@ export class Player extends GameObject {
               // Fire attack can return to IDLE
               this.status = STATUS.IDLE;
             } else {
-              // Regular attack (A1) returns to IDLE
+              // Combo hit (A1/A2/A3) returns to IDLE
               this.status = STATUS.IDLE;
             }
           }
@@ -1053,6 +1391,231 @@ export class Player extends GameObject {
     }
   }
 
+  /**
+   * Start a saber combo hit
+   * @param {number} comboStatus - STATUS.A1, A2 or A3
+   */
+  startComboAttack(comboStatus) {
+    const data = this.comboData[comboStatus];
+    
+    this.status = comboStatus;
+    this.animationFrame = 0;
+    this.attackTimer = 0; // Reset attack timer
+    this.keyManager.consumeAction(ACTION.ATTACK); // Consume the buffered press
+    this.velocityX = 0;
+    this.beginAttack(); // New swing may hit targets the last one already hit
+    
+    this.soundManager.playSound(data.voice, false, 0.7);
+    this.soundManager.playSound('sword', false, 0.7);
+  }
+
+  /**
+   * Launch the fire attack projectile in the facing direction
+   */
+  fireProjectile() {
+    const facing = this.getFacing();
+    const { offset } = this.fireData;
+    const { shot } = this.weapons[this.weaponIndex];
+    
+    this.fireShotSpawned = true;
+    Projectile.spawn({
+      ...shot,
+      x: this.x + offset.x * facing,
+      y: this.y + offset.y,
+      velocityX: shot.velocityX * facing,
+      owner: this
+    });
+  }
+
+  /**
+   * Get the special weapons
+   * @returns {Array<Object>} Weapons {name, shot}
+   */
+  getWeapons() {
+    return this.weapons;
+  }
+
+  /**
+   * Get the equipped weapon index
+   * @returns {number} Weapon index
+   */
+  getWeaponIndex() {
+    return this.weaponIndex;
+  }
+
+  /**
+   * Equip a special weapon (kept through deaths and stage changes)
+   * @param {number} index - Weapon index
+   */
+  setWeapon(index) {
+    if (index < 0 || index >= this.weapons.length) return;
+    this.weaponIndex = index;
+    this.sceneManager.setWeaponIndex(index);
+  }
+
+  /**
+   * Check if a buffered attack press can advance the combo now
+   * @returns {boolean} True if the next hit should start
+   */
+  canChainCombo() {
+    const data = this.comboData[this.status];
+    if (!data || data.next === null || !this.keyManager.isActionBuffered(ACTION.ATTACK)) return false;
+    
+    return this.animationFrame >= data.cancelFrame;
+  }
+
+  /**
+   * Check if an animation belongs to an attack
+   * @param {string} animationName - Animation key
+   * @returns {boolean} True for attack animations
+   */
+  isAttackAnimation(animationName) {
+    return animationName === 'ATTACK' || animationName === 'A2' ||
+           animationName === 'A3' || animationName === 'FIRE';
+  }
+
+  /**
+   * Build per-frame hitboxes for the saber combo animations
+   * @returns {Object} Frame boxes keyed by animation and frame
+   */
+  buildComboFrameBoxes() {
+    const frameBoxes = {};
+    
+    for (const data of Object.values(this.comboData)) {
+      const [firstFrame, lastFrame] = data.activeFrames;
+      frameBoxes[data.animation] = {};
+      
+      for (let frame = firstFrame; frame <= lastFrame; frame++) {
+        frameBoxes[data.animation][frame] = { hitboxes: [data.hitbox] };
+      }
+    }
+    
+    return frameBoxes;
+  }
+
+  /**
+   * Receive a hit from CombatManager
+   * @param {Object} hitEvent - Hit payload {attacker, damage, knockback, invincibility}
+   * @returns {boolean} True if the hit landed
+   */
+  takeHit(hitEvent) {
+    if (this.isDead || this.isInvincible()) return false;
+    
+    this.hp = Math.max(this.hp - hitEvent.damage, 0);
+    if (this.hp <= 0) {
+      this.die();
+      return true;
+    }
+    
+    // Heavy hits knock the player down for longer
+    const heavy = hitEvent.damage >= this.heavyHitDamage || hitEvent.knockback.y < 0;
+    
+    this.cancelActions();
+    this.status = heavy ? STATUS.ATTACKED : STATUS.DAMAGED;
+    this.damagedTimer = heavy ? this.heavyDamagedDuration : this.damagedDuration;
+    this.invincibleTimer = Math.max(hitEvent.invincibility, this.damageInvincibility);
+    
+    // Push away from the attacker unless the hit specifies its own knockback
+    if (hitEvent.knockback.x !== 0) {
+      this.velocityX = hitEvent.knockback.x;
+    } else {
+      const attackerX = hitEvent.attacker?.transform.position.x ?? this.x;
+      this.velocityX = attackerX > this.x ? -this.knockbackSpeed : this.knockbackSpeed;
+    }
+    if (hitEvent.knockback.y < 0) {
+      this.velocityY = hitEvent.knockback.y;
+      this.isOnGround = false;
+    }
+    
+    // Face the attacker while recoiling
+    this.direction = this.velocityX > 0 ? DIRECTION.LEFT : DIRECTION.RIGHT;
+    
+    if (heavy) {
+      getCamera().shake(4, 0.25);
+    }
+    
+    this.soundManager.playSound('damaged', false, 0.7);
+    return true;
+  }
+
+  /**
+   * Drop any dash, jump or attack in progress (hit reactions, death)
+   */
+  cancelActions() {
+    this.isDashing = false;
+    this.dashPhase = 'none';
+    this.canDashAgain = true;
+    this.isSuperJumping = false;
+    this.attackTimer = 0;
+    this.keyManager.clearActionBuffer(ACTION.ATTACK);
+    this.wallKickTimer = 0;
+    this.animationFrame = 0;
+  }
+
+  /**
+   * Kill the player - explode and start the respawn countdown
+   */
+  die() {
+    if (this.isDead) return;
+    
+    console.log('Player died');
+    this.isDead = true;
+    this.hp = 0;
+    this.isControlEnabled = false;
+    this.combatEnabled = false;
+    this.cancelActions();
+    this.velocityX = 0;
+    this.velocityY = 0;
+    
+    this.visible = false;
+    if (this.sprite) {
+      this.sprite.visible = false;
+    }
+    
+    Explosion.spawnBurst(this.x, this.y - this.bodySize.height / 2);
+    getCamera().shake(6, 0.5);
+    this.soundManager.playSound('destroy', false, 0.8);
+    this.deathTimer = this.deathDelay;
+  }
+
+  /**
+   * Count down the death explosion, then respawn at the last checkpoint
+   * @param {number} deltaTime - Time since last frame
+   */
+  updateDeath(deltaTime) {
+    if (this.deathTimer <= 0) return;
+    
+    this.deathTimer -= deltaTime;
+    if (this.deathTimer <= 0) {
+      this.sceneManager.respawnAtCheckpoint();
+    }
+  }
+
+  /**
+   * Get current health
+   * @returns {number} HP
+   */
+  getHp() {
+    return this.hp;
+  }
+
+  /**
+   * Restore health (health pickups)
+   * @param {number} amount - HP to restore
+   */
+  heal(amount) {
+    if (this.isDead) return;
+    this.hp = Math.min(this.hp + amount, this.maxHp);
+  }
+
+  /**
+   * Get maximum health
+   * @returns {number} Max HP
+   */
+  getMaxHp() {
+    return this.maxHp;
+  }
+
   /**
    * Check if player is currently attacking
    * @returns {boolean} True if attacking
@@ -1067,27 +1630,35 @@ export class Player extends GameObject {
 
   /**
    * Render player with proper sprite
+   * @param {number} alpha - Interpolation factor between previous and current tick (0-1)
    * @returns {boolean} Success status
    */
-  render() {
+  render(alpha = 1) {
     if (!this.visible || this.destroyed || !this.sprite) return true;
 
     try {
-      // Add sprite to stage if not already added - WITH SAFETY CHECK
-      const app = this.device?.getApp();
-      if (app && app.stage && !this.sprite.parent) {
-        app.stage.addChild(this.sprite);
+      // Add sprite to its layer if not already added
+      if (!this.sprite.parent) {
+        this.renderManager.addToLayer(this.sprite, this.sortID);
         console.log('Player sprite added to stage via render() - should only happen ONCE');
       }
 
-      // Update sprite position
-      this.sprite.x = this.x;
-      this.sprite.y = this.y;
+      // Update sprite position, blended between logic ticks
+      const renderPosition = this.getInterpolatedPosition(alpha);
+      this.sprite.x = renderPosition.x;
+      this.sprite.y = renderPosition.y;
 
       // Set scale based on direction (flip horizontally for left)
       this.sprite.scale.x = this.direction === DIRECTION.LEFT ? -1 : 1;
       this.sprite.scale.y = 1;
 
+      // Blink while invincible after taking damage
+      const flashing = this.invincibleTimer > 0 && Math.floor(this.invincibleTimer * 20) % 2 === 0;
+      this.renderManager.applyRenderType(this.sprite, flashing ? RENDER_TYPE.FLASH : RENDER_TYPE.STRAIGHT);
+      if (!flashing) {
+        this.sprite.tint = this.characterTint;
+      }
+
       // Add dash trail effect for visual enhancement
       if (this.isDashing && this.dashPhase === 'moving') {
         this.renderDashTrail();
@@ -1176,8 +1747,8 @@ export class Player extends GameObject {
     
     try {
       // Create a simple trail effect using PIXI Graphics
-      const device = this.device || this.objectSortManager?.device;
-      if (!device?.getApp()?.stage) return;
+      const layer = this.renderManager.getLayerContainer(this.sortID);
+      if (!layer) return;
       
       const trail = new PIXI.Graphics();
       trail.beginFill(0xAACCFF, 0.4); // Light blue with transparency
@@ -1190,8 +1761,8 @@ export class Player extends GameObject {
       trail.y = this.y - 20;
       trail.alpha = 0.6;
       
-      // Add to stage with lower z-index (below player)
-      device.getApp().stage.addChildAt(trail, 0);
+      // Add to the player layer below the player sprite
+      layer.addChildAt(trail, 0);
       
       // Simple fade out using timeout (fallback if no animation library)
       setTimeout(() => {
@@ -1225,8 +1796,8 @@ export class Player extends GameObject {
     
     try {
       // Create a more dramatic trail effect for super jump
-      const device = this.device || this.objectSortManager?.device;
-      if (!device?.getApp()?.stage) return;
+      const layer = this.renderManager.getLayerContainer(this.sortID);
+      if (!layer) return;
       
       const trail = new PIXI.Graphics();
       // Orange/yellow trail for super jump
@@ -1249,9 +1820,9 @@ export class Player extends GameObject {
       energy.y = this.y - 15;
       energy.alpha = 0.5;
       
-      // Add to stage with lower z-index (below player)
-      device.getApp().stage.addChildAt(trail, 0);
-      device.getApp().stage.addChildAt(energy, 0);
+      // Add to the player layer below the player sprite
+      layer.addChildAt(trail, 0);
+      layer.addChildAt(energy, 0);
       
       // Enhanced fade out with pulsing effect
       setTimeout(() => {
@@ -1297,5 +1868,7 @@ export class Player extends GameObject {
     this.y = y;
     this.transform.position.x = x;
     this.transform.position.y = y;
+    this.resolvedPosition = { x, y };
+    this.resetInterpolation();
   }
 }
\ No newline at end of file
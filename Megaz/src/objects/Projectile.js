@@ -0,0 +1,238 @@
+import * as PIXI from 'pixi.js';
+import { GameObject } from './GameObject.js';
+import { OBJ_NUM, TEAM, DIRECTION } from '../utils/constants.js';
+import { ObjectPool } from '../utils/ObjectPool.js';
+import { getCollisionManager } from '../managers/CollisionManager.js';
+import { getObjectSortManager } from '../managers/ObjectSortManager.js';
+import { getRenderManager } from '../managers/RenderManager.js';
+
+// Settings a spawn config may leave out
+const DEFAULT_SHOT = {
+  velocityX: 0,
+  velocityY: 0,
+  damage: 1,
+  knockback: { x: 0, y: 0 },
+  lifetime: 2.0,  // Seconds before the shot fizzles
+  radius: 5,
+  color: 0xFFEE55,
+  piercing: false, // Keeps flying through the targets it hits
+  gravity: 0,     // Downward acceleration for lobbed shots
+};
+
+const POOL_PREWARM = 32;
+
+// Shared pool, created on first use
+let projectilePool = null;
+
+/**
+ * Projectile class - pooled shot fired by the player or enemies
+ * Deals damage through CombatManager with an always-live hitbox
+ */
+export class Projectile extends GameObject {
+  /**
+   * @param {ObjectPool} pool - Pool the projectile returns to (null for a one-off shot)
+   */
+  constructor(pool = null) {
+    super();
+
+    this.setSortID(OBJ_NUM.PROJECTILE);
+    this.pool = pool;
+    this.owner = null;
+    this.team = TEAM.NEUTRAL;
+    this.combatEnabled = true;
+    this.damage = DEFAULT_SHOT.damage;
+    this.knockback = DEFAULT_SHOT.knockback;
+    this.lifetime = DEFAULT_SHOT.lifetime;
+    this.radius = DEFAULT_SHOT.radius;
+    this.color = DEFAULT_SHOT.color;
+    this.piercing = DEFAULT_SHOT.piercing;
+    this.gravity = DEFAULT_SHOT.gravity;
+    this.age = 0;
+    this.hitbox = null;
+
+    this.collisionManager = getCollisionManager();
+    this.renderManager = getRenderManager();
+
+    this.initialize();
+  }
+
+  /**
+   * Create the shot graphics (drawn in reset)
+   * @returns {boolean} Success status
+   */
+  initialize() {
+    this.sprite = new PIXI.Graphics();
+    return true;
+  }
+
+  /**
+   * Take a projectile from the pool, configure it and add it to the world
+   * @param {Object} config - {x, y, velocityX, velocityY, owner, team, damage, knockback,
+   *                           lifetime, radius, color, piercing, gravity}
+   * @returns {Projectile} Live projectile
+   */
+  static spawn(config) {
+    if (!projectilePool) {
+      projectilePool = new ObjectPool(pool => new Projectile(pool), POOL_PREWARM);
+    }
+
+    const projectile = projectilePool.acquire();
+    projectile.reset(config);
+    getObjectSortManager().insertObject(projectile);
+    return projectile;
+  }
+
+  /**
+   * Get the shared projectile pool
+   * @returns {ObjectPool|null} Pool, or null before the first shot
+   */
+  static getPool() {
+    return projectilePool;
+  }
+
+  /**
+   * Prepare a recycled projectile for a new shot
+   * @param {Object} config - See spawn()
+   */
+  reset(config = {}) {
+    const shot = { ...DEFAULT_SHOT, ...config };
+
+    this.destroyed = false;
+    this.active = true;
+    this.visible = true;
+    this.age = 0;
+    this.invincibleTimer = 0;
+    this.hitTargets.clear();
+
+    this.owner = shot.owner ?? null;
+    this.team = shot.team ?? this.owner?.team ?? TEAM.NEUTRAL;
+    this.velocity.x = shot.velocityX;
+    this.velocity.y = shot.velocityY;
+    this.damage = shot.damage;
+    this.knockback = shot.knockback;
+    this.lifetime = shot.lifetime;
+    this.piercing = shot.piercing;
+    this.gravity = shot.gravity;
+
+    // Knockback always pushes along the direction of travel
+    this.direction = this.velocity.x < 0 ? DIRECTION.LEFT : DIRECTION.RIGHT;
+
+    if (this.radius !== shot.radius || this.color !== shot.color || this.hitbox === null) {
+      this.radius = shot.radius;
+      this.color = shot.color;
+      this.redraw();
+    }
+
+    this.hitbox = {
+      x: -this.radius,
+      y: -this.radius,
+      width: this.radius * 2,
+      height: this.radius * 2,
+      damage: this.damage,
+      knockback: this.knockback,
+      hitStop: 0
+    };
+
+    this.setPosition(shot.x ?? 0, shot.y ?? 0);
+  }
+
+  /**
+   * Draw the shot for its current radius and color
+   */
+  redraw() {
+    this.sprite.clear();
+    this.sprite.beginFill(this.color);
+    this.sprite.drawCircle(0, 0, this.radius);
+    this.sprite.endFill();
+    this.sprite.beginFill(0xFFFFFF, 0.7);
+    this.sprite.drawCircle(0, 0, this.radius * 0.4);
+    this.sprite.endFill();
+  }
+
+  /**
+   * Fly, fall, expire and stop at walls
+   * @param {number} deltaTime - Time since last frame
+   * @returns {boolean} Success status
+   */
+  update(deltaTime) {
+    if (!this.active || this.destroyed) return false;
+
+    this.age += deltaTime;
+    this.velocity.y += this.gravity * deltaTime;
+    super.update(deltaTime);
+
+    const position = this.transform.position;
+    if (this.age >= this.lifetime || this.collisionManager.isSolidAt(position.x, position.y)) {
+      this.destroy();
+    }
+
+    return true;
+  }
+
+  /**
+   * Shots have a single hitbox live for their whole flight
+   * @returns {Array<Object>} World hitboxes
+   */
+  getActiveHitboxes() {
+    if (!this.combatEnabled || !this.hitbox) return [];
+    return [this.toWorldBox(this.hitbox)];
+  }
+
+  /**
+   * Shots can't be hit themselves
+   * @returns {Array<Object>} World hurtboxes
+   */
+  getActiveHurtboxes() {
+    return [];
+  }
+
+  /**
+   * Disappear once the shot connects, unless it pierces
+   * @param {Object} hitEvent - Hit payload
+   */
+  onHit(hitEvent) {
+    if (!this.piercing) {
+      this.destroy();
+    }
+  }
+
+  /**
+   * Take the shot out of play - pooled shots keep their sprite for reuse
+   */
+  destroy() {
+    if (!this.pool) {
+      super.destroy();
+      return;
+    }
+
+    this.destroyed = true;
+    this.active = false;
+    if (this.sprite?.parent) {
+      this.sprite.parent.removeChild(this.sprite);
+    }
+  }
+
+  /**
+   * Return to the pool once ObjectSortManager has dropped the shot
+   */
+  onRemoved() {
+    if (this.pool && this.destroyed) {
+      this.pool.release(this);
+    }
+  }
+
+  /**
+   * Render the shot
+   * @param {number} alpha - Interpolation factor between ticks (0-1)
+   * @returns {boolean} Success status
+   */
+  render(alpha = 1) {
+    if (!this.visible || this.destroyed || !this.sprite) return true;
+
+    if (!this.sprite.parent) {
+      this.renderManager.addToLayer(this.sprite, this.sortID);
+    }
+
+    return super.render(alpha);
+  }
+}
@@ -0,0 +1,102 @@
+import * as PIXI from 'pixi.js';
+import { GameObject } from './GameObject.js';
+import { OBJ_NUM } from '../utils/constants.js';
+import { rectCollision } from '../utils/helpers.js';
+import { getObjectSortManager } from '../managers/ObjectSortManager.js';
+import { getSceneManager } from '../managers/SceneManager.js';
+import { getRenderManager } from '../managers/RenderManager.js';
+
+/**
+ * StageExit class - trigger zone that clears the stage and moves on to the next scene
+ */
+export class StageExit extends GameObject {
+  /**
+   * @param {number} x - Zone center x
+   * @param {number} y - Zone bottom y
+   * @param {Object} size - Trigger size {width, height}, bottom-center anchored
+   */
+  constructor(x, y, size = { width: 32, height: 96 }) {
+    super();
+
+    this.setSortID(OBJ_NUM.PLATFORM);
+    this.size = size;
+    this.triggered = false;
+
+    this.objectSortManager = getObjectSortManager();
+    this.sceneManager = getSceneManager();
+    this.renderManager = getRenderManager();
+
+    this.setPosition(x, y);
+    this.initialize();
+  }
+
+  /**
+   * Create the gate graphics
+   * @returns {boolean} Success status
+   */
+  initialize() {
+    const { width, height } = this.size;
+
+    this.sprite = new PIXI.Graphics();
+    this.sprite.beginFill(0x66CCFF, 0.25);
+    this.sprite.drawRect(-width / 2, -height, width, height);
+    this.sprite.endFill();
+    this.sprite.beginFill(0x66CCFF, 0.8);
+    this.sprite.drawRect(-width / 2, -height, 4, height);
+    this.sprite.drawRect(width / 2 - 4, -height, 4, height);
+    this.sprite.endFill();
+    return true;
+  }
+
+  /**
+   * Leave the stage once a player walks in
+   * @param {number} deltaTime - Time since last frame
+   * @returns {boolean} Success status
+   */
+  update(deltaTime) {
+    if (this.destroyed || this.triggered) return true;
+
+    const box = {
+      x: this.transform.position.x - this.size.width / 2,
+      y: this.transform.position.y - this.size.height,
+      width: this.size.width,
+      height: this.size.height
+    };
+
+    for (const player of this.objectSortManager.getLayer(OBJ_NUM.PLAYER)) {
+      if (player.isDead || player.isDestroyed()) continue;
+
+      const body = player.getBody();
+      const playerBox = {
+        x: body.x - body.width / 2,
+        y: body.y - body.height,
+        width: body.width,
+        height: body.height
+      };
+
+      if (rectCollision(box, playerBox)) {
+        this.triggered = true;
+        this.sceneManager.markStageCleared();
+        this.sceneManager.goToNextScene();
+        return true;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Render the gate
+   * @param {number} alpha - Interpolation factor between ticks (0-1)
+   * @returns {boolean} Success status
+   */
+  render(alpha = 1) {
+    if (!this.visible || this.destroyed || !this.sprite) return true;
+
+    if (!this.sprite.parent) {
+      this.renderManager.addToLayer(this.sprite, this.sortID);
+    }
+
+    return super.render(alpha);
+  }
+}
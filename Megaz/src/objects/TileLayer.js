@@ -0,0 +1,140 @@
+import * as PIXI from 'pixi.js';
+import { GameObject } from './GameObject.js';
+import { OBJ_NUM, TILE_TYPE } from '../utils/constants.js';
+import { getRenderManager } from '../managers/RenderManager.js';
+
+// Placeholder colors when the tileset image is missing
+const PLACEHOLDER_COLOR = {
+  solid: 0x444444,
+  platform: 0x777777,
+  spike: 0xAA2222,
+  decoration: 0x2A2A33,
+};
+
+/**
+ * TileLayer class - static tile layer built from a Tiled map
+ * Uses tileset textures when loaded, otherwise draws collision-shaped placeholders
+ */
+export class TileLayer extends GameObject {
+  /**
+   * @param {TiledMapLoader} loader - Loaded map
+   * @param {Object} layer - Parsed tile layer {name, data, opacity, properties}
+   * @param {number} sortID - OBJ_NUM layer to draw into
+   */
+  constructor(loader, layer, sortID = OBJ_NUM.WALL) {
+    super();
+
+    this.setSortID(sortID);
+    this.loader = loader;
+    this.layer = layer;
+    this.name = layer.name;
+
+    this.renderManager = getRenderManager();
+
+    this.initialize();
+  }
+
+  /**
+   * Build the tile sprites once - the layer never changes
+   * @returns {boolean} Success status
+   */
+  initialize() {
+    const { width, tileWidth, tileHeight } = this.loader.map;
+
+    this.sprite = new PIXI.Container();
+    this.sprite.alpha = this.layer.opacity;
+    const placeholders = new PIXI.Graphics();
+
+    this.layer.data.forEach((rawGid, index) => {
+      const info = this.loader.getTileInfo(rawGid);
+      if (!info) return;
+
+      const x = (index % width) * tileWidth;
+      const y = Math.floor(index / width) * tileHeight;
+      const texture = this.loader.getTileTexture(rawGid);
+
+      if (texture) {
+        const tile = new PIXI.Sprite(texture);
+        // Tiles can be taller than the grid - Tiled aligns them to the cell bottom
+        tile.anchor.set(0.5, 0.5);
+        tile.x = x + texture.width / 2;
+        tile.y = y + tileHeight - texture.height / 2;
+        tile.scale.x = info.flipX ? -1 : 1;
+        tile.scale.y = info.flipY ? -1 : 1;
+        if (info.diagonal) {
+          tile.rotation = Math.PI / 2;
+          tile.scale.x = -tile.scale.x;
+        }
+        this.sprite.addChild(tile);
+      } else {
+        this.drawPlaceholder(placeholders, this.loader.getTileType(rawGid), x, y, tileWidth, tileHeight);
+      }
+    });
+
+    this.sprite.addChild(placeholders);
+    return true;
+  }
+
+  /**
+   * Draw a flat shape matching the tile collision
+   * @param {PIXI.Graphics} graphics - Target graphics
+   * @param {number} type - TILE_TYPE value
+   * @param {number} x - Tile left
+   * @param {number} y - Tile top
+   * @param {number} w - Tile width
+   * @param {number} h - Tile height
+   */
+  drawPlaceholder(graphics, type, x, y, w, h) {
+    switch (type) {
+      case TILE_TYPE.SOLID:
+        graphics.beginFill(PLACEHOLDER_COLOR.solid);
+        graphics.drawRect(x, y, w, h);
+        break;
+      case TILE_TYPE.PLATFORM:
+        graphics.beginFill(PLACEHOLDER_COLOR.platform);
+        graphics.drawRect(x, y, w, 8);
+        break;
+      case TILE_TYPE.SLOPE_UP:
+        graphics.beginFill(PLACEHOLDER_COLOR.solid);
+        graphics.drawPolygon([x, y + h, x + w, y, x + w, y + h]);
+        break;
+      case TILE_TYPE.SLOPE_DOWN:
+        graphics.beginFill(PLACEHOLDER_COLOR.solid);
+        graphics.drawPolygon([x, y, x + w, y + h, x, y + h]);
+        break;
+      case TILE_TYPE.SPIKE:
+        graphics.beginFill(PLACEHOLDER_COLOR.spike);
+        graphics.drawPolygon([x, y + h, x + w / 2, y, x + w, y + h]);
+        break;
+      default:
+        graphics.beginFill(PLACEHOLDER_COLOR.decoration);
+        graphics.drawRect(x, y, w, h);
+        break;
+    }
+    graphics.endFill();
+  }
+
+  /**
+   * Tile layers are static
+   * @param {number} deltaTime - Time since last frame
+   * @returns {boolean} Success status
+   */
+  update(deltaTime) {
+    return !this.destroyed;
+  }
+
+  /**
+   * Add the layer to its render layer
+   * @param {number} alpha - Interpolation factor between ticks (0-1)
+   * @returns {boolean} Success status
+   */
+  render(alpha = 1) {
+    if (!this.visible || this.destroyed || !this.sprite) return true;
+
+    if (!this.sprite.parent) {
+      this.renderManager.addToLayer(this.sprite, this.sortID);
+    }
+
+    return super.render(alpha);
+  }
+}
@@ -0,0 +1,57 @@
+import { MenuScene } from './MenuScene.js';
+import { SOUND_BUS } from '../utils/constants.js';
+
+/**
+ * AudioScene class - mixer settings, pushed from the pause menu
+ * LEFT/RIGHT change a volume, confirm mutes or unmutes a bus. Changes apply live and are saved
+ */
+export default class AudioScene extends MenuScene {
+  constructor() {
+    super('AUDIO', []);
+
+    this.panelWidth = 340;
+    this.volumeStep = 0.1;
+
+    const buses = [
+      { bus: SOUND_BUS.MUSIC, label: 'Music' },
+      { bus: SOUND_BUS.SFX, label: 'Effects' },
+      { bus: SOUND_BUS.VOICE, label: 'Voice' }
+    ];
+
+    this.items = [
+      {
+        label: '',
+        adjust: (step) => this.soundManager.setMasterVolume(this.soundManager.getMasterVolume() + step * this.volumeStep),
+        describe: () => `Master:  < ${this.formatVolume(this.soundManager.getMasterVolume())} >`
+      },
+      ...buses.map(({ bus, label }) => ({
+        label: '',
+        action: () => this.soundManager.setBusMuted(bus, !this.soundManager.isBusMuted(bus)),
+        adjust: (step) => this.soundManager.setBusVolume(bus, this.soundManager.getBusVolume(bus) + step * this.volumeStep),
+        describe: () => this.soundManager.isBusMuted(bus)
+          ? `${label}:  < Muted >`
+          : `${label}:  < ${this.formatVolume(this.soundManager.getBusVolume(bus))} >`
+      })),
+      { label: 'Back', action: () => this.back() }
+    ];
+  }
+
+  /**
+   * Format a volume as a percentage
+   * @param {number} volume - Volume (0-1)
+   * @returns {string} Percentage text
+   */
+  formatVolume(volume) {
+    return `${Math.round(volume * 100)}%`;
+  }
+
+  /**
+   * Run the selected row, then show what it changed
+   */
+  confirm() {
+    super.confirm();
+    if (this.active) {
+      this.refresh();
+    }
+  }
+}
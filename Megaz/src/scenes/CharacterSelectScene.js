@@ -0,0 +1,105 @@
+import * as PIXI from 'pixi.js';
+import { FrontEndScene } from './FrontEndScene.js';
+import { GAME_CONFIG, CHARACTER, ACTION } from '../utils/constants.js';
+
+/**
+ * CharacterSelectScene class - pick X or Zero with LEFT/RIGHT
+ * Confirm goes on to the stage select, cancel returns to the title
+ */
+export default class CharacterSelectScene extends FrontEndScene {
+  /**
+   * @param {Object} config - Scene registry entry
+   */
+  constructor(config) {
+    super(config);
+
+    this.characters = [
+      { id: CHARACTER.X, name: 'X', description: 'Buster specialist', color: 0x3388FF },
+      { id: CHARACTER.ZERO, name: 'ZERO', description: 'Saber specialist', color: 0xDD3333 }
+    ];
+    this.cursor = Math.max(0, this.characters.findIndex(c => c.id === this.sceneManager.getCharacter()));
+    this.panelWidth = 220;
+    this.panelHeight = 300;
+    this.panelGap = 60;
+    this.panels = [];
+    this.leaving = false;
+  }
+
+  async initialize() {
+    this.createContainer();
+    this.addText('SELECT PLAYER', 60, { fontSize: 28, fontWeight: 'bold', fill: 0x66CCFF });
+
+    const totalWidth = this.characters.length * this.panelWidth + (this.characters.length - 1) * this.panelGap;
+    const left = (GAME_CONFIG.WINDOW_WIDTH - totalWidth) / 2;
+
+    this.panels = this.characters.map((character, i) => {
+      const panel = new PIXI.Graphics();
+      panel.x = left + i * (this.panelWidth + this.panelGap);
+      panel.y = 130;
+      this.container.addChild(panel);
+
+      const name = new PIXI.Text(character.name, { fontFamily: 'Arial', fontSize: 32, fontWeight: 'bold', fill: 0xFFFFFF });
+      name.anchor.set(0.5, 0);
+      name.x = panel.x + this.panelWidth / 2;
+      name.y = panel.y + this.panelHeight - 90;
+      this.container.addChild(name);
+
+      const description = new PIXI.Text(character.description, { fontFamily: 'Arial', fontSize: 14, fill: 0xAACCEE });
+      description.anchor.set(0.5, 0);
+      description.x = name.x;
+      description.y = name.y + 44;
+      this.container.addChild(description);
+
+      return panel;
+    });
+
+    this.addText('LEFT/RIGHT to choose, X/Enter to confirm, Z/Esc to go back', 540, { fontSize: 12, fill: 0x667788 });
+    this.refresh();
+    return true;
+  }
+
+  /**
+   * Redraw the panels with the selected one highlighted
+   */
+  refresh() {
+    this.panels.forEach((panel, i) => {
+      const character = this.characters[i];
+      const selected = i === this.cursor;
+
+      panel.clear();
+      panel.beginFill(0x0A1A33, 0.95);
+      panel.lineStyle(selected ? 4 : 2, selected ? 0xFFDD44 : 0x335577);
+      panel.drawRect(0, 0, this.panelWidth, this.panelHeight);
+      panel.endFill();
+
+      // Portrait placeholder in the character's color
+      panel.lineStyle(0);
+      panel.beginFill(character.color, selected ? 1 : 0.4);
+      panel.drawRect(this.panelWidth / 2 - 40, 40, 80, 120);
+      panel.endFill();
+    });
+  }
+
+  update(deltaTime) {
+    if (this.leaving) return true;
+
+    const left = this.keyManager.isActionPressed(ACTION.LEFT);
+    if (left || this.keyManager.isActionPressed(ACTION.RIGHT)) {
+      const step = left ? -1 : 1;
+      this.cursor = (this.cursor + step + this.characters.length) % this.characters.length;
+      this.soundManager.playSound('plat', false, 0.3);
+      this.refresh();
+    }
+
+    if (this.isConfirmPressed()) {
+      this.leaving = true;
+      this.soundManager.playSound('ready', false, 0.4);
+      this.sceneManager.setCharacter(this.characters[this.cursor].id);
+      this.sceneManager.goToNextScene();
+    } else if (this.isBackPressed()) {
+      this.leaving = true;
+      this.sceneManager.queueSceneTransition('TITLE');
+    }
+    return true;
+  }
+}
@@ -0,0 +1,204 @@
+import { MenuScene } from './MenuScene.js';
+import DevicesScene from './DevicesScene.js';
+import { getTouchControls } from '../managers/TouchControls.js';
+import { ACTION } from '../utils/constants.js';
+
+/**
+ * ControlsScene class - rebinding menu, pushed from the pause menu
+ * Confirm on an action waits for the next key or gamepad input and binds it;
+ * LEFT/RIGHT change the edited player, their profile, their stick deadzone and the touch controls.
+ * Changes save as they're made.
+ * Devices opens local co-op device assignment
+ */
+export default class ControlsScene extends MenuScene {
+  constructor() {
+    super('CONTROLS', []);
+
+    this.panelWidth = 560;
+    this.itemHeight = 26;
+    this.profiles = ['Player 1', 'Player 2', 'Player 3', 'Player 4'];
+    this.player = 0; // Player whose bindings are being edited
+    this.captureTimeout = 5; // Seconds before an unanswered capture gives up
+    this.captureTimer = 0;
+    this.capturingName = null;
+    this.touchControls = getTouchControls();
+    this.touchModes = ['auto', 'on', 'off'];
+    this.editingTouch = false;
+
+    this.actions = [
+      { name: 'LEFT', label: 'Left' },
+      { name: 'RIGHT', label: 'Right' },
+      { name: 'UP', label: 'Up' },
+      { name: 'DOWN', label: 'Down' },
+      { name: 'X', label: 'Jump' },
+      { name: 'Z', label: 'Dash' },
+      { name: 'C', label: 'Attack' },
+      { name: 'V', label: 'Special' },
+      { name: 'ENTER', label: 'Start' },
+      { name: 'ESCAPE', label: 'Pause / Back' }
+    ];
+
+    this.items = [
+      {
+        label: '',
+        adjust: (step) => this.changePlayer(step),
+        describe: () => `Editing:  < Player ${this.player + 1} >`
+      },
+      {
+        label: '',
+        adjust: (step) => this.changeProfile(step),
+        describe: () => `Profile:  < ${this.keyManager.getProfile(this.player)} >`
+      },
+      ...this.actions.map(action => ({ label: '', action: () => this.rebind(action.name), bindingName: action.name })),
+      {
+        label: '',
+        adjust: (step) => this.keyManager.setDeadzone(this.keyManager.getDeadzone(this.player) + step * 0.05, this.player),
+        describe: () => `Stick Deadzone:  < ${this.keyManager.getDeadzone(this.player).toFixed(2)} >`
+      },
+      {
+        label: '',
+        adjust: (step) => this.changeTouchMode(step),
+        describe: () => {
+          const mode = this.touchControls.getMode();
+          return `Touch Controls:  < ${mode.charAt(0).toUpperCase()}${mode.slice(1)} >`;
+        }
+      },
+      {
+        label: '',
+        adjust: (step) => this.touchControls.setScale(this.touchControls.getScale() + step * 0.1),
+        describe: () => `Touch Size:  < ${this.touchControls.getScale().toFixed(1)}x >`
+      },
+      { label: 'Edit Touch Layout', action: () => this.editTouchLayout() },
+      { label: 'Reset Touch Layout', action: () => this.touchControls.resetLayout() },
+      { label: 'Devices', action: () => this.sceneManager.pushScene(new DevicesScene()) },
+      { label: 'Reset to Defaults', action: () => this.keyManager.resetBindings(this.player) },
+      { label: 'Back', action: () => this.back() }
+    ];
+  }
+
+  /**
+   * Redraw labels with the current bindings
+   */
+  refresh() {
+    this.itemTexts.forEach((text, i) => {
+      text.text = this.getItemLabel(i);
+    });
+    super.refresh();
+  }
+
+  /**
+   * Build the label of a row
+   * @param {number} index - Item index
+   * @returns {string} Label text
+   */
+  getItemLabel(index) {
+    const item = this.items[index];
+
+    if (item.bindingName) {
+      const action = this.actions.find(entry => entry.name === item.bindingName);
+      if (this.capturingName === item.bindingName) {
+        return `${action.label}:  press a key or button... (Esc cancels)`;
+      }
+      const describe = (device) => this.keyManager.getBindings(item.bindingName, device, this.player)
+        .map(input => this.keyManager.describeBinding(input)).join(', ') || '-';
+      return `${action.label}:  ${describe('keyboard')}  |  ${describe('gamepad')}`;
+    }
+    return item.label;
+  }
+
+  /**
+   * Run the selected row, then show what it changed
+   */
+  confirm() {
+    super.confirm();
+    if (this.active) {
+      this.refresh();
+    }
+  }
+
+  /**
+   * Cycle through the players in the game
+   * @param {number} step - +1 next, -1 previous
+   */
+  changePlayer(step) {
+    const count = this.keyManager.getPlayerCount();
+    this.player = (this.player + step + count) % count;
+  }
+
+  /**
+   * Cycle the edited player through the saved profiles
+   * @param {number} step - +1 next, -1 previous
+   */
+  changeProfile(step) {
+    const index = Math.max(0, this.profiles.indexOf(this.keyManager.getProfile(this.player)));
+    const next = (index + step + this.profiles.length) % this.profiles.length;
+    this.keyManager.loadProfile(this.profiles[next], this.player);
+  }
+
+  /**
+   * Cycle the touch controls between auto, always on and off
+   * @param {number} step - +1 next, -1 previous
+   */
+  changeTouchMode(step) {
+    const index = Math.max(0, this.touchModes.indexOf(this.touchControls.getMode()));
+    this.touchControls.setMode(this.touchModes[(index + step + this.touchModes.length) % this.touchModes.length]);
+  }
+
+  /**
+   * Hide the menu and let the touch controls be dragged around until DONE (or BACK)
+   */
+  editTouchLayout() {
+    this.editingTouch = true;
+    this.container.visible = false;
+    this.touchControls.startEditing(() => {
+      this.editingTouch = false;
+      if (this.container) {
+        this.container.visible = true;
+      }
+    });
+  }
+
+  /**
+   * Wait for the next input and bind it to a key name of the edited player
+   * @param {string} name - Key name to rebind
+   */
+  async rebind(name) {
+    this.capturingName = name;
+    this.captureTimer = this.captureTimeout;
+    this.refresh();
+
+    const result = await this.keyManager.captureNextInput();
+    this.capturingName = null;
+    if (result) {
+      this.keyManager.bind(name, result.input, result.device, this.player);
+      console.log(`Bound ${name} to ${this.keyManager.describeBinding(result.input)} (${result.device}) for player ${this.player + 1}`);
+    }
+    if (this.active) {
+      this.refresh();
+    }
+  }
+
+  update(deltaTime) {
+    if (this.capturingName) {
+      this.captureTimer -= deltaTime;
+      if (this.captureTimer <= 0) {
+        this.keyManager.cancelCapture();
+      }
+      return true;
+    }
+    if (this.editingTouch) {
+      if (this.keyManager.isActionPressed(ACTION.BACK)) {
+        this.touchControls.stopEditing();
+      }
+      return true;
+    }
+
+    return super.update(deltaTime);
+  }
+
+  destroy() {
+    this.keyManager.cancelCapture();
+    this.touchControls.stopEditing();
+    super.destroy();
+  }
+}
@@ -0,0 +1,58 @@
+import { MenuScene } from './MenuScene.js';
+
+/**
+ * DevicesScene class - local co-op device assignment, pushed from the controls menu
+ * LEFT/RIGHT change the player count or hand a device to another player.
+ * Player 1's last keyboard or gamepad stays with them, since the menus read player 1.
+ * Lists the devices connected when the menu opened
+ */
+export default class DevicesScene extends MenuScene {
+  constructor() {
+    super('DEVICES', []);
+
+    this.panelWidth = 460;
+
+    this.items = [
+      {
+        label: '',
+        adjust: (step) => this.keyManager.setPlayerCount(this.keyManager.getPlayerCount() + step),
+        describe: () => `Players:  < ${this.keyManager.getPlayerCount()} >`
+      },
+      ...this.keyManager.getSources().map(source => ({
+        label: '',
+        adjust: (step) => this.cycleOwner(source.id, step),
+        describe: () => this.keyManager.getSourcePlayer(source.id) === -1
+          ? `${this.getSourceLabel(source)}:  disconnected`
+          : `${this.getSourceLabel(source)}:  < Player ${this.keyManager.getSourcePlayer(source.id) + 1} >`
+      })),
+      { label: 'Back', action: () => this.back() }
+    ];
+  }
+
+  /**
+   * Name a source for the menu
+   * @param {InputSource} source - Input source
+   * @returns {string} Label text
+   */
+  getSourceLabel(source) {
+    if (source.type === 'gamepad') {
+      const name = source.name ? ` (${source.name.slice(0, 24)})` : '';
+      return `Gamepad ${source.index + 1}${name}`;
+    }
+    return source.id.charAt(0).toUpperCase() + source.id.slice(1);
+  }
+
+  /**
+   * Hand a source to the next or previous player, wrapping around
+   * (KeyManager refuses to take player 1's last device)
+   * @param {string} id - Source id
+   * @param {number} step - +1 next, -1 previous
+   */
+  cycleOwner(id, step) {
+    const player = this.keyManager.getSourcePlayer(id);
+    if (player === -1) return;
+
+    const count = this.keyManager.getPlayerCount();
+    this.keyManager.assignSource(id, (player + step + count) % count);
+  }
+}
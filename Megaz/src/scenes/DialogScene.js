@@ -0,0 +1,147 @@
+import * as PIXI from 'pixi.js';
+import { Scene, getSceneManager } from '../managers/SceneManager.js';
+import { getKeyManager } from '../managers/KeyManager.js';
+import { getRenderManager } from '../managers/RenderManager.js';
+import { GAME_CONFIG, OBJ_NUM, ACTION } from '../utils/constants.js';
+
+/**
+ * DialogScene class - text box pushed over a stage, typed out one line at a time
+ * CONFIRM (X or ENTER) finishes the current line, then advances; the box pops after the last line
+ */
+export default class DialogScene extends Scene {
+  /**
+   * @param {Array<string>} lines - Lines of dialog
+   * @param {string} speaker - Name shown above the text (empty for none)
+   */
+  constructor(lines, speaker = '') {
+    super();
+
+    this.lines = lines;
+    this.speaker = speaker;
+    this.lineIndex = 0;
+    this.visibleChars = 0;
+    this.charsPerSecond = 40;
+    this.blinkTime = 0;
+    this.boxHeight = 110;
+    this.margin = 24;
+
+    this.sceneManager = getSceneManager();
+    this.keyManager = getKeyManager();
+    this.renderManager = getRenderManager();
+
+    this.container = null;
+    this.text = null;
+    this.prompt = null;
+  }
+
+  async initialize() {
+    const width = GAME_CONFIG.WINDOW_WIDTH - this.margin * 2;
+    const top = GAME_CONFIG.WINDOW_HEIGHT - this.boxHeight - this.margin;
+
+    this.container = new PIXI.Container();
+
+    const box = new PIXI.Graphics();
+    box.beginFill(0x000000, 0.85);
+    box.lineStyle(2, 0x66CCFF);
+    box.drawRect(this.margin, top, width, this.boxHeight);
+    box.endFill();
+    this.container.addChild(box);
+
+    if (this.speaker) {
+      const name = new PIXI.Text(this.speaker, {
+        fontFamily: 'Arial',
+        fontSize: 14,
+        fill: 0x66CCFF
+      });
+      name.x = this.margin + 16;
+      name.y = top + 10;
+      this.container.addChild(name);
+    }
+
+    this.text = new PIXI.Text('', {
+      fontFamily: 'Arial',
+      fontSize: 16,
+      fill: 0xFFFFFF,
+      wordWrap: true,
+      wordWrapWidth: width - 32
+    });
+    this.text.x = this.margin + 16;
+    this.text.y = top + (this.speaker ? 32 : 16);
+    this.container.addChild(this.text);
+
+    // Shown once the line is fully typed
+    this.prompt = new PIXI.Graphics();
+    this.prompt.beginFill(0xFFDD44);
+    this.prompt.drawPolygon([0, 0, 12, 0, 6, 8]);
+    this.prompt.endFill();
+    this.prompt.x = this.margin + width - 28;
+    this.prompt.y = top + this.boxHeight - 20;
+    this.container.addChild(this.prompt);
+
+    this.renderManager.addToLayer(this.container, OBJ_NUM.UI);
+    this.showLine(0);
+    return true;
+  }
+
+  /**
+   * Start typing a line
+   * @param {number} index - Line index
+   */
+  showLine(index) {
+    this.lineIndex = index;
+    this.visibleChars = 0;
+    this.text.text = '';
+    this.prompt.visible = false;
+  }
+
+  /**
+   * Check if the current line is fully shown
+   * @returns {boolean} True when typed out
+   */
+  isLineComplete() {
+    return this.visibleChars >= this.lines[this.lineIndex].length;
+  }
+
+  /**
+   * Finish the line, or go to the next one, or close
+   */
+  advance() {
+    if (!this.isLineComplete()) {
+      this.visibleChars = this.lines[this.lineIndex].length;
+      return;
+    }
+
+    if (this.lineIndex + 1 < this.lines.length) {
+      this.showLine(this.lineIndex + 1);
+    } else {
+      this.sceneManager.popScene();
+    }
+  }
+
+  update(deltaTime) {
+    if (this.keyManager.isActionPressed(ACTION.CONFIRM)) {
+      this.advance();
+      if (!this.active) return true;
+    }
+
+    const line = this.lines[this.lineIndex];
+    if (!this.isLineComplete()) {
+      this.visibleChars = Math.min(this.visibleChars + this.charsPerSecond * deltaTime, line.length);
+    }
+
+    this.text.text = line.slice(0, Math.floor(this.visibleChars));
+    this.blinkTime += deltaTime;
+    this.prompt.visible = this.isLineComplete() && Math.floor(this.blinkTime * 2.5) % 2 === 0;
+    return true;
+  }
+
+  render() {
+    return true;
+  }
+
+  destroy() {
+    this.container?.destroy({ children: true });
+    this.container = null;
+    super.destroy();
+  }
+}
@@ -0,0 +1,92 @@
+import * as PIXI from 'pixi.js';
+import { Scene, getSceneManager } from '../managers/SceneManager.js';
+import { getKeyManager } from '../managers/KeyManager.js';
+import { getRenderManager } from '../managers/RenderManager.js';
+import { getSoundManager } from '../managers/SoundManager.js';
+import { GAME_CONFIG, OBJ_NUM, ACTION } from '../utils/constants.js';
+
+/**
+ * FrontEndScene class - shared base for the full-screen menus before a stage
+ * (logo, title, character select, stage select)
+ * X, ENTER or Start confirms; Z, ESCAPE or Back cancels
+ */
+export class FrontEndScene extends Scene {
+  /**
+   * @param {Object} config - Scene registry entry
+   */
+  constructor(config) {
+    super(config);
+
+    this.sceneManager = getSceneManager();
+    this.keyManager = getKeyManager();
+    this.renderManager = getRenderManager();
+    this.soundManager = getSoundManager();
+
+    this.container = null;
+  }
+
+  /**
+   * Create the scene container over a plain backdrop
+   * @param {number} color - Backdrop color
+   */
+  createContainer(color = 0x050A18) {
+    this.renderManager.clearStage();
+    this.container = new PIXI.Container();
+
+    const backdrop = new PIXI.Graphics();
+    backdrop.beginFill(color);
+    backdrop.drawRect(0, 0, GAME_CONFIG.WINDOW_WIDTH, GAME_CONFIG.WINDOW_HEIGHT);
+    backdrop.endFill();
+    this.container.addChild(backdrop);
+
+    this.renderManager.addToLayer(this.container, OBJ_NUM.UI);
+  }
+
+  /**
+   * Add centered text to the scene
+   * @param {string} text - Text to show
+   * @param {number} y - Top y
+   * @param {Object} style - PIXI text style overrides
+   * @returns {PIXI.Text} The text object
+   */
+  addText(text, y, style = {}) {
+    const label = new PIXI.Text(text, {
+      fontFamily: 'Arial',
+      fontSize: 16,
+      fill: 0xFFFFFF,
+      align: 'center',
+      ...style
+    });
+    label.anchor.set(0.5, 0);
+    label.x = GAME_CONFIG.WINDOW_WIDTH / 2;
+    label.y = y;
+    this.container.addChild(label);
+    return label;
+  }
+
+  /**
+   * Check for a confirm press this frame
+   * @returns {boolean} True if CONFIRM was pressed
+   */
+  isConfirmPressed() {
+    return this.keyManager.isActionPressed(ACTION.CONFIRM);
+  }
+
+  /**
+   * Check for a cancel press this frame
+   * @returns {boolean} True if BACK was pressed
+   */
+  isBackPressed() {
+    return this.keyManager.isActionPressed(ACTION.BACK);
+  }
+
+  render() {
+    return true;
+  }
+
+  destroy() {
+    this.container?.destroy({ children: true });
+    this.container = null;
+    super.destroy();
+  }
+}
@@ -0,0 +1,47 @@
+import { MenuScene } from './MenuScene.js';
+
+/**
+ * GameOverScene class - shown when the player dies with no lives left
+ * Continue restarts the stage with full lives; the other choices leave it
+ */
+export default class GameOverScene extends MenuScene {
+  /**
+   * @param {Object} config - Scene registry entry
+   */
+  constructor(config) {
+    super('GAME OVER', []);
+
+    this.config = config;
+    this.key = config.key;
+    this.leaving = false;
+    this.items = [
+      { label: 'Continue', action: () => this.leave(() => this.sceneManager.continueGame()) },
+      { label: 'Stage Select', action: () => this.leave(() => this.quitTo('STAGE_SELECT')) },
+      { label: 'Title', action: () => this.leave(() => this.quitTo('TITLE')) }
+    ];
+  }
+
+  /**
+   * Run a choice once - the menu stays up while the transition fades out
+   * @param {Function} choice - Choice to run
+   */
+  leave(choice) {
+    if (this.leaving) return;
+    this.leaving = true;
+    choice();
+  }
+
+  /**
+   * Give up on the stage: lives and checkpoint reset, cleared stages are kept
+   * @param {string} sceneKey - Scene to go to
+   */
+  quitTo(sceneKey) {
+    this.sceneManager.resetProgress();
+    this.sceneManager.queueSceneTransition(sceneKey);
+  }
+
+  /**
+   * Nothing to go back to
+   */
+  back() {}
+}
@@ -0,0 +1,93 @@
+import * as PIXI from 'pixi.js';
+import { Scene } from '../managers/SceneManager.js';
+import { getRenderManager } from '../managers/RenderManager.js';
+import { GAME_CONFIG, OBJ_NUM } from '../utils/constants.js';
+
+/**
+ * LoadingScene class - progress bar shown while a scene's asset bundle loads
+ * Created by SceneManager during transitions, not listed in the registry
+ */
+export default class LoadingScene extends Scene {
+  /**
+   * @param {Object} config - {key} of the scene being loaded
+   */
+  constructor(config = {}) {
+    super(config);
+
+    this.renderManager = getRenderManager();
+    this.progress = 0;
+    this.displayedProgress = 0;
+    this.barWidth = 320;
+    this.barHeight = 12;
+    this.container = null;
+    this.bar = null;
+    this.label = null;
+  }
+
+  async initialize() {
+    const centerX = GAME_CONFIG.WINDOW_WIDTH / 2;
+    const centerY = GAME_CONFIG.WINDOW_HEIGHT / 2;
+
+    this.container = new PIXI.Container();
+
+    this.label = new PIXI.Text('LOADING', {
+      fontFamily: 'Arial',
+      fontSize: 18,
+      fill: 0xFFFFFF
+    });
+    this.label.anchor.set(0.5, 1);
+    this.label.x = centerX;
+    this.label.y = centerY - 12;
+
+    this.bar = new PIXI.Graphics();
+    this.bar.x = centerX - this.barWidth / 2;
+    this.bar.y = centerY;
+
+    this.container.addChild(this.label);
+    this.container.addChild(this.bar);
+    this.renderManager.addToLayer(this.container, OBJ_NUM.UI);
+    this.drawBar();
+    return true;
+  }
+
+  /**
+   * Set the loading progress reported by AssetLoader
+   * @param {number} progress - Progress (0-1)
+   */
+  setProgress(progress) {
+    this.progress = Math.max(this.progress, Math.min(progress, 1));
+  }
+
+  /**
+   * Draw the frame and the filled part of the bar
+   */
+  drawBar() {
+    this.bar.clear();
+    this.bar.lineStyle(2, 0xFFFFFF);
+    this.bar.drawRect(0, 0, this.barWidth, this.barHeight);
+    this.bar.lineStyle(0);
+    this.bar.beginFill(0x66CCFF);
+    this.bar.drawRect(2, 2, (this.barWidth - 4) * this.displayedProgress, this.barHeight - 4);
+    this.bar.endFill();
+    this.label.text = `LOADING ${Math.round(this.displayedProgress * 100)}%`;
+  }
+
+  update(deltaTime) {
+    // Ease toward the real progress so fast loads don't just blink
+    if (this.displayedProgress < this.progress) {
+      this.displayedProgress = Math.min(this.displayedProgress + deltaTime * 2, this.progress);
+      this.drawBar();
+    }
+    return true;
+  }
+
+  render() {
+    return true;
+  }
+
+  destroy() {
+    this.container?.destroy({ children: true });
+    this.container = null;
+    super.destroy();
+  }
+}
@@ -0,0 +1,57 @@
+import { FrontEndScene } from './FrontEndScene.js';
+
+/**
+ * LogoScene class - opening splash, moves on to the title after a few seconds
+ * or as soon as a button is pressed
+ */
+export default class LogoScene extends FrontEndScene {
+  /**
+   * @param {Object} config - Scene registry entry
+   */
+  constructor(config) {
+    super(config);
+
+    this.elapsed = 0;
+    this.duration = 2.5;
+    this.fadeTime = 0.5; // Logo fades in and out over this long
+    this.logo = null;
+    this.finished = false;
+  }
+
+  async initialize() {
+    this.createContainer(0x000000);
+
+    this.logo = this.addText('MEGAZ\nSTUDIO', 240, {
+      fontSize: 40,
+      fontWeight: 'bold',
+      fill: 0x66CCFF,
+      letterSpacing: 8
+    });
+    this.logo.alpha = 0;
+
+    console.log('Logo scene initialized');
+    return true;
+  }
+
+  /**
+   * Go on to the title once
+   */
+  finish() {
+    if (this.finished) return;
+    this.finished = true;
+    this.sceneManager.goToNextScene();
+  }
+
+  update(deltaTime) {
+    this.elapsed += deltaTime;
+
+    const fadeIn = this.elapsed / this.fadeTime;
+    const fadeOut = (this.duration - this.elapsed) / this.fadeTime;
+    this.logo.alpha = Math.max(0, Math.min(fadeIn, fadeOut, 1));
+
+    if (this.elapsed >= this.duration || this.isConfirmPressed()) {
+      this.finish();
+    }
+    return true;
+  }
+}
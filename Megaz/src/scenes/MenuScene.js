@@ -0,0 +1,168 @@
+import * as PIXI from 'pixi.js';
+import { Scene, getSceneManager } from '../managers/SceneManager.js';
+import { getKeyManager } from '../managers/KeyManager.js';
+import { getRenderManager } from '../managers/RenderManager.js';
+import { getSoundManager } from '../managers/SoundManager.js';
+import { GAME_CONFIG, OBJ_NUM, ACTION } from '../utils/constants.js';
+
+/**
+ * MenuScene class - overlay with a vertical list of choices
+ * UP/DOWN move the cursor, CONFIRM (X or ENTER) confirms, BACK (Z or ESCAPE) goes back,
+ * LEFT/RIGHT change the value of items that have one - all read as actions, so rebinding carries over
+ */
+export class MenuScene extends Scene {
+  /**
+   * @param {string} title - Heading shown above the items
+   * @param {Array<Object>} items - {label, action, enabled, adjust(step), describe() - label with the current value}
+   */
+  constructor(title, items = []) {
+    super();
+
+    this.title = title;
+    this.items = items;
+    this.cursor = 0;
+    this.panelWidth = 280;
+    this.itemHeight = 28;
+
+    this.sceneManager = getSceneManager();
+    this.keyManager = getKeyManager();
+    this.renderManager = getRenderManager();
+    this.soundManager = getSoundManager();
+
+    this.container = null;
+    this.itemTexts = [];
+    this.cursorMarker = null;
+  }
+
+  async initialize() {
+    const panelHeight = 72 + this.items.length * this.itemHeight;
+    const left = (GAME_CONFIG.WINDOW_WIDTH - this.panelWidth) / 2;
+    const top = (GAME_CONFIG.WINDOW_HEIGHT - panelHeight) / 2;
+
+    this.container = new PIXI.Container();
+
+    // Dim the frozen scene behind the menu
+    const shade = new PIXI.Graphics();
+    shade.beginFill(0x000000, 0.5);
+    shade.drawRect(0, 0, GAME_CONFIG.WINDOW_WIDTH, GAME_CONFIG.WINDOW_HEIGHT);
+    shade.endFill();
+    shade.beginFill(0x0A1A33, 0.95);
+    shade.lineStyle(2, 0x66CCFF);
+    shade.drawRect(left, top, this.panelWidth, panelHeight);
+    shade.endFill();
+    this.container.addChild(shade);
+
+    const heading = new PIXI.Text(this.title, {
+      fontFamily: 'Arial',
+      fontSize: 20,
+      fill: 0x66CCFF
+    });
+    heading.anchor.set(0.5, 0);
+    heading.x = GAME_CONFIG.WINDOW_WIDTH / 2;
+    heading.y = top + 16;
+    this.container.addChild(heading);
+
+    this.itemTexts = this.items.map((item, i) => {
+      const text = new PIXI.Text(item.label, {
+        fontFamily: 'Arial',
+        fontSize: 16,
+        fill: 0xFFFFFF
+      });
+      text.x = left + 48;
+      text.y = top + 56 + i * this.itemHeight;
+      this.container.addChild(text);
+      return text;
+    });
+
+    this.cursorMarker = new PIXI.Graphics();
+    this.cursorMarker.beginFill(0xFFDD44);
+    this.cursorMarker.drawPolygon([0, 0, 10, 7, 0, 14]);
+    this.cursorMarker.endFill();
+    this.cursorMarker.x = left + 26;
+    this.container.addChild(this.cursorMarker);
+
+    this.renderManager.addToLayer(this.container, OBJ_NUM.UI);
+    this.refresh();
+    return true;
+  }
+
+  /**
+   * Redraw item colors and the cursor position
+   */
+  refresh() {
+    this.itemTexts.forEach((text, i) => {
+      const item = this.items[i];
+      if (item.describe) {
+        text.text = item.describe();
+      }
+      text.style.fill = item.enabled === false ? 0x666666 : (i === this.cursor ? 0xFFDD44 : 0xFFFFFF);
+    });
+    const selected = this.itemTexts[this.cursor];
+    if (selected) {
+      this.cursorMarker.y = selected.y + 3;
+    }
+  }
+
+  /**
+   * Move the cursor, wrapping around
+   * @param {number} step - +1 down, -1 up
+   */
+  moveCursor(step) {
+    if (this.items.length === 0) return;
+    this.cursor = (this.cursor + step + this.items.length) % this.items.length;
+    this.soundManager.playSound('plat', false, 0.3);
+    this.refresh();
+  }
+
+  /**
+   * Run the selected item's action
+   */
+  confirm() {
+    const item = this.items[this.cursor];
+    if (!item || item.enabled === false) return;
+
+    this.soundManager.playSound('ready', false, 0.4);
+    item.action?.();
+  }
+
+  /**
+   * Close the menu - overridden where back means something else
+   */
+  back() {
+    this.sceneManager.popScene(null);
+  }
+
+  update(deltaTime) {
+    if (this.keyManager.isActionPressed(ACTION.DOWN)) {
+      this.moveCursor(1);
+    } else if (this.keyManager.isActionPressed(ACTION.UP)) {
+      this.moveCursor(-1);
+    }
+
+    const adjust = this.items[this.cursor]?.adjust;
+    const left = this.keyManager.isActionPressed(ACTION.LEFT);
+    if (adjust && (left || this.keyManager.isActionPressed(ACTION.RIGHT))) {
+      adjust(left ? -1 : 1);
+      this.soundManager.playSound('plat', false, 0.3);
+      this.refresh();
+    }
+
+    if (this.keyManager.isActionPressed(ACTION.CONFIRM)) {
+      this.confirm();
+    } else if (this.keyManager.isActionPressed(ACTION.BACK)) {
+      this.back();
+    }
+    return true;
+  }
+
+  render() {
+    return true;
+  }
+
+  destroy() {
+    this.container?.destroy({ children: true });
+    this.container = null;
+    this.itemTexts = [];
+    super.destroy();
+  }
+}
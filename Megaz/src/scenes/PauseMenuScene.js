@@ -0,0 +1,54 @@
+import { MenuScene } from './MenuScene.js';
+import WeaponSelectScene from './WeaponSelectScene.js';
+import ControlsScene from './ControlsScene.js';
+import AudioScene from './AudioScene.js';
+
+/**
+ * PauseMenuScene class - pushed over a stage on Escape (Start on a gamepad), freezes the world
+ */
+export default class PauseMenuScene extends MenuScene {
+  /**
+   * @param {Player} player - Player whose weapon the weapon select changes
+   */
+  constructor(player) {
+    super('PAUSE', []);
+
+    this.player = player;
+    this.items = [
+      { label: 'Resume', action: () => this.resume() },
+      { label: 'Weapon Select', action: () => this.openWeaponSelect(), enabled: !!player },
+      { label: 'Controls', action: () => this.sceneManager.pushScene(new ControlsScene()) },
+      { label: 'Audio', action: () => this.sceneManager.pushScene(new AudioScene()) },
+      { label: 'Retry from Checkpoint', action: () => this.retry() }
+    ];
+  }
+
+  /**
+   * Close the menu and go back to the stage
+   */
+  resume() {
+    this.sceneManager.popScene('resume');
+  }
+
+  /**
+   * Back closes the menu the same way Resume does
+   */
+  back() {
+    this.resume();
+  }
+
+  /**
+   * Stack the weapon select on top of the pause menu
+   */
+  async openWeaponSelect() {
+    await this.sceneManager.pushScene(new WeaponSelectScene(this.player));
+  }
+
+  /**
+   * Reload the stage at the last checkpoint (costs nothing, unlike dying)
+   */
+  retry() {
+    const sceneKey = this.sceneManager.getCheckpoint()?.sceneKey ?? this.sceneManager.getCurrentSceneKey();
+    this.sceneManager.queueSceneTransition(sceneKey);
+  }
+}
@@ -0,0 +1,93 @@
+import * as PIXI from 'pixi.js';
+import { StageScene } from './StageScene.js';
+import { OBJ_NUM } from '../utils/constants.js';
+
+/**
+ * StageOneScene class - first stage, a night city under passing battleships
+ */
+export default class StageOneScene extends StageScene {
+  /**
+   * Night sky over the city, with battleships drifting past
+   * @returns {Array<Object>} ParallaxBackground layer configs
+   */
+  createBackgroundLayers() {
+    const path = '/assets/textures/backgrounds/';
+
+    return [
+      {
+        // Sky, fixed to the screen
+        sortID: OBJ_NUM.BG,
+        path: `${path}Sky.png`,
+        scrollFactor: 0,
+        fallback: () => {
+          const sky = new PIXI.Graphics();
+          const bands = [0x000814, 0x001122, 0x001a33, 0x002244, 0x0a2a50, 0x14325a];
+          bands.forEach((color, i) => {
+            sky.beginFill(color);
+            sky.drawRect(0, i * 100, 64, 100);
+            sky.endFill();
+          });
+          return sky;
+        }
+      },
+      {
+        // Distant towers
+        sortID: OBJ_NUM.BG2,
+        path: `${path}BG2.png`,
+        scrollFactor: { x: 0.15, y: 0.1 },
+        offset: { x: 0, y: 260 },
+        fallback: () => {
+          const towers = new PIXI.Graphics();
+          const heights = [180, 240, 140, 300, 200, 260, 160, 220];
+          towers.beginFill(0x0c2238);
+          heights.forEach((height, i) => towers.drawRect(i * 40, 340 - height, 32, height));
+          towers.endFill();
+          towers.beginFill(0x3a6a8a, 0.6);
+          heights.forEach((height, i) => towers.drawRect(i * 40 + 12, 340 - height + 16, 6, 6));
+          towers.endFill();
+          return towers;
+        }
+      },
+      {
+        // Big ship drifting slowly
+        sortID: OBJ_NUM.BG3,
+        path: `${path}BGOb1.png`,
+        scrollFactor: { x: 0.3, y: 0.2 },
+        offset: { x: 0, y: 90 },
+        autoScroll: { x: -6, y: 0 },
+        fallback: () => {
+          const ship = new PIXI.Graphics();
+          ship.beginFill(0x000000, 0);
+          ship.drawRect(0, 0, 900, 120);
+          ship.endFill();
+          ship.beginFill(0x1a3048);
+          ship.drawPolygon([60, 60, 140, 20, 420, 20, 480, 60, 420, 100, 140, 100]);
+          ship.endFill();
+          ship.beginFill(0x66CCFF, 0.5);
+          ship.drawRect(40, 52, 20, 16);
+          ship.endFill();
+          return ship;
+        }
+      },
+      {
+        // Small ships passing by
+        sortID: OBJ_NUM.BG4,
+        path: `${path}BGOb2.png`,
+        scrollFactor: { x: 0.5, y: 0.35 },
+        offset: { x: 200, y: 40 },
+        autoScroll: { x: -24, y: 0 },
+        fallback: () => {
+          const ships = new PIXI.Graphics();
+          ships.beginFill(0x000000, 0);
+          ships.drawRect(0, 0, 640, 80);
+          ships.endFill();
+          ships.beginFill(0x2a4a66);
+          ships.drawPolygon([20, 20, 40, 10, 90, 10, 100, 20, 90, 30, 40, 30]);
+          ships.drawPolygon([300, 60, 316, 52, 356, 52, 364, 60, 356, 68, 316, 68]);
+          ships.endFill();
+          return ships;
+        }
+      }
+    ];
+  }
+}
@@ -0,0 +1,226 @@
+import * as PIXI from 'pixi.js';
+import { Scene, getSceneManager } from '../managers/SceneManager.js';
+import { getDevice } from '../core/Device.js';
+import { getCamera } from '../core/Camera.js';
+import { getTextureManager } from '../managers/TextureManager.js';
+import { getObjectSortManager } from '../managers/ObjectSortManager.js';
+import { getCollisionManager } from '../managers/CollisionManager.js';
+import { getKeyManager } from '../managers/KeyManager.js';
+import { getRenderManager } from '../managers/RenderManager.js';
+import { getSoundManager } from '../managers/SoundManager.js';
+import { TiledMapLoader } from '../utils/TiledMapLoader.js';
+import { Player } from '../objects/Player.js';
+import { Checkpoint } from '../objects/Checkpoint.js';
+import { StageExit } from '../objects/StageExit.js';
+import { DialogTrigger } from '../objects/DialogTrigger.js';
+import { HealthBar } from '../objects/HealthBar.js';
+import { ParallaxBackground } from '../objects/ParallaxBackground.js';
+import { Mop } from '../objects/Mop.js';
+import { HoverGunner } from '../objects/HoverGunner.js';
+import PauseMenuScene from './PauseMenuScene.js';
+import { OBJ_NUM, ACTION } from '../utils/constants.js';
+
+/**
+ * StageScene class - shared setup for action stages
+ * Builds the stage from the registry's Tiled map; subclasses provide the background
+ */
+export class StageScene extends Scene {
+  /**
+   * @param {Object} config - Scene registry entry
+   */
+  constructor(config) {
+    super(config);
+
+    this.device = getDevice();
+    this.textureManager = getTextureManager();
+    this.objectSortManager = getObjectSortManager();
+    this.collisionManager = getCollisionManager();
+    this.keyManager = getKeyManager();
+    this.renderManager = getRenderManager();
+    this.sceneManager = getSceneManager();
+    this.soundManager = getSoundManager();
+    this.camera = getCamera();
+
+    this.collisionMap = null;
+    this.mapLoader = null;
+    this.player = null;
+    this.healthBar = null;
+    this.enemyClasses = [Mop, HoverGunner];
+    this.debugSpawnCount = 0;
+    this.background = null;
+    this.testText = null;
+  }
+
+  /**
+   * Background layers for ParallaxBackground - overridden per stage
+   * @returns {Array<Object>} Layer configs
+   */
+  createBackgroundLayers() {
+    return [];
+  }
+
+  /**
+   * Spawners for the map's object layers, by Tiled object type
+   * @param {Object} start - Receives the PlayerStart position
+   * @returns {Object} Type name to spawn function
+   */
+  createSpawners(start) {
+    return {
+      PlayerStart: (object) => {
+        start.x = object.x;
+        start.y = object.y;
+      },
+      Checkpoint: (object) => this.objectSortManager.insertObject(
+        new Checkpoint(this.key, object.x, object.y, { width: object.width, height: object.height })
+      ),
+      StageExit: (object) => this.objectSortManager.insertObject(
+        new StageExit(object.x, object.y, { width: object.width, height: object.height })
+      ),
+      Dialog: (object) => this.objectSortManager.insertObject(new DialogTrigger(
+        object.x, object.y, { width: object.width, height: object.height },
+        String(object.properties.text ?? '').split('\n'), object.properties.speaker ?? ''
+      )),
+      CameraLock: (object) => this.camera.addLockZone(
+        object.x - object.width / 2, object.x + object.width / 2, object.properties.viewY ?? 0
+      ),
+      Mop: (object) => this.objectSortManager.insertObject(new Mop(object.x, object.y)),
+      HoverGunner: (object) => this.objectSortManager.insertObject(new HoverGunner(object.x, object.y))
+    };
+  }
+
+  async initialize() {
+    console.log(`Stage scene initializing: ${this.key}`);
+
+    // Clear what the previous scene drew (keeps the world/UI containers)
+    this.renderManager.clearStage();
+    this.camera.reset();
+
+    // Stage layout comes from the Tiled map
+    this.mapLoader = new TiledMapLoader();
+    if (!await this.mapLoader.loadMap(this.config.map)) {
+      return false;
+    }
+    this.collisionMap = this.mapLoader.buildCollisionMap();
+    this.collisionManager.setMap(this.collisionMap);
+
+    for (const tileLayer of await this.mapLoader.buildLayers()) {
+      this.objectSortManager.insertObject(tileLayer);
+    }
+
+    // Create simple player for testing (without assets)
+    this.player = new Player();
+
+    // Pass device reference to player
+    this.player.device = this.device;
+
+    await this.player.initialize();
+
+    // Spawn entities placed in the map (player start, checkpoints, enemies, camera locks)
+    const start = { x: 160, y: 672 };
+    this.mapLoader.spawnObjects(this.createSpawners(start));
+
+    // Start at the last checkpoint reached before dying
+    const checkpoint = this.sceneManager.getCheckpoint(this.key);
+    this.player.setPosition(checkpoint?.x ?? start.x, checkpoint?.y ?? start.y);
+
+    // Add player to object manager
+    this.objectSortManager.insertObject(this.player);
+
+    this.healthBar = new HealthBar(this.player);
+    this.objectSortManager.insertObject(this.healthBar);
+
+    // Camera follows the player inside the level
+    const { width: levelWidth, height: levelHeight } = this.mapLoader.getPixelSize();
+    this.camera.setBounds(0, 0, levelWidth, levelHeight);
+    this.camera.follow(this.player);
+    this.camera.snapToTarget();
+
+    // Expose player for debugging
+    window.debugPlayer = this.player;
+    console.log('Player exposed as window.debugPlayer for testing');
+
+    // Parallax background, farthest layer first
+    this.background = new ParallaxBackground(this.createBackgroundLayers());
+    await this.background.initialize();
+    this.objectSortManager.insertObject(this.background);
+
+    // Create test text
+    const stageName = this.mapLoader.getProperty('name', this.key);
+    this.testText = new PIXI.Text(`MegaMan X4 - ${stageName}\nUse Arrow Keys, X (Jump), Z (Dash), C (Attack), V (Fire), P (Spawn enemy), Esc (Pause)`, {
+      fontFamily: 'Arial',
+      fontSize: 16,
+      fill: 0xFFFFFF,
+      align: 'center'
+    });
+    this.testText.x = 400;
+    this.testText.y = 30;
+    this.testText.anchor.set(0.5, 0);
+    this.renderManager.addToLayer(this.testText, OBJ_NUM.UI);
+
+    console.log(`Stage scene initialized: ${this.key}`);
+    return true;
+  }
+
+  /**
+   * Spawn the next debug enemy a little ahead of the player (P key)
+   */
+  spawnDebugMonster() {
+    if (!this.player || this.enemyClasses.length === 0) return;
+
+    const EnemyClass = this.enemyClasses[this.debugSpawnCount % this.enemyClasses.length];
+    this.debugSpawnCount++;
+
+    const facing = this.player.getFacing();
+    const x = Math.min(Math.max(this.player.x + facing * 160, 48), this.collisionMap.getPixelWidth() - 48);
+    const groundY = this.collisionManager.findGroundBelow(x, this.player.y - 64) ?? this.player.y;
+
+    // Flyers hover at head height, walkers drop onto the ground
+    const enemy = new EnemyClass(x, groundY);
+    if (enemy.flying) {
+      enemy.setPosition(x, groundY - 96);
+      enemy.spawnPosition.y = groundY - 96;
+    }
+
+    this.objectSortManager.insertObject(enemy);
+    console.log(`Debug spawned ${EnemyClass.name} at (${Math.round(x)}, ${Math.round(enemy.transform.position.y)})`);
+  }
+
+  update(deltaTime) {
+    // The player updates and renders with the other objects in ObjectSortManager
+
+    // Debug: spawn a monster
+    if (this.keyManager.isKeyPressed('P')) {
+      this.spawnDebugMonster();
+    }
+
+    // Pause menu (Esc or Start) freezes the stage until it's closed
+    if (this.keyManager.isActionPressed(ACTION.MENU) && !this.player?.isDead) {
+      this.openPauseMenu().catch(error => console.error('Pause menu failed:', error));
+    }
+    return true;
+  }
+
+  /**
+   * Freeze the stage under the pause menu, pausing the music with it
+   * The music picks up again on Resume, or if the menu failed to open -
+   * a retry leaves the stage and restarts it
+   */
+  async openPauseMenu() {
+    this.soundManager.pauseMusic();
+    await this.sceneManager.pushScene(new PauseMenuScene(this.player));
+    if (!this.sceneManager.isTransitioning()) {
+      this.soundManager.resumeMusic();
+    }
+  }
+
+  render(alpha) {
+    return true;
+  }
+
+  destroy() {
+    // Drop everything the stage spawned (player, checkpoints, effects, UI)
+    this.objectSortManager.clearAllObjects();
+    this.collisionManager.clear();
+    super.destroy();
+  }
+}
@@ -0,0 +1,137 @@
+import * as PIXI from 'pixi.js';
+import { FrontEndScene } from './FrontEndScene.js';
+import { GAME_CONFIG, ACTION } from '../utils/constants.js';
+
+/**
+ * StageSelectScene class - grid of every stage in the scene registry
+ * Arrows move the cursor, confirm starts the stage, cancel returns to the character select
+ */
+export default class StageSelectScene extends FrontEndScene {
+  /**
+   * @param {Object} config - Scene registry entry
+   */
+  constructor(config) {
+    super(config);
+
+    this.columns = 3;
+    this.cellWidth = 200;
+    this.cellHeight = 130;
+    this.cellGap = 24;
+    this.stages = [];
+    this.cells = [];
+    this.cursor = 0;
+    this.stageLabel = null;
+    this.leaving = false;
+  }
+
+  async initialize() {
+    this.createContainer();
+    this.addText('STAGE SELECT', 50, { fontSize: 28, fontWeight: 'bold', fill: 0x66CCFF });
+
+    this.stages = this.sceneManager.getStageConfigs();
+    this.columns = Math.min(this.columns, this.stages.length);
+
+    // Start on the first stage not cleared yet
+    this.cursor = Math.max(0, this.stages.findIndex(stage => !this.sceneManager.isStageCleared(stage.key)));
+
+    const rows = Math.ceil(this.stages.length / this.columns);
+    const gridWidth = this.columns * this.cellWidth + (this.columns - 1) * this.cellGap;
+    const gridHeight = rows * this.cellHeight + (rows - 1) * this.cellGap;
+    const left = (GAME_CONFIG.WINDOW_WIDTH - gridWidth) / 2;
+    const top = 110 + (360 - gridHeight) / 2;
+
+    this.cells = this.stages.map((stage, i) => {
+      const cell = new PIXI.Graphics();
+      cell.x = left + (i % this.columns) * (this.cellWidth + this.cellGap);
+      cell.y = top + Math.floor(i / this.columns) * (this.cellHeight + this.cellGap);
+      this.container.addChild(cell);
+
+      const name = new PIXI.Text(stage.name ?? stage.key, { fontFamily: 'Arial', fontSize: 16, fill: 0xFFFFFF });
+      name.anchor.set(0.5, 1);
+      name.x = cell.x + this.cellWidth / 2;
+      name.y = cell.y + this.cellHeight - 10;
+      this.container.addChild(name);
+
+      if (this.sceneManager.isStageCleared(stage.key)) {
+        const cleared = new PIXI.Text('CLEAR', { fontFamily: 'Arial', fontSize: 14, fontWeight: 'bold', fill: 0xFFDD44 });
+        cleared.anchor.set(0.5, 0.5);
+        cleared.x = name.x;
+        cleared.y = cell.y + 50;
+        this.container.addChild(cleared);
+      }
+
+      return cell;
+    });
+
+    this.stageLabel = this.addText('', 490, { fontSize: 20, fill: 0xFFDD44 });
+    this.addText('Arrows to choose, X/Enter to start, Z/Esc to go back', 540, { fontSize: 12, fill: 0x667788 });
+    this.refresh();
+    return true;
+  }
+
+  /**
+   * Redraw the cells with the selected one highlighted
+   */
+  refresh() {
+    this.cells.forEach((cell, i) => {
+      const stage = this.stages[i];
+      const selected = i === this.cursor;
+
+      cell.clear();
+      cell.beginFill(0x0A1A33, 0.95);
+      cell.lineStyle(selected ? 4 : 2, selected ? 0xFFDD44 : 0x335577);
+      cell.drawRect(0, 0, this.cellWidth, this.cellHeight);
+      cell.endFill();
+
+      // Stage icon placeholder in the stage's color
+      cell.lineStyle(0);
+      cell.beginFill(stage.color ?? 0x666666, selected ? 1 : 0.4);
+      cell.drawRect(this.cellWidth / 2 - 50, 14, 100, 70);
+      cell.endFill();
+    });
+
+    const stage = this.stages[this.cursor];
+    this.stageLabel.text = stage ? (stage.name ?? stage.key).toUpperCase() : '';
+  }
+
+  /**
+   * Move the cursor on the grid, clamped to existing cells
+   * @param {number} dx - Column step
+   * @param {number} dy - Row step
+   */
+  moveCursor(dx, dy) {
+    const column = this.cursor % this.columns + dx;
+    const row = Math.floor(this.cursor / this.columns) + dy;
+    const index = row * this.columns + column;
+
+    if (column < 0 || column >= this.columns || row < 0 || index >= this.stages.length) return;
+
+    this.cursor = index;
+    this.soundManager.playSound('plat', false, 0.3);
+    this.refresh();
+  }
+
+  update(deltaTime) {
+    if (this.leaving || this.stages.length === 0) return true;
+
+    if (this.keyManager.isActionPressed(ACTION.LEFT)) {
+      this.moveCursor(-1, 0);
+    } else if (this.keyManager.isActionPressed(ACTION.RIGHT)) {
+      this.moveCursor(1, 0);
+    } else if (this.keyManager.isActionPressed(ACTION.UP)) {
+      this.moveCursor(0, -1);
+    } else if (this.keyManager.isActionPressed(ACTION.DOWN)) {
+      this.moveCursor(0, 1);
+    }
+
+    if (this.isConfirmPressed()) {
+      this.leaving = true;
+      this.soundManager.playSound('ready', false, 0.4);
+      this.sceneManager.queueSceneTransition(this.stages[this.cursor].key);
+    } else if (this.isBackPressed()) {
+      this.leaving = true;
+      this.sceneManager.queueSceneTransition('CHARACTER_SELECT');
+    }
+    return true;
+  }
+}
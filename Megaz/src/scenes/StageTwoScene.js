@@ -0,0 +1,76 @@
+import * as PIXI from 'pixi.js';
+import { StageScene } from './StageScene.js';
+import { OBJ_NUM } from '../utils/constants.js';
+
+/**
+ * StageTwoScene class - second stage, a fortress interior lined with statues
+ */
+export default class StageTwoScene extends StageScene {
+  /**
+   * Dusk sky behind fortress walls and a row of statues
+   * @returns {Array<Object>} ParallaxBackground layer configs
+   */
+  createBackgroundLayers() {
+    const path = '/assets/textures/backgrounds/';
+
+    return [
+      {
+        // Dusk sky, fixed to the screen
+        sortID: OBJ_NUM.BG,
+        scrollFactor: 0,
+        fallback: () => {
+          const sky = new PIXI.Graphics();
+          const bands = [0x1a0a22, 0x2a1030, 0x44163a, 0x66203a, 0x883030, 0xaa4a2a];
+          bands.forEach((color, i) => {
+            sky.beginFill(color);
+            sky.drawRect(0, i * 100, 64, 100);
+            sky.endFill();
+          });
+          return sky;
+        }
+      },
+      {
+        // Fortress wall
+        sortID: OBJ_NUM.BG2,
+        path: `${path}Wall.png`,
+        scrollFactor: { x: 0.2, y: 0.1 },
+        offset: { x: 0, y: 200 },
+        fallback: () => {
+          const wall = new PIXI.Graphics();
+          wall.beginFill(0x2a1a26);
+          wall.drawRect(0, 40, 192, 360);
+          wall.endFill();
+          // Battlements
+          wall.beginFill(0x2a1a26);
+          for (let x = 0; x < 192; x += 48) {
+            wall.drawRect(x, 0, 28, 40);
+          }
+          wall.endFill();
+          wall.beginFill(0x120a10, 0.8);
+          wall.drawRect(84, 140, 24, 48);
+          wall.endFill();
+          return wall;
+        }
+      },
+      {
+        // Statues along the hall
+        sortID: OBJ_NUM.BG3,
+        path: `${path}Statue.png`,
+        scrollFactor: { x: 0.45, y: 0.3 },
+        offset: { x: 60, y: 300 },
+        fallback: () => {
+          const statue = new PIXI.Graphics();
+          statue.beginFill(0x000000, 0);
+          statue.drawRect(0, 0, 360, 260);
+          statue.endFill();
+          statue.beginFill(0x4a3a48);
+          statue.drawRect(20, 220, 80, 40);
+          statue.drawRect(40, 90, 40, 130);
+          statue.drawCircle(60, 70, 22);
+          statue.endFill();
+          return statue;
+        }
+      }
+    ];
+  }
+}
@@ -0,0 +1,50 @@
+import { FrontEndScene } from './FrontEndScene.js';
+
+/**
+ * TitleScene class - game title with a blinking "PRESS START"
+ * Starting resets the run and goes on to the character select
+ */
+export default class TitleScene extends FrontEndScene {
+  /**
+   * @param {Object} config - Scene registry entry
+   */
+  constructor(config) {
+    super(config);
+
+    this.blinkTime = 0;
+    this.prompt = null;
+    this.started = false;
+  }
+
+  async initialize() {
+    this.createContainer();
+
+    this.addText('MEGAMAN X4', 160, {
+      fontSize: 56,
+      fontWeight: 'bold',
+      fill: 0x66CCFF,
+      stroke: 0x0A1A33,
+      strokeThickness: 6
+    });
+    this.addText('Web Edition', 240, { fontSize: 18, fill: 0xAACCEE });
+
+    this.prompt = this.addText('PRESS START', 380, { fontSize: 22, fill: 0xFFDD44 });
+    this.addText('Enter / X  -  Start button on a gamepad', 560, { fontSize: 12, fill: 0x667788 });
+    return true;
+  }
+
+  update(deltaTime) {
+    this.blinkTime += deltaTime;
+    // Blink faster once started, while the transition fades out
+    const rate = this.started ? 12 : 2;
+    this.prompt.visible = Math.floor(this.blinkTime * rate) % 2 === 0;
+
+    if (!this.started && this.isConfirmPressed()) {
+      this.started = true;
+      this.soundManager.playSound('ready', false, 0.4);
+      this.sceneManager.startNewGame();
+      this.sceneManager.goToNextScene();
+    }
+    return true;
+  }
+}
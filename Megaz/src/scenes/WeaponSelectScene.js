@@ -0,0 +1,47 @@
+import * as PIXI from 'pixi.js';
+import { MenuScene } from './MenuScene.js';
+
+/**
+ * WeaponSelectScene class - picks the special weapon fired with V
+ */
+export default class WeaponSelectScene extends MenuScene {
+  /**
+   * @param {Player} player - Player to equip
+   */
+  constructor(player) {
+    super('WEAPON SELECT', []);
+
+    this.player = player;
+    this.items = player.getWeapons().map((weapon, index) => ({
+      label: weapon.name,
+      color: weapon.shot.color,
+      action: () => this.equip(index)
+    }));
+    this.cursor = player.getWeaponIndex();
+  }
+
+  async initialize() {
+    await super.initialize();
+
+    // Swatch in each weapon's shot color
+    this.itemTexts.forEach((text, i) => {
+      const swatch = new PIXI.Graphics();
+      swatch.beginFill(this.items[i].color);
+      swatch.drawCircle(0, 0, 6);
+      swatch.endFill();
+      swatch.x = text.x + this.panelWidth - 96;
+      swatch.y = text.y + 10;
+      this.container.addChild(swatch);
+    });
+    return true;
+  }
+
+  /**
+   * Equip a weapon and close the screen
+   * @param {number} index - Weapon index
+   */
+  equip(index) {
+    this.player.setWeapon(index);
+    this.sceneManager.popScene(index);
+  }
+}
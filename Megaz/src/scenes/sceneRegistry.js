@@ -0,0 +1,55 @@
+/**
+ * Scene registry - every scene the game can switch to
+ * SceneManager lazy-imports the module, loads its asset bundle and starts its music
+ * (declared per scene key in the manifest "music" section)
+ *
+ *   load    () => import(...) - module whose default export is the Scene class
+ *   bundle  Manifest bundle loaded before the scene initializes (null for none)
+ *   next    Scene to go to when this one is cleared (null for none)
+ *   map     Tiled map for stage scenes
+ *   name    Stage name shown in the stage select (stage scenes only)
+ *   color   Stage select panel color (stage scenes only)
+ */
+export const SCENE_REGISTRY = {
+  STAGE_LOGO: {
+    load: () => import('./LogoScene.js'),
+    bundle: 'logo',
+    next: 'TITLE'
+  },
+  TITLE: {
+    load: () => import('./TitleScene.js'),
+    bundle: 'logo',
+    next: 'CHARACTER_SELECT'
+  },
+  CHARACTER_SELECT: {
+    load: () => import('./CharacterSelectScene.js'),
+    bundle: 'logo',
+    next: 'STAGE_SELECT'
+  },
+  STAGE_SELECT: {
+    load: () => import('./StageSelectScene.js'),
+    bundle: 'logo',
+    next: null
+  },
+  GAME_OVER: {
+    load: () => import('./GameOverScene.js'),
+    bundle: 'logo',
+    next: null
+  },
+  STAGE_ONE: {
+    load: () => import('./StageOneScene.js'),
+    bundle: 'stage_one',
+    next: 'STAGE_SELECT',
+    map: '/assets/maps/stage_one.json',
+    name: 'Sky Lagoon',
+    color: 0x3366CC
+  },
+  STAGE_TWO: {
+    load: () => import('./StageTwoScene.js'),
+    bundle: 'stage_two',
+    next: 'STAGE_SELECT',
+    map: '/assets/maps/stage_two.json',
+    name: 'Fortress Hall',
+    color: 0xCC6633
+  },
+};
@@ -13,6 +13,7 @@ export class AssetLoader {
     this.loadProgress = 0;
     this.totalAssets = 0;
     this.loadedCount = 0;
+    this.loadedBundles = new Set();
     
     this.textureManager = getTextureManager();
     this.soundManager = getSoundManager();
@@ -96,10 +97,13 @@ export class AssetLoader {
       }
     }
 
-    // Count sounds
+    // Count sounds (an audio sprite is one file)
     if (this.manifest.sounds) {
       count += Object.keys(this.manifest.sounds).length;
     }
+    if (this.manifest.audioSprites) {
+      count += Object.keys(this.manifest.audioSprites).length;
+    }
 
     return count;
   }
@@ -177,17 +181,34 @@ export class AssetLoader {
    * @param {Function} progressCallback - Progress callback
    */
   async loadSounds(progressCallback) {
-    if (!this.manifest.sounds) return;
-
-    for (const [soundName, soundData] of Object.entries(this.manifest.sounds)) {
+    for (const [soundName, soundData] of Object.entries(this.manifest.sounds ?? {})) {
       try {
-        await this.soundManager.loadSound(soundData.path, soundName);
+        await this.soundManager.loadSound(soundData.path, soundName, soundData);
         this.updateProgress(progressCallback);
       } catch (error) {
         console.warn(`Failed to load sound: ${soundName}`, error);
         this.updateProgress(progressCallback);
       }
     }
+
+    for (const [spriteName, sprite] of Object.entries(this.manifest.audioSprites ?? {})) {
+      await this.soundManager.loadAudioSprite(spriteName, sprite);
+      this.updateProgress(progressCallback);
+    }
+  }
+
+  /**
+   * Find the audio sprite a sound lives in
+   * Manifest "audioSprites": {name: {path, type, sprites: {soundKey: {offset, duration, ...sound options}}}},
+   * offsets and durations in seconds; sprite sounds are listed in bundles like any other sound
+   * @param {string} soundName - Sound key
+   * @returns {string|null} Sprite name, null if the sound isn't in one
+   */
+  findAudioSprite(soundName) {
+    for (const [spriteName, sprite] of Object.entries(this.manifest.audioSprites ?? {})) {
+      if (sprite.sprites?.[soundName]) return spriteName;
+    }
+    return null;
   }
 
   /**
@@ -255,6 +276,89 @@ export class AssetLoader {
     }
   }
 
+  /**
+   * Load a named bundle from the manifest "bundles" section (textures and sounds one scene needs)
+   * @param {string} bundleName - Bundle name
+   * @param {Function} progressCallback - Called with progress (0-1)
+   * @returns {Promise<boolean>} Success status
+   */
+  async loadBundle(bundleName, progressCallback = null) {
+    if (this.loadedBundles.has(bundleName)) {
+      if (progressCallback) progressCallback(1);
+      return true;
+    }
+
+    if (!this.manifest && !await this.loadManifest()) {
+      return false;
+    }
+
+    const bundle = this.manifest.bundles?.[bundleName];
+    if (!bundle) {
+      console.error(`Bundle not found in manifest: ${bundleName}`);
+      return false;
+    }
+
+    const textures = bundle.textures ?? [];
+    const sounds = bundle.sounds ?? [];
+    const total = textures.length + sounds.length;
+    let loaded = 0;
+    const step = () => {
+      loaded++;
+      if (progressCallback) progressCallback(loaded / total);
+    };
+
+    // Missing files only warn - scenes fall back to placeholder graphics
+    for (const textureName of textures) {
+      const asset = this.findAssetInManifest(textureName);
+      if (asset) {
+        await this.loadTextureItem(textureName, asset, null);
+      } else {
+        console.warn(`Texture not found in manifest: ${textureName}`);
+      }
+      step();
+    }
+
+    for (const soundName of sounds) {
+      if (!this.soundManager.hasSound(soundName)) {
+        const sound = this.manifest.sounds?.[soundName];
+        const spriteName = sound ? null : this.findAudioSprite(soundName);
+        if (sound) {
+          await this.soundManager.loadSound(sound.path, soundName, sound);
+        } else if (spriteName) {
+          // The first sound of a sprite loads the whole file, the rest are already there
+          await this.soundManager.loadAudioSprite(spriteName, this.manifest.audioSprites[spriteName]);
+        } else {
+          console.warn(`Sound not found in manifest: ${soundName}`);
+        }
+      }
+      step();
+    }
+
+    if (total === 0 && progressCallback) progressCallback(1);
+
+    this.loadedBundles.add(bundleName);
+    console.log(`Bundle loaded: ${bundleName}`);
+    return true;
+  }
+
+  /**
+   * Check if a bundle has already been loaded
+   * @param {string} bundleName - Bundle name
+   * @returns {boolean} True if loaded
+   */
+  isBundleLoaded(bundleName) {
+    return this.loadedBundles.has(bundleName);
+  }
+
+  /**
+   * Get the music a scene plays, from the manifest "music" section (scene key -> sound key)
+   * @param {string} sceneKey - Scene key
+   * @returns {string|null} Sound key, or null for silence
+   */
+  getSceneMusic(sceneKey) {
+    return this.manifest?.music?.[sceneKey] ?? null;
+  }
+
   /**
    * Find asset in manifest by name
    * @param {string} assetName - Asset name to find
@@ -0,0 +1,77 @@
+/**
+ * ObjectPool class - recycles short-lived objects instead of allocating new ones
+ * Objects are created by the factory when the pool runs dry
+ */
+export class ObjectPool {
+  /**
+   * @param {Function} factory - Creates a new pooled object
+   * @param {number} initialSize - Objects to create up front
+   */
+  constructor(factory, initialSize = 0) {
+    this.factory = factory;
+    this.free = [];
+    this.freeSet = new Set(); // Guards against releasing the same object twice
+    this.createdCount = 0;
+
+    this.prewarm(initialSize);
+  }
+
+  /**
+   * Create objects ahead of time so the first bursts don't allocate
+   * @param {number} count - Objects to add to the pool
+   */
+  prewarm(count) {
+    for (let i = 0; i < count; i++) {
+      this.release(this.create());
+    }
+  }
+
+  /**
+   * Create a new object through the factory
+   * @returns {Object} New object
+   */
+  create() {
+    const obj = this.factory(this);
+    this.createdCount++;
+    return obj;
+  }
+
+  /**
+   * Take an object from the pool
+   * @returns {Object} Free object (newly created if the pool is empty)
+   */
+  acquire() {
+    const obj = this.free.pop();
+    if (!obj) return this.create();
+
+    this.freeSet.delete(obj);
+    return obj;
+  }
+
+  /**
+   * Return an object to the pool
+   * @param {Object} obj - Object no longer in use
+   */
+  release(obj) {
+    if (!obj || this.freeSet.has(obj)) return;
+
+    this.free.push(obj);
+    this.freeSet.add(obj);
+  }
+
+  /**
+   * Get the number of objects waiting in the pool
+   * @returns {number} Free object count
+   */
+  getFreeCount() {
+    return this.free.length;
+  }
+
+  /**
+   * Get the number of objects currently handed out
+   * @returns {number} Active object count
+   */
+  getActiveCount() {
+    return this.createdCount - this.free.length;
+  }
+}
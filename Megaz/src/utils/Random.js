@@ -0,0 +1,64 @@
+/**
+ * Random class - seedable random numbers for gameplay
+ * Everything the simulation rolls goes through here instead of Math.random(),
+ * so a replay started from the same seed rolls the same numbers
+ */
+export class Random {
+  /**
+   * @param {number} seed - Initial seed (32-bit)
+   */
+  constructor(seed = Date.now()) {
+    this.seed = 0;
+    this.state = 0;
+    this.setSeed(seed);
+  }
+
+  /**
+   * Restart the sequence from a seed
+   * @param {number} seed - Seed (truncated to 32 bits)
+   */
+  setSeed(seed) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  /**
+   * Get the seed the current sequence started from
+   * @returns {number} Seed
+   */
+  getSeed() {
+    return this.seed;
+  }
+
+  /**
+   * Next number in [0, 1) - mulberry32
+   * @returns {number} Random number
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Random number in a range
+   * @param {number} min - Lower bound (inclusive)
+   * @param {number} max - Upper bound (exclusive)
+   * @returns {number} Random number
+   */
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+}
+
+// Singleton instance
+let randomInstance = null;
+
+export const getRandom = () => {
+  if (!randomInstance) {
+    randomInstance = new Random();
+  }
+  return randomInstance;
+};
@@ -0,0 +1,374 @@
+import * as PIXI from 'pixi.js';
+import { CollisionMap } from '../managers/CollisionManager.js';
+import { TileLayer } from '../objects/TileLayer.js';
+import { TILE_TYPE, OBJ_NUM } from '../utils/constants.js';
+
+// Tiled stores flip flags in the top bits of each gid
+const FLIP_HORIZONTAL = 0x80000000;
+const FLIP_VERTICAL = 0x40000000;
+const FLIP_DIAGONAL = 0x20000000;
+const GID_MASK = 0x1FFFFFFF;
+
+// Tileset "collision" property values
+const COLLISION_TYPES = {
+  solid: TILE_TYPE.SOLID,
+  platform: TILE_TYPE.PLATFORM,
+  slope_up: TILE_TYPE.SLOPE_UP,
+  slope_down: TILE_TYPE.SLOPE_DOWN,
+  spike: TILE_TYPE.SPIKE,
+};
+
+/**
+ * TiledMapLoader class - reads maps saved by the Tiled editor in JSON format
+ * Builds the stage collision map and tile layers, and spawns entities from object layers
+ *
+ * Authoring conventions:
+ *   Tileset tiles   "collision" string property (solid, platform, slope_up, slope_down, spike)
+ *   Tile layers     "collision" bool property adds the layer to the collision map,
+ *                   "sortLayer" string property picks the OBJ_NUM layer (default WALL)
+ *   Objects         type (or class in Tiled 1.9+) selects the spawner
+ */
+export class TiledMapLoader {
+  constructor() {
+    this.url = null;
+    this.map = null;
+    this.properties = {};
+    this.tilesets = [];
+    this.tileLayers = [];
+    this.objectLayers = [];
+  }
+
+  /**
+   * Load and parse a Tiled JSON map
+   * @param {string} url - Map file path
+   * @returns {Promise<boolean>} Success status
+   */
+  async loadMap(url) {
+    try {
+      const response = await fetch(url);
+      const json = await response.json();
+      this.parseMap(json, url);
+      console.log(`Tiled map loaded: ${url} (${this.map.width}x${this.map.height} tiles)`);
+      return true;
+    } catch (error) {
+      console.error(`Failed to load Tiled map ${url}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Parse an already loaded Tiled JSON map
+   * @param {Object} json - Map data
+   * @param {string} url - Map path, used to resolve tileset images
+   */
+  parseMap(json, url = '') {
+    if (json.infinite) {
+      throw new Error('Infinite Tiled maps are not supported');
+    }
+
+    this.url = url;
+    this.map = {
+      width: json.width,
+      height: json.height,
+      tileWidth: json.tilewidth,
+      tileHeight: json.tileheight
+    };
+    this.properties = this.parseProperties(json.properties);
+
+    this.tilesets = (json.tilesets ?? [])
+      .map(tileset => this.parseTileset(tileset))
+      .sort((a, b) => a.firstGid - b.firstGid);
+
+    this.tileLayers = [];
+    this.objectLayers = [];
+    this.collectLayers(json.layers ?? []);
+  }
+
+  /**
+   * Sort layers by kind, flattening group layers
+   * @param {Array<Object>} layers - Tiled layers
+   */
+  collectLayers(layers) {
+    for (const layer of layers) {
+      if (layer.type === 'group') {
+        this.collectLayers(layer.layers ?? []);
+      } else if (layer.type === 'tilelayer') {
+        this.tileLayers.push({
+          name: layer.name,
+          visible: layer.visible !== false,
+          opacity: layer.opacity ?? 1,
+          data: layer.data ?? [],
+          properties: this.parseProperties(layer.properties)
+        });
+      } else if (layer.type === 'objectgroup') {
+        this.objectLayers.push({
+          name: layer.name,
+          properties: this.parseProperties(layer.properties),
+          objects: (layer.objects ?? []).map(object => this.parseObject(object))
+        });
+      }
+    }
+  }
+
+  /**
+   * Turn a Tiled property list into a plain object
+   * @param {Array<Object>} properties - [{name, type, value}]
+   * @returns {Object} Property values by name
+   */
+  parseProperties(properties = []) {
+    const result = {};
+    for (const property of properties) {
+      result[property.name] = property.value;
+    }
+    return result;
+  }
+
+  /**
+   * Read an embedded tileset
+   * @param {Object} tileset - Tiled tileset
+   * @returns {Object} Tileset info
+   */
+  parseTileset(tileset) {
+    if (tileset.source) {
+      console.warn(`External tileset ${tileset.source} not supported - embed it in the map`);
+    }
+
+    const tileProperties = new Map();
+    for (const tile of tileset.tiles ?? []) {
+      tileProperties.set(tile.id, this.parseProperties(tile.properties));
+    }
+
+    return {
+      name: tileset.name,
+      firstGid: tileset.firstgid,
+      tileWidth: tileset.tilewidth,
+      tileHeight: tileset.tileheight,
+      tileCount: tileset.tilecount ?? 0,
+      columns: tileset.columns ?? 1,
+      margin: tileset.margin ?? 0,
+      spacing: tileset.spacing ?? 0,
+      image: tileset.image ? this.resolvePath(tileset.image) : null,
+      tileProperties,
+      textures: null
+    };
+  }
+
+  /**
+   * Normalize a Tiled object to bottom-center feet coordinates like GameObject
+   * @param {Object} object - Tiled object
+   * @returns {Object} {id, name, type, x, y, width, height, point, properties}
+   */
+  parseObject(object) {
+    const width = object.width ?? 0;
+    const height = object.height ?? 0;
+    // Tile objects are anchored bottom-left in Tiled, everything else top-left
+    const bottom = object.gid ? object.y : object.y + height;
+
+    return {
+      id: object.id,
+      name: object.name ?? '',
+      type: object.type || object.class || '',
+      x: object.x + width / 2,
+      y: bottom,
+      width,
+      height,
+      point: !!object.point,
+      properties: this.parseProperties(object.properties)
+    };
+  }
+
+  /**
+   * Resolve a path relative to the map file
+   * @param {string} path - Path as written in the map
+   * @returns {string} Path from the site root
+   */
+  resolvePath(path) {
+    if (path.startsWith('/') || !this.url) return path;
+
+    const parts = this.url.split('/').slice(0, -1);
+    for (const part of path.split('/')) {
+      if (part === '..') {
+        parts.pop();
+      } else if (part !== '.') {
+        parts.push(part);
+      }
+    }
+    return parts.join('/');
+  }
+
+  /**
+   * Split a raw gid into tile id and flip flags
+   * @param {number} rawGid - Gid from layer data
+   * @returns {Object|null} {gid, tileset, localId, flipX, flipY, diagonal} or null for empty
+   */
+  getTileInfo(rawGid) {
+    const gid = rawGid & GID_MASK;
+    if (gid === 0) return null;
+
+    let tileset = null;
+    for (const candidate of this.tilesets) {
+      if (candidate.firstGid <= gid) tileset = candidate;
+    }
+    if (!tileset) return null;
+
+    return {
+      gid,
+      tileset,
+      localId: gid - tileset.firstGid,
+      flipX: (rawGid & FLIP_HORIZONTAL) !== 0,
+      flipY: (rawGid & FLIP_VERTICAL) !== 0,
+      diagonal: (rawGid & FLIP_DIAGONAL) !== 0
+    };
+  }
+
+  /**
+   * Get the custom properties of a tile
+   * @param {number} rawGid - Gid from layer data
+   * @returns {Object} Tile properties (empty if none)
+   */
+  getTileProperties(rawGid) {
+    const info = this.getTileInfo(rawGid);
+    return info?.tileset.tileProperties.get(info.localId) ?? {};
+  }
+
+  /**
+   * Get the collision type of a tile
+   * @param {number} rawGid - Gid from layer data
+   * @returns {number} TILE_TYPE value
+   */
+  getTileType(rawGid) {
+    const collision = this.getTileProperties(rawGid).collision;
+    return COLLISION_TYPES[collision] ?? TILE_TYPE.EMPTY;
+  }
+
+  /**
+   * Load tileset images and cut them into tile textures
+   * Missing images are left null - TileLayer draws placeholders instead
+   * @returns {Promise<boolean>} Success status
+   */
+  async loadTilesetTextures() {
+    for (const tileset of this.tilesets) {
+      if (!tileset.image || tileset.textures) continue;
+
+      try {
+        const texture = await PIXI.Assets.load(tileset.image);
+        if (!texture) continue;
+
+        tileset.textures = [];
+        const rows = Math.ceil(tileset.tileCount / tileset.columns);
+        for (let i = 0; i < tileset.columns * rows; i++) {
+          const col = i % tileset.columns;
+          const row = Math.floor(i / tileset.columns);
+          const frame = new PIXI.Rectangle(
+            tileset.margin + col * (tileset.tileWidth + tileset.spacing),
+            tileset.margin + row * (tileset.tileHeight + tileset.spacing),
+            tileset.tileWidth,
+            tileset.tileHeight
+          );
+          tileset.textures.push(new PIXI.Texture(texture.baseTexture, frame));
+        }
+      } catch (error) {
+        console.warn(`Could not load tileset image: ${tileset.image}`);
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Get the texture for a tile
+   * @param {number} rawGid - Gid from layer data
+   * @returns {PIXI.Texture|null} Tile texture or null if the image is missing
+   */
+  getTileTexture(rawGid) {
+    const info = this.getTileInfo(rawGid);
+    return info?.tileset.textures?.[info.localId] ?? null;
+  }
+
+  /**
+   * Build the stage collision from every layer marked with the "collision" property
+   * @returns {CollisionMap} Collision map
+   */
+  buildCollisionMap() {
+    const collisionMap = new CollisionMap(this.map.width, this.map.height, this.map.tileWidth);
+
+    for (const layer of this.tileLayers) {
+      if (!layer.properties.collision) continue;
+
+      layer.data.forEach((rawGid, index) => {
+        const type = this.getTileType(rawGid);
+        if (type !== TILE_TYPE.EMPTY) {
+          collisionMap.setTile(index % this.map.width, Math.floor(index / this.map.width), type);
+        }
+      });
+    }
+
+    return collisionMap;
+  }
+
+  /**
+   * Create one TileLayer object per visible tile layer
+   * @returns {Promise<Array<TileLayer>>} Tile layers, ready for ObjectSortManager
+   */
+  async buildLayers() {
+    await this.loadTilesetTextures();
+
+    return this.tileLayers
+      .filter(layer => layer.visible)
+      .map(layer => new TileLayer(this, layer, OBJ_NUM[layer.properties.sortLayer] ?? OBJ_NUM.WALL));
+  }
+
+  /**
+   * Spawn objects from the object layers
+   * @param {Object} spawners - Type name to function(object) returning a GameObject (or nothing)
+   * @returns {Array<GameObject>} Spawned objects
+   */
+  spawnObjects(spawners) {
+    const spawned = [];
+
+    for (const layer of this.objectLayers) {
+      for (const object of layer.objects) {
+        const spawner = spawners[object.type];
+        if (!spawner) {
+          console.warn(`No spawner for Tiled object type "${object.type}" (${layer.name}#${object.id})`);
+          continue;
+        }
+
+        const result = spawner(object);
+        if (result) spawned.push(result);
+      }
+    }
+
+    return spawned;
+  }
+
+  /**
+   * Find objects of one type
+   * @param {string} type - Object type
+   * @returns {Array<Object>} Matching objects
+   */
+  getObjectsByType(type) {
+    return this.objectLayers.flatMap(layer => layer.objects.filter(object => object.type === type));
+  }
+
+  /**
+   * Get a map property
+   * @param {string} name - Property name
+   * @param {*} defaultValue - Returned when the property is missing
+   * @returns {*} Property value
+   */
+  getProperty(name, defaultValue = null) {
+    return this.properties[name] ?? defaultValue;
+  }
+
+  /**
+   * Get map size in pixels
+   * @returns {Object} {width, height}
+   */
+  getPixelSize() {
+    return {
+      width: this.map.width * this.map.tileWidth,
+      height: this.map.height * this.map.tileHeight
+    };
+  }
+}
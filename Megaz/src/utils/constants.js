@@ -4,6 +4,11 @@ export const GAME_CONFIG = {
   WINDOW_HEIGHT: 600,
   TARGET_FPS: 60,
   FRAME_TIME: 16, // 60 FPS = 16ms per frame
+  FIXED_TIMESTEP: 1 / 60, // Logic tick length in seconds (60 Hz simulation)
+  MAX_SUB_STEPS: 5, // Max catch-up ticks per rendered frame
+  TILE_SIZE: 32, // Stage collision tile size in pixels
+  PLAYER_LIVES: 2, // Extra lives before game over
+  MAX_LIVES: 9, // Cap for 1UP pickups
 };
 
 // Direction enum (from C++ Enum.h)
@@ -19,6 +24,32 @@ export const FIELD = {
   STAGE_LOGO: 0,
   STAGE_ONE: 1,
   STAGE_TWO: 2,
+  TITLE: 3,
+  CHARACTER_SELECT: 4,
+  STAGE_SELECT: 5,
+  GAME_OVER: 6,
+};
+
+// Semantic input actions (KeyManager maps them onto key names)
+export const ACTION = {
+  JUMP: 'JUMP',
+  DASH: 'DASH',
+  ATTACK: 'ATTACK',
+  SPECIAL: 'SPECIAL',
+  MENU: 'MENU',
+  // Menu navigation
+  CONFIRM: 'CONFIRM',
+  BACK: 'BACK',
+  UP: 'UP',
+  DOWN: 'DOWN',
+  LEFT: 'LEFT',
+  RIGHT: 'RIGHT',
+};
+
+// Playable characters
+export const CHARACTER = {
+  X: 'X',
+  ZERO: 'ZERO',
 };
 
 // Object layer numbers for sorting
@@ -31,7 +62,9 @@ export const OBJ_NUM = {
   PLATFORM: 5,    // Platforms
   MONSTER: 6,     // Monsters
   PLAYER: 7,      // Player
-  UI: 8,          // UI elements
+  PROJECTILE: 8,  // Shots from the player and enemies
+  EFFECT: 9,      // Explosions and other effects
+  UI: 10,         // UI elements
 };
 
 // Sound indices
@@ -52,6 +85,13 @@ export const SOUND_INDEX = {
   DESTROY: 13,
 };
 
+// Mixer buses - a sound's bus comes from its manifest "type"
+export const SOUND_BUS = {
+  MUSIC: 'music',
+  SFX: 'sfx',
+  VOICE: 'voice',
+};
+
 // Player status enum
 export const STATUS = {
   ATTACKED: 0,
@@ -78,6 +118,30 @@ export const POS_STATION = {
   ATTACH_WALL: 2,
 };
 
+// Stage collision tile types
+export const TILE_TYPE = {
+  EMPTY: 0,
+  SOLID: 1,
+  PLATFORM: 2,    // One-way, only solid from above
+  SLOPE_UP: 3,    // Rises to the right ( / )
+  SLOPE_DOWN: 4,  // Falls to the right ( \ )
+  SPIKE: 5,       // Solid and deadly on touch
+};
+
+// Combat teams - hitboxes only hurt objects on a different team
+export const TEAM = {
+  NEUTRAL: 0,
+  PLAYER: 1,
+  ENEMY: 2,
+};
+
+// Items dropped by defeated enemies
+export const PICKUP_TYPE = {
+  HEALTH_SMALL: 0,
+  HEALTH_LARGE: 1,
+  LIFE_UP: 2,
+};
+
 // Render types
 export const RENDER_TYPE = {
   STRAIGHT: 0,
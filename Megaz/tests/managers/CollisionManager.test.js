@@ -0,0 +1,84 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { CollisionManager, CollisionMap } from '../../src/managers/CollisionManager.js';
+
+// 32px tiles: floor on row 5, a wall at column 6, a platform and a spike pit
+const ROWS = [
+  '..........',
+  '..........',
+  '..........',
+  '..===.....',
+  '......#...',
+  '#######.^#',
+];
+
+const BODY = { width: 20, height: 40 };
+
+describe('CollisionManager.moveBody', () => {
+  let collisionManager;
+
+  beforeEach(() => {
+    collisionManager = new CollisionManager();
+    collisionManager.setMap(CollisionMap.fromRows(ROWS));
+  });
+
+  const body = (x, y) => ({ x, y, ...BODY });
+
+  it('moves freely without a map', () => {
+    collisionManager.setMap(null);
+    const result = collisionManager.moveBody(body(50, 50), 10, 20);
+    expect(result).toMatchObject({ x: 60, y: 70 });
+    expect(result.contacts.ground).toBe(false);
+  });
+
+  it('lands on the floor', () => {
+    const result = collisionManager.moveBody(body(48, 150), 0, 30);
+    expect(result.y).toBe(160);
+    expect(result.contacts.ground).toBe(true);
+  });
+
+  it('stays on the ground when standing still', () => {
+    const result = collisionManager.moveBody(body(48, 160), 0, 0, { grounded: true });
+    expect(result.y).toBe(160);
+    expect(result.contacts.ground).toBe(true);
+  });
+
+  it('stops at a wall on either side', () => {
+    const right = collisionManager.moveBody(body(170, 160), 20, 0, { grounded: true });
+    expect(right.x).toBe(182);
+    expect(right.contacts.wallRight).toBe(true);
+
+    const left = collisionManager.moveBody(body(240, 160), -30, 0, { grounded: true });
+    expect(left.x).toBe(234);
+    expect(left.contacts.wallLeft).toBe(true);
+  });
+
+  it('stops the head at a ceiling', () => {
+    collisionManager.setMap(CollisionMap.fromRows(['####', '....', '....', '....', '####']));
+    const result = collisionManager.moveBody(body(48, 100), 0, -50);
+    expect(result.y).toBe(72);
+    expect(result.contacts.ceiling).toBe(true);
+  });
+
+  it('lets one-way platforms be jumped through and landed on', () => {
+    const up = collisionManager.moveBody(body(96, 140), 0, -40);
+    expect(up.y).toBe(100);
+    expect(up.contacts.ceiling).toBe(false);
+
+    const down = collisionManager.moveBody(body(96, 90), 0, 20);
+    expect(down.y).toBe(96);
+    expect(down.contacts.ground).toBe(true);
+    expect(down.contacts.platform).toBe(true);
+  });
+
+  it('flags spikes as a hazard', () => {
+    const result = collisionManager.moveBody(body(272, 150), 0, 30);
+    expect(result.y).toBe(160);
+    expect(result.contacts.hazard).toBe(true);
+  });
+
+  it('flags falling out of the bottom of the map', () => {
+    const result = collisionManager.moveBody(body(240, 230), 0, 50);
+    expect(result.contacts.ground).toBe(false);
+    expect(result.contacts.outOfBounds).toBe(true);
+  });
+});
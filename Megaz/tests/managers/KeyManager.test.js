@@ -0,0 +1,260 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { KeyManager } from '../../src/managers/KeyManager.js';
+import { VirtualSource } from '../../src/managers/InputSource.js';
+import { ACTION } from '../../src/utils/constants.js';
+
+const TICK = 1 / 60;
+
+describe('KeyManager', () => {
+  let keyManager;
+  let listeners;
+
+  const keyEvent = (code) => ({ code, repeat: false, preventDefault() {} });
+  const keyDown = (code) => listeners.keydown(keyEvent(code));
+  const keyUp = (code) => listeners.keyup(keyEvent(code));
+  const gamepads = [];
+  const plugGamepad = () => {
+    gamepads[0] = { index: 0, id: 'pad', connected: true, buttons: [], axes: [] };
+    keyManager.addGamepad(0);
+  };
+
+  beforeEach(() => {
+    listeners = {};
+    vi.stubGlobal('window', { addEventListener: (type, listener) => { listeners[type] = listener; } });
+    gamepads.length = 0;
+    vi.stubGlobal('navigator', { getGamepads: () => gamepads });
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+
+    keyManager = new KeyManager();
+    keyManager.init();
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  describe('key edges', () => {
+    it('reports a keyboard press on the first tick after the keydown, once', () => {
+      keyManager.update(TICK);
+      keyDown('KeyC');
+      keyManager.update(TICK);
+
+      expect(keyManager.isKeyPressed('C')).toBe(true);
+      expect(keyManager.isKeyDown('C')).toBe(true);
+
+      keyManager.update(TICK);
+      expect(keyManager.isKeyPressed('C')).toBe(false);
+      expect(keyManager.isKeyDown('C')).toBe(true);
+    });
+
+    it('reports a release on the tick after the keyup', () => {
+      keyDown('KeyX');
+      keyManager.update(TICK);
+      keyUp('KeyX');
+      keyManager.update(TICK);
+
+      expect(keyManager.isKeyReleased('X')).toBe(true);
+      expect(keyManager.isKeyUp('X')).toBe(true);
+
+      keyManager.update(TICK);
+      expect(keyManager.isKeyReleased('X')).toBe(false);
+    });
+
+    it('keeps a tick consistent while keys change between reads', () => {
+      keyManager.update(TICK);
+      keyDown('KeyZ');
+
+      // Not visible until the next tick starts
+      expect(keyManager.isKeyDown('Z')).toBe(false);
+      keyManager.update(TICK);
+      expect(keyManager.isKeyPressed('Z')).toBe(true);
+    });
+
+    it('hides input while blocked without turning held keys into fresh presses', () => {
+      keyDown('KeyC');
+      keyManager.setInputBlocked(true);
+      keyManager.update(TICK);
+      expect(keyManager.isKeyDown('C')).toBe(false);
+      expect(keyManager.isKeyPressed('C')).toBe(false);
+
+      keyManager.update(TICK);
+      keyManager.setInputBlocked(false);
+      expect(keyManager.isKeyDown('C')).toBe(true);
+      expect(keyManager.isKeyPressed('C')).toBe(false);
+    });
+  });
+
+  describe('sources', () => {
+    it('holds a key while any of the player\'s sources holds it', () => {
+      const touch = new VirtualSource('touch');
+      keyManager.addSource(touch, 0);
+
+      keyDown('ArrowLeft');
+      touch.press('LEFT');
+      keyManager.update(TICK);
+      keyUp('ArrowLeft');
+      keyManager.update(TICK);
+      expect(keyManager.isKeyDown('LEFT')).toBe(true);
+
+      touch.release('LEFT');
+      keyManager.update(TICK);
+      expect(keyManager.isKeyReleased('LEFT')).toBe(true);
+    });
+
+    it('reads each player from their own sources', () => {
+      const pad = new VirtualSource('pad');
+      keyManager.setPlayerCount(2);
+      keyManager.addSource(pad, 1);
+
+      pad.press('X');
+      keyManager.update(TICK);
+      expect(keyManager.isKeyDown('X', 0)).toBe(false);
+      expect(keyManager.isKeyPressed('X', 1)).toBe(true);
+
+      keyManager.assignSource('pad', 0);
+      keyManager.update(TICK);
+      expect(keyManager.isKeyDown('X', 0)).toBe(true);
+      expect(keyManager.isKeyReleased('X', 1)).toBe(true);
+    });
+
+    it('keeps player 1\'s last keyboard or gamepad with them', () => {
+      keyManager.setPlayerCount(2);
+      keyManager.addSource(new VirtualSource('touch'), 0);
+      expect(keyManager.assignSource('keyboard', 1)).toBe(false);
+      expect(keyManager.getSourcePlayer('keyboard')).toBe(0);
+
+      plugGamepad();
+      expect(keyManager.assignSource('keyboard', 1)).toBe(true);
+      expect(keyManager.assignSource('gamepad:0', 1)).toBe(false);
+    });
+
+    it('gives the keyboard back to player 1 when their last gamepad goes', () => {
+      keyManager.setPlayerCount(2);
+      plugGamepad();
+      keyManager.assignSource('keyboard', 1);
+
+      gamepads.length = 0;
+      keyManager.update(TICK);
+      expect(keyManager.getSourcePlayer('keyboard')).toBe(0);
+    });
+  });
+
+  describe('bindings per player', () => {
+    it('reads the keyboard through the bindings of the player it belongs to', () => {
+      keyManager.setPlayerCount(2);
+      keyManager.bind('X', 'KeyJ', 'keyboard', 1);
+
+      keyDown('KeyJ');
+      keyManager.update(TICK);
+      expect(keyManager.isKeyDown('X', 0)).toBe(false);
+      keyUp('KeyJ');
+
+      plugGamepad();
+      keyManager.assignSource('keyboard', 1);
+      keyDown('KeyJ');
+      keyManager.update(TICK);
+      expect(keyManager.isKeyPressed('X', 1)).toBe(true);
+    });
+
+    it('switches one player\'s profile without touching the others', () => {
+      keyManager.setPlayerCount(2);
+      keyManager.setDeadzone(0.5, 0);
+      keyManager.loadProfile('Player 3', 1);
+
+      expect(keyManager.getProfile(0)).toBe('Player 1');
+      expect(keyManager.getProfile(1)).toBe('Player 3');
+      expect(keyManager.getDeadzone(0)).toBe(0.5);
+      expect(keyManager.getDeadzone(1)).toBe(0.3);
+    });
+  });
+
+  describe('actions', () => {
+    it('tracks press, hold time and release', () => {
+      keyDown('KeyX');
+      keyManager.update(TICK);
+      expect(keyManager.isActionPressed(ACTION.JUMP)).toBe(true);
+
+      keyManager.update(TICK);
+      keyManager.update(TICK);
+      expect(keyManager.isActionDown(ACTION.JUMP)).toBe(true);
+      expect(keyManager.getActionHeldTime(ACTION.JUMP)).toBeCloseTo(2 * TICK);
+
+      keyUp('KeyX');
+      keyManager.update(TICK);
+      expect(keyManager.isActionReleased(ACTION.JUMP)).toBe(true);
+      expect(keyManager.getActionHeldTime(ACTION.JUMP)).toBe(0);
+    });
+
+    it('buffers a press until it is consumed, once', () => {
+      keyDown('KeyC');
+      keyManager.update(TICK);
+      keyUp('KeyC');
+      keyManager.update(TICK);
+      keyManager.update(TICK);
+
+      expect(keyManager.isActionBuffered(ACTION.ATTACK)).toBe(true);
+      expect(keyManager.consumeAction(ACTION.ATTACK)).toBe(true);
+      expect(keyManager.consumeAction(ACTION.ATTACK)).toBe(false);
+    });
+
+    it('drops a buffered press once its window runs out', () => {
+      keyManager.setBufferWindow(0.05, ACTION.DASH);
+      keyDown('KeyZ');
+      keyManager.update(TICK);
+
+      for (let i = 0; i < 4; i++) {
+        keyManager.update(TICK);
+      }
+      expect(keyManager.isActionBuffered(ACTION.DASH)).toBe(false);
+      expect(keyManager.consumeAction(ACTION.DASH)).toBe(false);
+    });
+
+    it('clears buffered presses on request', () => {
+      keyDown('KeyV');
+      keyManager.update(TICK);
+      keyManager.clearActionBuffer();
+      expect(keyManager.isActionBuffered(ACTION.SPECIAL)).toBe(false);
+    });
+
+    it('reads menu navigation through the rebound keys', () => {
+      keyManager.bind('X', 'KeyJ');
+      keyManager.bind('DOWN', 'KeyS');
+
+      keyDown('KeyJ');
+      keyDown('KeyS');
+      keyManager.update(TICK);
+      expect(keyManager.isActionPressed(ACTION.CONFIRM)).toBe(true);
+      expect(keyManager.isActionPressed(ACTION.DOWN)).toBe(true);
+      expect(keyManager.isActionPressed(ACTION.BACK)).toBe(false);
+    });
+  });
+
+  describe('snapshots and overrides', () => {
+    it('restores key and action state from a snapshot', () => {
+      keyDown('KeyX');
+      keyManager.update(TICK);
+      const snapshot = keyManager.getInputSnapshot();
+
+      keyUp('KeyX');
+      keyManager.update(TICK);
+      keyManager.update(TICK);
+      keyManager.restoreInputSnapshot(snapshot);
+
+      expect(keyManager.isKeyDown('X')).toBe(true);
+      expect(keyManager.isActionDown(ACTION.JUMP)).toBe(true);
+      expect(keyManager.isActionBuffered(ACTION.JUMP)).toBe(true);
+    });
+
+    it('reads the override instead of the devices', () => {
+      keyDown('ArrowRight');
+      keyManager.setInputOverride(() => ['LEFT']);
+      keyManager.update(TICK);
+      expect(keyManager.getPressedKeys()).toEqual(['LEFT']);
+
+      keyManager.setInputOverride(null);
+      keyManager.update(TICK);
+      expect(keyManager.getPressedKeys()).toEqual(['RIGHT']);
+    });
+  });
+});
@@ -0,0 +1,222 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { ReplayManager } from '../../src/managers/ReplayManager.js';
+import { KeyManager } from '../../src/managers/KeyManager.js';
+import { getRandom } from '../../src/utils/Random.js';
+import { ACTION } from '../../src/utils/constants.js';
+
+const TICK = 1 / 60;
+
+// Keys held on each live tick of the recorded run: [fromTick, toTick, keys]
+const SCRIPT = [
+  [5, 40, ['RIGHT']],
+  [12, 14, ['X']],
+  [20, 21, ['X']],
+  [45, 70, ['LEFT', 'C']],
+  [60, 61, ['X']],
+];
+
+/**
+ * Stand-in for SceneManager - scene transitions finish when the test says so
+ */
+class FakeSceneManager {
+  constructor() {
+    this.scene = { player: null };
+    this.transitioning = false;
+    this.onTransitionDone = null;
+  }
+
+  getCurrentSceneKey() { return 'STAGE_ONE'; }
+  getSceneConfig() { return {}; }
+  getCharacter() { return 'X'; }
+  setCharacter() {}
+  resetProgress() {}
+  getCurrentScene() { return this.scene; }
+  isTransitioning() { return this.transitioning; }
+
+  queueSceneTransition(sceneKey, onDone) {
+    this.transitioning = true;
+    this.onTransitionDone = onDone;
+  }
+
+  finishTransition() {
+    this.transitioning = false;
+    this.scene.player = { x: 100, y: 200, hp: 32 };
+    this.onTransitionDone?.(true);
+    this.onTransitionDone = null;
+  }
+}
+
+describe('ReplayManager', () => {
+  let keyManager;
+  let sceneManager;
+  let replay;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+
+    keyManager = new KeyManager();
+    keyManager.initialized = true;
+    sceneManager = new FakeSceneManager();
+
+    replay = new ReplayManager();
+    replay.keyManager = keyManager;
+    replay.sceneManager = sceneManager;
+    replay.renderManager = { getControlsContainer: () => null };
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  /**
+   * One logic tick the way MainGame runs it, with a stand-in for the stage
+   * Moves with LEFT/RIGHT, and every jump costs a random amount of HP
+   */
+  const tick = () => {
+    replay.beginTick();
+    keyManager.update(TICK);
+    replay.endTick();
+
+    const player = sceneManager.scene.player;
+    if (sceneManager.transitioning || !player) return;
+
+    if (keyManager.isKeyDown('RIGHT')) player.x += 1.5;
+    if (keyManager.isKeyDown('LEFT')) player.x -= 1.25;
+    if (keyManager.isActionPressed(ACTION.JUMP)) player.hp -= 1 + Math.floor(getRandom().next() * 4);
+    if (keyManager.isKeyPressed('C')) player.y += getRandom().range(0, 1);
+  };
+
+  /**
+   * Hold the scripted keys for the next live tick
+   */
+  const holdScriptedKeys = () => {
+    const liveTick = replay.tickCount;
+    keyManager.keyboard.releaseAll();
+    for (const [from, to, keys] of SCRIPT) {
+      if (liveTick >= from && liveTick < to) {
+        keys.forEach(key => keyManager.keyboard.press(key));
+      }
+    }
+  };
+
+  /**
+   * Sit through a scene transition lasting some ticks
+   * @param {number} ticks - Transition length
+   */
+  const runTransition = (ticks) => {
+    sceneManager.transitioning = true;
+    for (let i = 0; i < ticks; i++) tick();
+    sceneManager.transitioning = false;
+  };
+
+  const record = () => {
+    replay.startRecording();
+    tick();
+    tick();
+    sceneManager.finishTransition();
+
+    while (replay.tickCount < 80) {
+      if (replay.tickCount === 50) runTransition(3);
+      holdScriptedKeys();
+      tick();
+    }
+    return replay.stopRecording();
+  };
+
+  it('stores held keys per tick as runs, with a snapshot at each live stretch', () => {
+    const recording = record();
+    const runs = recording.events.filter(event => event.keys);
+
+    expect(recording.events[0].snapshot).toBeDefined();
+    expect(recording.events.filter(event => event.snapshot)).toHaveLength(2);
+    expect(runs.reduce((total, event) => total + event.ticks, 0)).toBe(80);
+
+    // Neighbouring runs only split where the keys change
+    for (let i = 1; i < recording.events.length; i++) {
+      const previous = recording.events[i - 1];
+      const event = recording.events[i];
+      if (previous.keys && event.keys) {
+        expect(event.keys).not.toEqual(previous.keys);
+      }
+    }
+    expect(runs.length).toBeLessThan(20);
+    expect(runs[0]).toEqual({ ticks: 5, keys: [[]] });
+    expect(runs[1]).toEqual({ ticks: 7, keys: [['RIGHT']] });
+    expect(runs[2]).toEqual({ ticks: 2, keys: [['RIGHT', 'X']] });
+  });
+
+  it('plays a recording back to the same result, whatever the devices hold', () => {
+    const recording = record();
+    expect(recording.result).toEqual({ ticks: 80, player: expect.any(Object) });
+
+    // Something else held on the keyboard, and a longer transition this time
+    keyManager.keyboard.releaseAll();
+    keyManager.keyboard.press('RIGHT');
+    keyManager.keyboard.press('X');
+    getRandom().setSeed(1);
+
+    let endResult = null;
+    const onEnd = vi.fn(() => { endResult = replay.getResult(); });
+    expect(replay.startPlayback(JSON.parse(JSON.stringify(recording)), onEnd)).toBe(true);
+    for (let i = 0; i < 5; i++) tick();
+    sceneManager.finishTransition();
+
+    for (let i = 0; i < 200 && replay.isPlaying(); i++) {
+      if (replay.tickCount === 50 && !sceneManager.transitioning && replay.live) runTransition(7);
+      tick();
+    }
+
+    expect(replay.isPlaying()).toBe(false);
+    expect(onEnd).toHaveBeenCalledWith(true);
+    expect(endResult).toEqual(recording.result);
+  });
+
+  it('plays back a recording saved to a file and loaded again', async () => {
+    const recording = record();
+
+    let saved = null;
+    let fileName = null;
+    vi.stubGlobal('URL', { createObjectURL: (blob) => { saved = blob; return 'blob:replay'; }, revokeObjectURL() {} });
+    vi.stubGlobal('document', { createElement: () => ({ click() { fileName = this.download; } }) });
+    expect(replay.downloadRecording()).toBe(true);
+    expect(fileName).toMatch(/^megaz-replay-stage_one-.*\.json$/);
+
+    const file = new File([await saved.text()], fileName, { type: 'application/json' });
+    expect(await replay.loadReplayFile(file)).toBe(true);
+    // A replay opened from a file has no end callback, so hook one in to watch for the end
+    const onEnd = vi.fn();
+    replay.onPlaybackEnd = onEnd;
+
+    sceneManager.finishTransition();
+    for (let i = 0; i < 200 && replay.isPlaying(); i++) {
+      if (replay.tickCount === 50 && replay.live) runTransition(3);
+      tick();
+    }
+
+    expect(onEnd).toHaveBeenCalledWith(true);
+    expect(replay.getResult()).toEqual(recording.result);
+  });
+
+  it('reports a playback that diverges from the recording', () => {
+    const recording = record();
+    recording.result.player.x += 10;
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const onEnd = vi.fn();
+    replay.startPlayback(recording, onEnd);
+    sceneManager.finishTransition();
+    for (let i = 0; i < 200 && replay.isPlaying(); i++) {
+      if (replay.tickCount === 50 && replay.live) runTransition(3);
+      tick();
+    }
+
+    expect(onEnd).toHaveBeenCalledWith(false);
+  });
+
+  it('refuses replays from another version', () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(replay.startPlayback({ version: 0, events: [] })).toBe(false);
+    expect(replay.isPlaying()).toBe(false);
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { Scene, SceneManager } from '../../src/managers/SceneManager.js';
+
+/**
+ * Overlay whose initialize() finishes when the test says so
+ */
+class SlowScene extends Scene {
+  constructor() {
+    super();
+    this.updates = 0;
+    this.destroyed = false;
+    this.finishInitialize = null;
+  }
+
+  initialize() {
+    return new Promise(resolve => { this.finishInitialize = resolve; });
+  }
+
+  update() {
+    this.updates++;
+    return true;
+  }
+
+  render() {
+    return true;
+  }
+
+  destroy() {
+    this.destroyed = true;
+  }
+}
+
+describe('SceneManager.pushScene', () => {
+  let sceneManager;
+  let stage;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    sceneManager = new SceneManager();
+    stage = new SlowScene();
+    sceneManager.currentScene = stage;
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('freezes the world on the tick the overlay is pushed', async () => {
+    const overlay = new SlowScene();
+    sceneManager.pushScene(overlay);
+
+    expect(sceneManager.isWorldFrozen()).toBe(true);
+    sceneManager.update(1 / 60);
+    expect(stage.updates).toBe(0);
+    expect(overlay.updates).toBe(0);
+
+    overlay.finishInitialize(true);
+    await Promise.resolve();
+    sceneManager.update(1 / 60);
+    expect(overlay.updates).toBe(1);
+    expect(stage.updates).toBe(0);
+  });
+
+  it('resolves with the value the overlay is popped with', async () => {
+    const overlay = new SlowScene();
+    const closed = sceneManager.pushScene(overlay);
+    overlay.finishInitialize(true);
+    await Promise.resolve();
+
+    sceneManager.popScene('resume');
+    await expect(closed).resolves.toBe('resume');
+    expect(overlay.destroyed).toBe(true);
+    expect(sceneManager.isWorldFrozen()).toBe(false);
+  });
+
+  it('drops an overlay that fails to initialize and unfreezes the world', async () => {
+    const overlay = new SlowScene();
+    const closed = sceneManager.pushScene(overlay);
+    overlay.finishInitialize(false);
+
+    await expect(closed).resolves.toBe(null);
+    expect(overlay.destroyed).toBe(true);
+    expect(sceneManager.getTopScene()).toBe(null);
+    expect(sceneManager.isWorldFrozen()).toBe(false);
+  });
+});
@@ -0,0 +1,128 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { SoundManager } from '../../src/managers/SoundManager.js';
+import { SOUND_BUS } from '../../src/utils/constants.js';
+
+describe('SoundManager.reserveVoice', () => {
+  let soundManager;
+
+  // A playing voice as playSound would have registered it
+  const play = (key, priority = 1) => {
+    const voice = {
+      key,
+      priority,
+      stopped: false,
+      gainNode: { gain: { setTargetAtTime() {} } },
+      source: { stop() { voice.stopped = true; } }
+    };
+    soundManager.voices.push(voice);
+    soundManager.lastPlayed.set(key, soundManager.audioContext.currentTime);
+    return voice;
+  };
+
+  beforeEach(() => {
+    soundManager = new SoundManager();
+    soundManager.audioContext = { currentTime: 10 };
+  });
+
+  it('skips a sound inside its cooldown', () => {
+    play('jump');
+    expect(soundManager.reserveVoice('jump', { cooldown: 0.1 }, 1)).toBe(false);
+
+    soundManager.audioContext.currentTime += 0.15;
+    expect(soundManager.reserveVoice('jump', { cooldown: 0.1 }, 1)).toBe(true);
+  });
+
+  it('steals the oldest voice of a sound at its own limit', () => {
+    const first = play('lazer');
+    soundManager.audioContext.currentTime += 1;
+    const second = play('lazer');
+    soundManager.audioContext.currentTime += 1;
+
+    expect(soundManager.reserveVoice('lazer', { maxVoices: 2 }, 1)).toBe(true);
+    expect(first.stopped).toBe(true);
+    expect(second.stopped).toBe(false);
+    expect(soundManager.voices).toEqual([second]);
+  });
+
+  it('steals the oldest of the least important voices at the global cap', () => {
+    soundManager.setMaxVoices(3);
+    const voice = play('a1', 2);
+    const oldSfx = play('bomb', 1);
+    const newSfx = play('fire', 1);
+    soundManager.audioContext.currentTime += 1;
+
+    expect(soundManager.reserveVoice('dash', {}, 1)).toBe(true);
+    expect(oldSfx.stopped).toBe(true);
+    expect(soundManager.voices).toEqual([voice, newSfx]);
+  });
+
+  it('drops a new sound when every voice is more important', () => {
+    soundManager.setMaxVoices(2);
+    play('a1', 2);
+    play('a2', 2);
+    soundManager.audioContext.currentTime += 1;
+
+    expect(soundManager.reserveVoice('dash', {}, 1)).toBe(false);
+    expect(soundManager.getVoiceCount()).toBe(2);
+  });
+});
+
+describe('SoundManager.getMusicPosition', () => {
+  let soundManager;
+
+  // A music track as startMusicTrack would have returned it
+  const track = (options = {}) => ({
+    source: { loop: true },
+    offset: 0,
+    startedAt: 0,
+    paused: false,
+    loopStart: 4,
+    loopEnd: 10,
+    duration: 12,
+    ...options
+  });
+
+  beforeEach(() => {
+    soundManager = new SoundManager();
+    soundManager.audioContext = { currentTime: 0 };
+  });
+
+  it('plays through the intro before the first loop', () => {
+    soundManager.audioContext.currentTime = 7.5;
+    expect(soundManager.getMusicPosition(track())).toBeCloseTo(7.5);
+  });
+
+  it('wraps back to loopStart past loopEnd, as many times as it looped', () => {
+    soundManager.audioContext.currentTime = 11;
+    expect(soundManager.getMusicPosition(track())).toBeCloseTo(5);
+
+    soundManager.audioContext.currentTime = 10 + 6 * 3 + 0.5;
+    expect(soundManager.getMusicPosition(track())).toBeCloseTo(4.5);
+  });
+
+  it('counts from the position a resumed track started at', () => {
+    soundManager.audioContext.currentTime = 20;
+    expect(soundManager.getMusicPosition(track({ offset: 9, startedAt: 18 }))).toBeCloseTo(5);
+  });
+
+  it('holds the saved position while paused, and stops at the end without a loop', () => {
+    soundManager.audioContext.currentTime = 30;
+    expect(soundManager.getMusicPosition(track({ paused: true, offset: 6 }))).toBe(6);
+    expect(soundManager.getMusicPosition(track({ source: { loop: false } }))).toBe(12);
+  });
+
+  it('keeps loop points from the manifest inside a shorter file', () => {
+    const fakeNode = () => ({ gain: { value: 0 }, connect() {}, start() {} });
+    soundManager.audioContext = { currentTime: 0, createBufferSource: fakeNode, createGain: fakeNode };
+    soundManager.buses.set(SOUND_BUS.MUSIC, { gain: {} });
+    soundManager.sounds.set('bgm', { duration: 60 });
+    soundManager.soundOptions.set('bgm', { loop: true, loopStart: 3.2, loopEnd: 76.8 });
+
+    const music = soundManager.startMusicTrack('bgm', 0.6, 0, 0);
+    expect(music.loopStart).toBe(3.2);
+    expect(music.loopEnd).toBe(60);
+
+    soundManager.audioContext.currentTime = 61;
+    expect(soundManager.getMusicPosition(music)).toBeCloseTo(3.2 + 1);
+  });
+});
@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+import { layoutSprite, findSpriteSounds, packManifest } from '../../scripts/sfxSprite.js';
+
+const MANIFEST = {
+  sounds: {
+    bgm: { path: '/assets/sounds/bgm.ogg', type: 'music', loop: true },
+    jump: { path: '/assets/sounds/Jump.ogg', type: 'sfx', loop: false, maxVoices: 2, cooldown: 0.08 },
+    a1: { path: '/assets/sounds/A1.ogg', type: 'voice', loop: false },
+    dash: { path: '/assets/sounds/Dash.ogg', type: 'sfx', loop: false, priority: 2 }
+  },
+  bundles: { stage_one: { sounds: ['bgm', 'jump', 'dash'] } }
+};
+
+describe('sfxSprite', () => {
+  it('lays sounds out back to back with a gap of silence', () => {
+    const { regions, totalFrames } = layoutSprite([44100, 22050], 44100, 0.1);
+
+    expect(regions).toEqual([
+      { start: 0, offset: 0, duration: 1 },
+      { start: 48510, offset: 1.1, duration: 0.5 }
+    ]);
+    expect(totalFrames).toBe(48510 + 22050 + 4410);
+  });
+
+  it('packs only the sounds of the sprite type', () => {
+    expect(findSpriteSounds(MANIFEST).map(([key]) => key)).toEqual(['jump', 'dash']);
+  });
+
+  it('moves packed sounds into audioSprites with their options', () => {
+    const regions = { jump: { offset: 0, duration: 0.35 }, dash: { offset: 0.45, duration: 0.6 } };
+    const packed = packManifest(MANIFEST, regions, 'sfx', '/assets/sounds/sfx_sprite.ogg');
+
+    expect(Object.keys(packed.sounds)).toEqual(['bgm', 'a1']);
+    expect(packed.audioSprites.sfx).toEqual({
+      path: '/assets/sounds/sfx_sprite.ogg',
+      type: 'sfx',
+      sprites: {
+        jump: { offset: 0, duration: 0.35, loop: false, maxVoices: 2, cooldown: 0.08 },
+        dash: { offset: 0.45, duration: 0.6, loop: false, priority: 2 }
+      }
+    });
+    expect(packed.bundles).toEqual(MANIFEST.bundles);
+    expect(MANIFEST.sounds.jump).toBeDefined();
+  });
+});
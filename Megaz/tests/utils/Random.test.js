@@ -0,0 +1,39 @@
+import { describe, it, expect } from 'vitest';
+import { Random } from '../../src/utils/Random.js';
+
+const take = (random, count) => Array.from({ length: count }, () => random.next());
+
+describe('Random', () => {
+  it('rolls the same sequence from the same seed', () => {
+    expect(take(new Random(1234), 20)).toEqual(take(new Random(1234), 20));
+  });
+
+  it('rolls different sequences from different seeds', () => {
+    expect(take(new Random(1), 5)).not.toEqual(take(new Random(2), 5));
+  });
+
+  it('starts over when the seed is set again', () => {
+    const random = new Random(99);
+    const first = take(random, 10);
+    random.setSeed(99);
+    expect(take(random, 10)).toEqual(first);
+  });
+
+  it('keeps the seed as an unsigned 32-bit value', () => {
+    expect(new Random(-1).getSeed()).toBe(0xFFFFFFFF);
+    expect(new Random(2 ** 32 + 5).getSeed()).toBe(5);
+  });
+
+  it('stays inside [0, 1) and the requested range', () => {
+    const random = new Random(7);
+    for (let i = 0; i < 1000; i++) {
+      const value = random.next();
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+
+      const ranged = random.range(-3, 5);
+      expect(ranged).toBeGreaterThanOrEqual(-3);
+      expect(ranged).toBeLessThan(5);
+    }
+  });
+});
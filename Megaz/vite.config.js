@@ -1,8 +1,13 @@
 import { defineConfig } from 'vite';
+import sfxSprite from './scripts/sfxSprite.js';
 
 export default defineConfig({
   root: '.',
   base: './',
+  plugins: [
+    // Pack the SFX into one audio sprite in the build (needs ffmpeg)
+    sfxSprite()
+  ],
   server: {
     port: 3000,
     open: true